@@ -2,12 +2,42 @@
      * Simple Keep – a lightweight note‑taking app inspired by Google Keep.
      *
      * This script handles all of the dynamic behaviour required for the app:
-     *  - loading and saving notes from/to localStorage
+     *  - loading and saving notes from/to IndexedDB (or localStorage)
      *  - rendering the notes grid with pinned and unpinned sections
      *  - adding new notes in either plain or checklist mode
-     *  - editing, pinning, colour cycling and deleting notes
-     *  - searching through notes using a simple text filter
-     *  - drag and drop reordering of notes
+     *  - ticking off checklist items on cards, with completed items grouped
+     *  - nested checklist items, reordered by dragging
+     *  - editing, pinning, colouring and deleting notes
+     *  - searching with operators (is:, has:, color:, label:, OR, -word),
+     *    typo-tolerant ranking, highlighted matches and recent searches
+     *  - optional Markdown formatting of note text, safely sanitised
+     *  - organising notes with labels and filtering by label from the sidebar
+     *  - archiving notes and moving deleted notes to a self-emptying trash
+     *  - undo/redo of every change to the notes collection
+     *  - reminders with optional repetition and browser notifications
+     *  - importing backups by replacing or merging, with conflict review
+     *  - Markdown/plain-text export and import of single notes or everything
+     *  - importing Google Keep notes from a Takeout export
+     *  - keeping several open tabs in sync
+     *  - keyboard shortcuts and a Ctrl+K command palette
+     *  - accessible dialogs, screen reader announcements and keyboard
+     *    reordering
+     *  - working offline and installing as an app via a service worker
+     *  - drag and drop reordering of notes with mouse or touch
+     *  - selecting several notes for bulk pin, colour, label, archive,
+     *    export, merge and delete
+     *  - an optional passphrase lock that encrypts stored notes, locks
+     *    after inactivity and protects single notes and backups
+     *  - image attachments (picked, pasted or dropped) and freehand
+     *    drawings made on a sketch pad
+     *  - a revision history for each note, with word-level differences
+     *    and restoring of earlier versions
+     *  - drafts of unsaved text that survive a reload, and a prompt (or
+     *    automatic saving) when the editor is closed with changes
+     *  - a colour picker with the user's own named palettes, a theme that
+     *    can follow the system, and a theme editor for its colours
+     *  - sharing a note through a self-contained link, optionally
+     *    protected with a password, and previewing shared notes
      *  - updated icons using Google Material Icons
      */
 
@@ -22,7 +52,116 @@
       // });
 
       // Constants
+      // localStorage key for notes: the fallback store, and where versions
+      // before IndexedDB support kept everything
       const STORAGE_KEY = 'simpleKeepNotes';
+      // IndexedDB database holding one record per note (version 2 added
+      // the attachments store)
+      const DB_NAME = 'simpleKeep';
+      const DB_VERSION = 2;
+      // Search: values accepted by the is: and has: operators, how much a
+      // hit in each part of a note counts towards its ranking, what counts
+      // as a word for typo-tolerant matching, and the recent searches
+      // remembered for suggestions
+      const SEARCH_OPERATORS = {
+        is: ['pinned', 'checklist', 'note', 'archived', 'trashed', 'locked', 'drawing'],
+        has: ['unchecked', 'checked', 'reminder', 'label', 'link', 'image']
+      };
+      const SEARCH_WEIGHTS = { title: 3, label: 2, body: 1 };
+      const SEARCH_WORD_PATTERN = /[\p{L}\p{N}_']+/gu;
+      const RECENT_SEARCHES_KEY = 'simpleKeepRecentSearches';
+      const RECENT_SEARCHES_LIMIT = 10;
+      // Channel (or, without BroadcastChannel, localStorage key) used to
+      // pass changes between open tabs
+      const SYNC_CHANNEL = 'simpleKeep';
+      const SYNC_KEY = 'simpleKeepSync';
+      // Typical per-origin localStorage limit, used for the usage display
+      const LOCAL_STORAGE_QUOTA = 5 * 1024 * 1024;
+      // Version of the note record format.  Bump it and add a step to
+      // MIGRATIONS whenever the shape of a note changes.
+      const SCHEMA_VERSION = 5;
+      // User preferences (everything except the theme, which predates this
+      // key and keeps its own entry)
+      const SETTINGS_KEY = 'simpleKeepSettings';
+      const DEFAULT_SETTINGS = {
+        // promote inline #hashtags in note text to labels when saving
+        hashtagLabels: false,
+        // notes in the trash older than this are purged on start-up
+        trashRetentionDays: 7,
+        // format note text as Markdown on cards and in the view modal
+        markdown: false,
+        // with the passphrase lock on, lock after this many minutes without
+        // activity (0 = never)
+        autoLockMinutes: 15,
+        // closing the editor saves its changes instead of asking
+        saveOnClose: false
+      };
+      // Unsaved text in the creation area and the editor, kept so that it
+      // survives a reload (encrypted while the passphrase lock is on) and
+      // written this many milliseconds after the last change.  Each tab
+      // has its own key, DRAFTS_KEY plus "." and the tab's id, which is
+      // kept in sessionStorage under DRAFTS_TAB_KEY so that it outlives a
+      // reload.
+      const DRAFTS_KEY = 'simpleKeepDrafts';
+      const DRAFTS_TAB_KEY = 'simpleKeepDraftsTab';
+      const DRAFT_SAVE_DELAY = 500;
+      // An open tab marks its stored drafts as still in use this often; a
+      // tab that ended without saying so (a crash, or a mobile browser
+      // killing it) leaves drafts that go unmarked, and once they are this
+      // old another tab takes them over
+      const DRAFT_HEARTBEAT_MS = 60 * 1000;
+      const DRAFT_STALE_MS = 10 * 60 * 1000;
+      const DAY_MS = 24 * 60 * 60 * 1000;
+      // Passphrase lock: localStorage key of the vault record (see
+      // loadVault()), key derivation cost, the shortest passphrase
+      // accepted, how often idle time is checked for auto-lock, and the
+      // format name written into password-protected backups
+      const VAULT_KEY = 'simpleKeepVault';
+      const PBKDF2_ITERATIONS = 310000;
+      const PASSPHRASE_MIN_LENGTH = 8;
+      const AUTO_LOCK_CHECK_MS = 15 * 1000;
+      const ENCRYPTED_BACKUP_FORMAT = 'simple-keep-encrypted';
+      // Format name of JSON backups, which hold the notes and the theme
+      // colours and palettes (older backups are a bare array of notes)
+      const BACKUP_FORMAT = 'simple-keep-backup';
+      // Attachments: images are scaled down to fit IMAGE_MAX_SIZE pixels
+      // and re-encoded (as JPEG at IMAGE_QUALITY unless they may be
+      // transparent), cards show the first CARD_IMAGE_LIMIT of them, and
+      // stored images that no note refers to are removed on start-up once
+      // older than ATTACHMENT_GRACE_MS (a newer one may belong to a note
+      // still being written in another tab).  Without IndexedDB each image
+      // is a localStorage entry named ATTACHMENT_KEY_PREFIX + its id.
+      const ATTACHMENT_KINDS = ['image', 'drawing'];
+      const IMAGE_MAX_SIZE = 1600;
+      const IMAGE_QUALITY = 0.85;
+      const CARD_IMAGE_LIMIT = 4;
+      const ATTACHMENT_GRACE_MS = DAY_MS;
+      const ATTACHMENT_KEY_PREFIX = 'simpleKeepAttachment:';
+      // Sketch pad: size of a new drawing in pixels, the pen colours, the
+      // pen and eraser widths and the paper colour (which the eraser paints)
+      const DRAWING_WIDTH = 1200;
+      const DRAWING_HEIGHT = 800;
+      const DRAWING_COLORS = ['#202124', '#D93025', '#F9AB00', '#188038', '#1A73E8', '#A142F4'];
+      const DRAWING_PEN_WIDTH = 4;
+      const DRAWING_ERASER_WIDTH = 28;
+      const DRAWING_BACKGROUND = '#FFFFFF';
+      // Revision history: each note keeps the text of its last
+      // REVISION_LIMIT versions.  Comparing two versions takes longer the
+      // more words differ, so past DIFF_MAX_EDITS changed words the
+      // differing middle is shown as wholly replaced.
+      const REVISION_LIMIT = 20;
+      const DIFF_MAX_EDITS = 2000;
+      // Undo history bounds.  Each entry is a serialised copy of the whole
+      // notes array, so cap both the number of entries and their combined
+      // size (in characters) to keep memory use reasonable.
+      const HISTORY_LIMIT = 50;
+      const HISTORY_MAX_CHARS = 10 * 1024 * 1024;
+      // How long the snackbar stays on screen
+      const SNACKBAR_TIMEOUT_MS = 5000;
+      // How often due reminders are checked, and the time pre-filled for a
+      // new reminder
+      const REMINDER_CHECK_MS = 30 * 1000;
+      const DEFAULT_REMINDER_TIME = '09:00';
       // A palette of ten pleasant pastel shades reminiscent of Google Keep
       const COLORS = [
         '#FFFFFF', // classic white
@@ -36,24 +175,259 @@
         '#F8BBD0', // pink
         '#DCEDC8'  // lime
       ];
+      // Names for the palette, used by the color: search operator
+      const COLOR_NAMES = {
+        white: '#FFFFFF',
+        lemon: '#FFF9C4',
+        peach: '#FFE0B2',
+        rose: '#FFCDD2',
+        mocha: '#D7CCC8',
+        mint: '#C8E6C9',
+        sky: '#BBDEFB',
+        lavender: '#D1C4E9',
+        pink: '#F8BBD0',
+        lime: '#DCEDC8'
+      };
+
+      // Google Keep's colour names mapped to the nearest shade in COLORS
+      const KEEP_COLORS = {
+        DEFAULT: '#FFFFFF',
+        RED: '#FFCDD2',
+        ORANGE: '#FFE0B2',
+        YELLOW: '#FFF9C4',
+        GREEN: '#C8E6C9',
+        TEAL: '#DCEDC8',
+        BLUE: '#BBDEFB',
+        CERULEAN: '#BBDEFB',
+        PURPLE: '#D1C4E9',
+        PINK: '#F8BBD0',
+        BROWN: '#D7CCC8',
+        GRAY: '#D7CCC8'
+      };
+      // Themes: the stored choice ('auto' follows the system setting) and
+      // the icon of each, the key of the colours chosen in the theme
+      // editor and the user's own note palettes (see loadAppearance()),
+      // the default accent, background and card colours of each theme (as
+      // set in style.css), and the most colours one palette may hold
+      const THEME_KEY = 'simpleKeepTheme';
+      const THEMES = ['light', 'dark', 'auto'];
+      const THEME_ICONS = { light: 'bi-sun', dark: 'bi-moon', auto: 'bi-circle-half' };
+      const APPEARANCE_KEY = 'simpleKeepAppearance';
+      const THEME_DEFAULTS = {
+        light: { accent: '#1A73E8', background: '#F5F5F5', card: '#FFFFFF' },
+        dark: { accent: '#8AB4F8', background: '#202124', card: '#303134' }
+      };
+      const PALETTE_COLOR_LIMIT = 12;
+      // Sharing: the URL fragment that carries a shared note (see
+      // createShareLink()), and the link length past which the share
+      // dialog warns that some apps may cut the link short
+      const SHARE_PREFIX = '#share=';
+      const SHARE_LINK_WARN_LENGTH = 8000;
+      // Dragging note cards: how far (px) a mouse must move before a press
+      // becomes a drag, and the band (px) at the top and bottom of the
+      // window that scrolls it, at up to DRAG_SCROLL_SPEED px per frame
+      const DRAG_THRESHOLD = 6;
+      const DRAG_SCROLL_EDGE = 60;
+      const DRAG_SCROLL_SPEED = 18;
+      // Maximum number of notes listed in the Google Keep import preview
+      const KEEP_PREVIEW_LIMIT = 200;
+      // Keyboard shortcuts as listed by the "?" overlay (see
+      // handleShortcut()), and how many results the command palette shows
+      const KEYBOARD_SHORTCUTS = [
+        { keys: ['/'], description: 'Search notes' },
+        { keys: ['c'], description: 'New note' },
+        { keys: ['l'], description: 'New checklist' },
+        { keys: ['d'], description: 'New drawing' },
+        { keys: ['j', 'k'], description: 'Select the next / previous note' },
+        { keys: ['e'], description: 'Edit the selected note' },
+        { keys: ['p'], description: 'Pin or unpin the selected note' },
+        { keys: ['#'], description: 'Move the selected note to Trash' },
+        { keys: ['Enter'], description: 'Open the selected note' },
+        { keys: ['Alt+Arrow keys'], description: 'Move the selected note earlier or later' },
+        { keys: ['x'], description: 'Tick the selected note for bulk actions' },
+        { keys: ['Ctrl+A'], description: 'Tick every note shown' },
+        { keys: ['Ctrl+K'], description: 'Find notes and actions' },
+        { keys: ['Ctrl+Z'], description: 'Undo' },
+        { keys: ['Ctrl+Shift+Z'], description: 'Redo' },
+        { keys: ['Esc'], description: 'Close a dialog or menu, or clear ticked notes' },
+        { keys: ['?'], description: 'Show keyboard shortcuts' }
+      ];
+      const PALETTE_RESULT_LIMIT = 50;
 
       // Application state
       let notes = [];
       let currentColor = COLORS[0];
       let isChecklistMode = false;
       let editNoteId = null;
+      let settings = { ...DEFAULT_SETTINGS };
+
+      // Labels chosen in the creation area and in the edit modal.  These are
+      // working copies; they are only written to a note on add/save.
+      let currentLabels = [];
+      let editLabels = [];
+      // Attachments of the note in the creation area and of the note being
+      // edited, working copies like the labels above.  They are emptied in
+      // place, as the buttons of the attachment lists hold on to them.
+      const currentAttachments = [];
+      const editAttachments = [];
+      // Object URLs of stored images, by attachment id (see
+      // loadAttachmentUrl()).  Attachments never change once stored, so
+      // these stay valid until the app locks.
+      const attachmentUrls = new Map();
+      // Images shown in the lightbox and the one on screen
+      let lightboxImages = [];
+      let lightboxIndex = 0;
+      // Sketch pad state while it is open (see openSketchPad())
+      let sketch = null;
+      // Note whose revision history is open, and the position of the
+      // revision shown in its list of revisions (-1 when it has none)
+      let historyNoteId = null;
+      let historyIndex = -1;
+      // Theme colours and note palettes (see loadAppearance()), and the
+      // media query telling whether the system prefers a dark theme
+      let appearance = { themeColors: { light: {}, dark: {} }, palettes: [] };
+      let systemDarkQuery = null;
+      // Note shown in the share dialog and the password protecting its
+      // link (null for none), and the note opened from a share link
+      let shareNoteId = null;
+      let sharePassword = null;
+      let sharedNote = null;
+      // Label selected in the sidebar, or null to show every note
+      let activeLabel = null;
+      // Recent searches, most recent first
+      let recentSearches = [];
+      // Checklist notes whose completed items are shown (collapsed otherwise)
+      const expandedChecklists = new Set();
+      // Which collection the grid shows: 'notes', 'reminders', 'archive'
+      // or 'trash'
+      let currentView = 'notes';
+      // Note whose reminder is open in the reminder dialog
+      let reminderNoteId = null;
+      // Note shown in the view modal
+      let viewNoteId = null;
+      // Edit modal fields as last loaded (see readEditForm()), the note's
+      // updatedAt at that point, and the note being edited if another tab
+      // deleted it
+      let editFormBaseline = null;
+      let editNoteUpdatedAt = null;
+      let editOrphan = null;
+      // Drafts (see saveDrafts()): the pending write, the JSON last
+      // written, whether the stored drafts have been restored since the
+      // notes were loaded (until then there is nothing to save), this
+      // tab's id, and whether the page is going away, which leaves the
+      // drafts for another tab to take over
+      let draftTimer = null;
+      let lastDraftJson = null;
+      let draftsRestored = false;
+      let draftTabId = null;
+      let draftsReleased = false;
+
+      // Note card being dragged, or about to be (see onCardPointerDown())
+      let cardDrag = null;
+
+      // Notes selected for bulk actions, and the note a Shift-click range
+      // starts from
+      const selectedNoteIds = new Set();
+      let selectionAnchorId = null;
+
+      // Undo/redo state.  `lastSavedSnapshot` is the serialised notes array
+      // as last written to storage; saveNotes() pushes it onto the undo
+      // stack before persisting a different state.
+      let undoStack = [];
+      let redoStack = [];
+      let lastSavedSnapshot = null;
+      let snackbarTimer = null;
+
+      // Active storage backend (see openStorage()) and write coalescing
+      let storage = null;
+      let persistInFlight = null;
+      let persistQueued = false;
+      // Set when the notes could not be read.  Nothing is written until a
+      // successful load, since saving an empty list would erase them.
+      let storageLoadFailed = false;
+
+      // Passphrase lock state: the vault record (null while the lock is
+      // off), the notes key while unlocked, the backend underneath the
+      // encryption layer, whether the app is locked, locked notes opened
+      // since unlocking, the time of the last activity (for auto-lock) and
+      // the pending passphrase dialog (see askPassphrase())
+      let vault = null;
+      let vaultKey = null;
+      let baseStorage = null;
+      let appLocked = false;
+      const unlockedNoteIds = new Set();
+      let lastActivity = Date.now();
+      let passphraseRequest = null;
 
-      // Drag state for reordering
-      let draggedNoteId = null;
+      // Cross-tab sync state.  `syncedNotes` maps note ids to the JSON last
+      // sent to or received from other tabs, and `syncedOrder` is the
+      // matching id order; broadcasts carry only differences from these.
+      let syncChannel = null;
+      let syncedNotes = null;
+      let syncedOrder = '';
+
+      // Offline app state: set when the user chose to reload into a new
+      // service worker, and the browser's deferred install prompt
+      let updateRequested = false;
+      let deferredInstallPrompt = null;
+
+      // Popup menu currently open (see openMenu()) and the lazily built
+      // CRC-32 table used when writing ZIP files
+      let openMenuEl = null;
+      let crcTable = null;
+
+      // Command palette state: every command on offer, those matching the
+      // typed text and the highlighted match
+      let paletteCommands = [];
+      let paletteMatches = [];
+      let paletteIndex = 0;
+
+      // Dialogs currently open, topmost last, each with the element to
+      // give focus back to on closing (see openDialog())
+      const openDialogs = [];
 
       // Character limit for truncating long note descriptions.  If a note's
       // content exceeds this length, the card will display a shortened
       // version followed by a Read More link that opens the full note in
       // a modal.  Adjust this value to taste.
       const DESCRIPTION_CHAR_LIMIT = 160;
+      // Deepest nesting allowed for checklist sub-items
+      const CHECKLIST_MAX_INDENT = 2;
+
+      // Markdown output allowed through sanitiseHtml(): tag names mapped to
+      // the attributes each may keep.  Elements in MARKDOWN_DROPPED_TAGS
+      // are removed along with everything inside them.
+      const MARKDOWN_ALLOWED_TAGS = {
+        a: ['href', 'title'],
+        blockquote: [],
+        br: [],
+        code: [],
+        del: [],
+        em: [],
+        h1: [],
+        h2: [],
+        h3: [],
+        h4: [],
+        h5: [],
+        h6: [],
+        hr: [],
+        input: ['type', 'checked', 'disabled'],
+        li: [],
+        ol: ['start'],
+        p: [],
+        pre: [],
+        strong: [],
+        ul: []
+      };
+      const MARKDOWN_DROPPED_TAGS = [
+        'script', 'style', 'iframe', 'frame', 'object', 'embed', 'template',
+        'noscript', 'svg', 'math', 'link', 'meta', 'base', 'form', 'textarea',
+        'select', 'button', 'img', 'video', 'audio'
+      ];
 
       // DOM references – these variables will be assigned once the DOM has loaded.
       let searchInput;
+      let searchSuggestions;
       let noteTitleInput;
       let noteContentInput;
       let noteInputSection;
@@ -69,6 +443,57 @@
       // Theme toggle button
       let themeToggleBtn;
 
+      // Sidebar and label picker elements
+      let viewButtons;
+      let labelListEl;
+      let hashtagLabelsToggle;
+      let markdownToggle;
+      let saveOnCloseToggle;
+      let labelSuggestions;
+      let noteLabelPicker;
+      let editLabelPicker;
+
+      // Archive/trash view elements
+      let othersTitle;
+      let emptyMessage;
+      let trashBar;
+      let trashDaysInput;
+      let emptyTrashBtn;
+
+      // Bulk actions toolbar shown while notes are selected
+      let selectionBar;
+      let clearSelectionBtn;
+      let selectionCount;
+      let selectionActions;
+
+      // Storage usage indicator
+      let storageUsageEl;
+
+      // Snackbar elements
+      let snackbar;
+      let snackbarMessage;
+      let snackbarAction;
+
+      // Reminder fields in the edit modal and the reminder dialog
+      let editReminderDate;
+      let editReminderTime;
+      let editReminderRepeat;
+      let reminderModal;
+      let reminderModalBackdrop;
+      let closeReminderModalBtn;
+      let reminderDateInput;
+      let reminderTimeInput;
+      let reminderRepeatSelect;
+      let removeReminderBtn;
+      let saveReminderBtn;
+
+      // Import dialog elements
+      let importModal;
+      let importModalBackdrop;
+      let closeImportModalBtn;
+      let importModalBody;
+      let importModalFooter;
+
       // Modal elements (assigned after DOM load)
       let editModal;
       let modalBackdrop;
@@ -76,11 +501,15 @@
       let editTitleInput;
       let editContentInput;
       let editChecklistContainer;
+      let editSyncNotice;
+      let editSyncMessage;
+      let editSyncReloadBtn;
       let deleteNoteBtn;
       let saveNoteBtn;
       let exportNotesBtn;
       let importNotesBtn;
       let importFileInput;
+      let keepFolderInput;
 
       // View modal elements for "Read More" functionality (assigned after DOM load)
       let viewModal;
@@ -90,682 +519,4896 @@
       let viewContentEl;
       let viewNoteActions;
 
+      // Offline app: update banner and install button
+      let updateBanner;
+      let reloadAppBtn;
+      let dismissUpdateBtn;
+      let installAppBtn;
+
+      // Visually hidden live region for screen reader announcements
+      let liveRegion;
+
+      // Command palette and keyboard shortcuts overlay
+      let paletteModal;
+      let paletteBackdrop;
+      let paletteInput;
+      let paletteResults;
+      let shortcutsModal;
+      let shortcutsBackdrop;
+      let closeShortcutsBtn;
+      let shortcutsList;
+
+      // Lock screen, passphrase dialog and passphrase lock settings
+      let lockScreen;
+      let unlockForm;
+      let unlockPassphraseInput;
+      let unlockError;
+      let unlockBtn;
+      let passphraseModal;
+      let passphraseBackdrop;
+      let closePassphraseBtn;
+      let passphraseForm;
+      let passphraseTitle;
+      let passphraseMessage;
+      let passphraseInput;
+      let passphraseConfirmInput;
+      let passphraseError;
+      let passphraseSubmitBtn;
+      let lockSetupBtn;
+      let lockNowBtn;
+      let changePassphraseBtn;
+      let autoLockOption;
+      let autoLockSelect;
+      let lockStatus;
+
+      // Attachment lists and buttons in the creation area and the edit
+      // modal, the lightbox and the sketch pad
+      let noteAttachmentsEl;
+      let addImageBtn;
+      let newDrawingBtn;
+      let noteImageInput;
+      let editAttachmentsEl;
+      let editImageBtn;
+      let editDrawingBtn;
+      let editImageInput;
+      let lightboxModal;
+      let lightboxBackdrop;
+      let closeLightboxBtn;
+      let lightboxImage;
+      let lightboxCount;
+      let lightboxPrevBtn;
+      let lightboxNextBtn;
+      let lightboxDownload;
+      let drawingModal;
+      let drawingBackdrop;
+      let closeDrawingBtn;
+      let drawingTitle;
+      let drawingCanvas;
+      let drawPenBtn;
+      let drawEraserBtn;
+      let drawingColors;
+      let drawUndoBtn;
+      let drawClearBtn;
+      let drawingDoneBtn;
+      let editHistoryBtn;
+      let historyModal;
+      let historyBackdrop;
+      let closeHistoryBtn;
+      let historyList;
+      let historyDiff;
+      let historyRestoreBtn;
+      let unsavedModal;
+      let unsavedBackdrop;
+      let unsavedDiscardBtn;
+      let unsavedCancelBtn;
+      let unsavedSaveBtn;
+      let themeEditorBtn;
+      let themeModal;
+      let themeBackdrop;
+      let closeThemeBtn;
+      let themeColoursLegend;
+      let themeColourInputs;
+      let resetThemeColoursBtn;
+      let paletteList;
+      let addPaletteBtn;
+      let themeDoneBtn;
+      let shareModal;
+      let shareBackdrop;
+      let closeShareBtn;
+      let shareLinkInput;
+      let copyShareLinkBtn;
+      let shareProtectToggle;
+      let shareNotice;
+      let copyShareTextBtn;
+      let nativeShareBtn;
+      let sharedModal;
+      let sharedBackdrop;
+      let closeSharedBtn;
+      let sharedNoteEl;
+      let sharedTitle;
+      let sharedContent;
+      let openSharedCopyBtn;
+      let saveSharedBtn;
+
       /**
-       * Load notes from localStorage.  If nothing is saved yet, use an
-       * empty array.
+       * Load notes from the storage backend.  If nothing is saved yet, use
+       * an empty array.  Records are upgraded to the current schema and
+       * repaired where needed; any changes are written straight back.  The
+       * loaded state becomes the baseline for undo.  If the notes cannot be
+       * read at all, the app starts empty and saving is switched off (see
+       * persistNotes()) so that what is stored is left as it is.
        */
-      function loadNotes() {
+      async function loadNotes() {
+        let records;
+        storageLoadFailed = false;
         try {
-          const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
-          notes = Array.isArray(data) ? data : [];
+          records = await storage.load();
         } catch (err) {
-          console.warn('Failed to parse notes from storage:', err);
-          notes = [];
+          console.error('Failed to load notes from storage:', err);
+          storageLoadFailed = true;
+          records = [];
+          showStorageLoadFailure();
+        }
+        if (storage.unreadable) {
+          showSnackbar(storage.unreadable === 1
+            ? '1 note could not be decrypted and is not shown'
+            : `${storage.unreadable} notes could not be decrypted and are not shown`);
+        }
+        const { notes: loaded, report } = migrateNotes(records);
+        notes = loaded;
+        lastSavedSnapshot = JSON.stringify(notes);
+        const summary = formatMigrationReport(report);
+        if (summary) {
+          console.warn('Notes were upgraded or repaired on load:\n' + summary);
+          persistNotes();
         }
       }
 
       /**
-       * Persist the current notes array into localStorage.
+       * Tell the user that their notes could not be loaded and that changes
+       * are not being saved, offering to reload and try again.
        */
-      function saveNotes() {
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(notes));
+      function showStorageLoadFailure() {
+        showSnackbar('Your notes could not be loaded, so changes are not being saved', 'Reload', () => location.reload());
       }
 
       /**
-       * Initialise the colour palette for note creation.  Each button sets
-       * the currentColour variable and updates the input section border.
+       * Persist the current notes array through the storage backend.  Every change
+       * goes through here, so this is also where the previous state is
+       * recorded for undo.  Background bookkeeping (such as rolling a
+       * reminder forward) passes `recordHistory: false` so that it does
+       * not appear as an undo step.
+       * @param {Object} [options]
+       * @param {boolean} [options.recordHistory=true] Add an undo step
        */
-      function initColourButtons() {
-        COLORS.forEach((col) => {
-          const btn = document.createElement('button');
-          btn.classList.add('color-btn');
-          btn.style.backgroundColor = col;
-          btn.dataset.color = col;
-          btn.title = `Set note colour to ${col}`;
-          btn.addEventListener('click', () => {
-            currentColor = col;
-            // visually indicate selected colour on the input area
-            noteInputSection.style.borderColor = col;
-            // highlight chosen colour button by adding an outline
-            document.querySelectorAll('.color-btn').forEach((b) => {
-              b.style.outline = '';
-            });
-            btn.style.outline = '2px solid #666';
-          });
-          colorOptionsContainer.appendChild(btn);
-        });
-        // initialise with first colour selected
-        noteInputSection.style.borderColor = COLORS[0];
-        // choose the first actual button element, ignoring whitespace/comment nodes
-        const firstBtn = colorOptionsContainer.querySelector('.color-btn');
-        if (firstBtn) {
-          firstBtn.style.outline = '2px solid #666';
+      function saveNotes({ recordHistory = true } = {}) {
+        const snapshot = JSON.stringify(notes);
+        if (
+          recordHistory &&
+          lastSavedSnapshot !== null &&
+          snapshot !== lastSavedSnapshot
+        ) {
+          pushHistory(undoStack, lastSavedSnapshot);
+          redoStack = [];
         }
+        lastSavedSnapshot = snapshot;
+        persistNotes();
       }
 
       /**
-       * Render all notes into the appropriate sections.  Applies the
-       * search filter if present and keeps pinned notes separate.
+       * Push a snapshot onto an undo/redo stack, dropping the oldest
+       * entries once the stack exceeds HISTORY_LIMIT or HISTORY_MAX_CHARS.
+       * The newest entry is always kept.
+       * @param {string[]} stack Stack to push onto
+       * @param {string} snapshot Serialised notes array
        */
-      function renderNotes() {
-        // get search query trimmed to lower case
-        const query = searchInput.value.trim().toLowerCase();
-        // clear current contents
-        pinnedNotesDiv.innerHTML = '';
-        notesContainer.innerHTML = '';
-        // partition into pinned and others
-        const pinned = [];
-        const others = [];
-        notes.forEach((note) => {
-          // skip notes that don't match search query
-          if (query && !noteMatchesQuery(note, query)) return;
-          if (note.pinned) pinned.push(note);
-          else others.push(note);
-        });
-        // toggle pinned section visibility
-        pinnedSection.hidden = pinned.length === 0;
-        // render pinned notes first
-        pinned.forEach((note) => createNoteCard(note, pinnedNotesDiv));
-        others.forEach((note) => createNoteCard(note, notesContainer));
+      function pushHistory(stack, snapshot) {
+        stack.push(snapshot);
+        let size = stack.reduce((total, entry) => total + entry.length, 0);
+        while (
+          stack.length > 1 &&
+          (stack.length > HISTORY_LIMIT || size > HISTORY_MAX_CHARS)
+        ) {
+          size -= stack.shift().length;
+        }
       }
 
       /**
-       * Determine whether a note matches a query string.  Searches the
-       * title, content and checklist items.
-       * @param {Object} note Note object
-       * @param {string} query Lowercase search query
+       * Swap the current notes for the latest snapshot on one stack,
+       * pushing the current state onto the other.  Used by undo and redo.
+       * @param {string[]} from Stack to take the snapshot from
+       * @param {string[]} to Stack that receives the current state
+       * @returns {boolean} true if there was anything to restore
        */
-      function noteMatchesQuery(note, query) {
-        if (!query) return true;
-        const inTitle = note.title && note.title.toLowerCase().includes(query);
-        if (inTitle) return true;
-        if (note.checklist) {
-          return note.items.some((item) =>
-            item.text.toLowerCase().includes(query)
-          );
+      function restoreSnapshot(from, to) {
+        if (from.length === 0) return false;
+        pushHistory(to, lastSavedSnapshot);
+        lastSavedSnapshot = from.pop();
+        notes = JSON.parse(lastSavedSnapshot);
+        persistNotes();
+        // the note open in a modal may no longer exist (or may have changed)
+        if (historyNoteId) closeHistoryModal();
+        closeViewModal();
+        if (editNoteId && !notes.some((n) => n.id === editNoteId)) {
+          closeEditModal();
         }
-        return note.content && note.content.toLowerCase().includes(query);
+        renderNotes();
+        return true;
       }
 
       /**
-       * Reorder notes by swapping the positions of two notes.  When a note
-       * is dragged onto another note, their positions in the `notes`
-       * array will be exchanged.  Swapping maintains the relative order
-       * of the remaining notes and provides a more intuitive drag
-       * interaction than simply inserting before the target.  Swaps are
-       * only permitted within the same pinned/unpinned group.
-       *
-       * @param {string} draggedId ID of the note being dragged
-       * @param {string} targetId  ID of the note being dropped onto
-       */
-      function reorderNotes(draggedId, targetId) {
-        // do nothing if the same card is dragged onto itself
-        if (draggedId === targetId) return;
-        const draggedIndex = notes.findIndex((n) => n.id === draggedId);
-        const targetIndex = notes.findIndex((n) => n.id === targetId);
-        if (draggedIndex === -1 || targetIndex === -1) return;
-        // enforce swapping only within the same pinned status
-        if (notes[draggedIndex].pinned !== notes[targetIndex].pinned) return;
-        // Swap the two note objects.  This simply exchanges the
-        // positions within the array; note metadata remains unchanged.
-        const tmp = notes[draggedIndex];
-        notes[draggedIndex] = notes[targetIndex];
-        notes[targetIndex] = tmp;
-        saveNotes();
-        renderNotes();
+       * Revert the most recent change to the notes collection.
+       */
+      function undo() {
+        if (restoreSnapshot(undoStack, redoStack)) {
+          showSnackbar('Undone', 'Redo', redo);
+        }
       }
 
       /**
-       * Reorder note to end of its group when dropping onto container.
-       * @param {string} draggedId ID of the note being dragged
-       * @param {boolean} pinnedFlag true if the target container is pinned section
+       * Re-apply the most recently undone change.
        */
-      function reorderToEnd(draggedId, pinnedFlag) {
-        const draggedIndex = notes.findIndex((n) => n.id === draggedId);
-        if (draggedIndex === -1) return;
-        const draggedNote = notes[draggedIndex];
-        if (draggedNote.pinned !== pinnedFlag) return;
-        // remove note
-        notes.splice(draggedIndex, 1);
-        // find last index of group
-        let insertIndex = -1;
-        for (let i = 0; i < notes.length; i++) {
-          if (notes[i].pinned === pinnedFlag) {
-            insertIndex = i;
-          }
+      function redo() {
+        if (restoreSnapshot(redoStack, undoStack)) {
+          showSnackbar('Redone', 'Undo', undo);
         }
-        notes.splice(insertIndex + 1, 0, draggedNote);
-        saveNotes();
-        renderNotes();
       }
 
       /**
-       * Create a note card DOM element and append it to a container.
-       * @param {Object} note Note data
-       * @param {HTMLElement} container Container to append into
+       * Show a transient message at the bottom of the screen, optionally
+       * with a single action button (typically Undo).  Any message already
+       * showing is replaced.
+       * @param {string} message Text to display
+       * @param {string} [actionLabel] Label for the action button
+       * @param {Function} [onAction] Called when the action is clicked
        */
-      function createNoteCard(note, container) {
-        const card = document.createElement('div');
-        card.classList.add('note-card');
-        // Determine note background and accent colour.  In dark mode
-        // individual note colours can be overwhelming against a dark
-        // canvas.  In that case fall back to the shared card background
-        // and use the note colour as a left border accent instead.
-        const isDark = document.body.classList.contains('dark-mode');
-        if (isDark) {
-          card.style.backgroundColor = '';
-          if (note.color) {
-            card.style.borderLeft = `6px solid ${note.color}`;
-          }
-        } else {
-          card.style.backgroundColor = note.color || '#fff';
-          card.style.borderLeft = '';
-        }
-        card.dataset.id = note.id;
-        card.dataset.pinned = note.pinned;
+      function showSnackbar(message, actionLabel, onAction) {
+        clearTimeout(snackbarTimer);
+        snackbarMessage.textContent = message;
+        snackbarAction.hidden = !actionLabel;
+        snackbarAction.textContent = actionLabel || '';
+        snackbarAction.onclick = () => {
+          hideSnackbar();
+          if (onAction) onAction();
+        };
+        snackbar.hidden = false;
+        snackbarTimer = setTimeout(hideSnackbar, SNACKBAR_TIMEOUT_MS);
+      }
 
-        // Add a drag handle at the top left to indicate drag capability.  The
-        // handle is purely decorative; dragging anywhere on the card will
-        // still initiate a reorder.  Users can grab this handle for
-        // reassurance.  Bootstrap Icons provide the grip symbol.
-        const dragHandle = document.createElement('span');
-        dragHandle.className = 'drag-handle';
-        dragHandle.innerHTML = '<i class="bi bi-grip-vertical"></i>';
-        card.appendChild(dragHandle);
-        // make card draggable for reordering
-        card.draggable = true;
-        // record dragged note id on dragstart
-        card.addEventListener('dragstart', (e) => {
-          draggedNoteId = note.id;
-          e.dataTransfer.effectAllowed = 'move';
-        });
-        // allow dropping onto other cards.  Prevent the event from bubbling
-        // to parent containers so that dropping directly on a card swaps
-        // positions rather than sending it to the end of the list.
-        card.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          e.dataTransfer.dropEffect = 'move';
-          e.stopPropagation();
+      /**
+       * Hide the snackbar immediately.
+       */
+      function hideSnackbar() {
+        clearTimeout(snackbarTimer);
+        snackbar.hidden = true;
+      }
+
+      /**
+       * Wrap an IndexedDB request in a promise.
+       * @param {IDBRequest} request Request to wait for
+       */
+      function requestToPromise(request) {
+        return new Promise((resolve, reject) => {
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
         });
-        card.addEventListener('drop', (e) => {
-          e.preventDefault();
-          e.stopPropagation();
-          const targetId = note.id;
-          if (draggedNoteId && draggedNoteId !== targetId) {
-            reorderNotes(draggedNoteId, targetId);
-          }
+      }
+
+      /**
+       * Resolve once an IndexedDB transaction has committed.
+       * @param {IDBTransaction} tx Transaction to wait for
+       */
+      function transactionDone(tx) {
+        return new Promise((resolve, reject) => {
+          tx.oncomplete = () => resolve();
+          tx.onerror = () => reject(tx.error);
+          tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
         });
+      }
 
-        // Title
-        if (note.title) {
-          const titleDiv = document.createElement('div');
-          titleDiv.className = 'note-title-display';
-          titleDiv.textContent = note.title;
-          card.appendChild(titleDiv);
-        }
-        // Content or checklist
-        if (note.checklist) {
-          const list = document.createElement('ul');
-          list.className = 'note-list';
-          note.items.forEach((item) => {
-            const li = document.createElement('li');
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.checked = !!item.checked;
-            // disable interaction; checkboxes on note display are not editable
-            checkbox.disabled = true;
-            const span = document.createElement('span');
-            span.textContent = item.text;
-            if (item.checked) {
-              span.style.textDecoration = 'line-through';
+      /**
+       * Open (and if necessary create) the Simple Keep database.  Notes are
+       * stored one record per note; the `meta` store holds the display
+       * order and migration bookkeeping, and `attachments` the images,
+       * keyed by attachment id.
+       * @returns {Promise<IDBDatabase>}
+       */
+      function openDatabase() {
+        return new Promise((resolve, reject) => {
+          const request = indexedDB.open(DB_NAME, DB_VERSION);
+          request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains('notes')) {
+              db.createObjectStore('notes', { keyPath: 'id' });
             }
-            li.appendChild(checkbox);
-            li.appendChild(span);
-            list.appendChild(li);
-          });
-          card.appendChild(list);
-        } else {
-          const contentDiv = document.createElement('div');
-          contentDiv.className = 'note-content-display';
-          // For long descriptions, truncate and append a Read More link.
-          if (note.content && note.content.length > DESCRIPTION_CHAR_LIMIT) {
-            const truncated = note.content.slice(0, DESCRIPTION_CHAR_LIMIT).trim() + '… ';
-            contentDiv.textContent = truncated;
-            const readMoreSpan = document.createElement('span');
-            readMoreSpan.className = 'read-more';
-            readMoreSpan.textContent = '[Read More]';
-            readMoreSpan.addEventListener('click', (e) => {
-              e.stopPropagation();
-              openViewModal(note.id);
-            });
-            contentDiv.appendChild(readMoreSpan);
-          } else {
-            contentDiv.textContent = note.content;
-          }
-          card.appendChild(contentDiv);
-        }
-        // Action buttons
-        const actions = document.createElement('div');
-        actions.className = 'note-actions';
-        // Pin/unpin button
-        const pinBtn = document.createElement('button');
-        pinBtn.title = note.pinned ? 'Unpin' : 'Pin';
-        // use Bootstrap icons for pin/unpin
-        pinBtn.innerHTML = note.pinned
-          ? '<i class="bi bi-pin-angle-fill"></i>'
-          : '<i class="bi bi-pin-angle"></i>';
-        pinBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          note.pinned = !note.pinned;
-          saveNotes();
-          renderNotes();
-        });
-        actions.appendChild(pinBtn);
-        // Colour cycle button
-        const colourBtn = document.createElement('button');
-        colourBtn.title = 'Change colour';
-        colourBtn.innerHTML = '<i class="bi bi-palette"></i>';
-        colourBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          // cycle to the next colour in the palette
-          const idx = COLORS.indexOf(note.color || COLORS[0]);
-          const nextCol = COLORS[(idx + 1) % COLORS.length];
-          note.color = nextCol;
-          saveNotes();
-          renderNotes();
-        });
-        actions.appendChild(colourBtn);
-        // Edit button
-        const editBtn = document.createElement('button');
-        editBtn.title = 'Edit note';
-        editBtn.innerHTML = '<i class="bi bi-pencil"></i>';
-        editBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          openEditModal(note.id);
-        });
-        actions.appendChild(editBtn);
-        // Delete button
-        const deleteBtn = document.createElement('button');
-        deleteBtn.title = 'Delete note';
-        deleteBtn.innerHTML = '<i class="bi bi-trash"></i>';
-        deleteBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          if (confirm('Delete this note?')) {
-            deleteNoteById(note.id);
-          }
+            if (!db.objectStoreNames.contains('meta')) {
+              db.createObjectStore('meta');
+            }
+            if (!db.objectStoreNames.contains('attachments')) {
+              db.createObjectStore('attachments');
+            }
+          };
+          request.onsuccess = () => resolve(request.result);
+          request.onerror = () => reject(request.error);
+          request.onblocked = () => reject(new Error('Database upgrade blocked'));
         });
-        actions.appendChild(deleteBtn);
-
-        card.appendChild(actions);
-        // Do not open the edit modal when clicking on the card itself.  The
-        // edit button provides the only entry point for editing.
-        container.appendChild(card);
       }
 
       /**
-       * Toggle checklist mode in the creation area.  When activated, the
-       * textarea is hidden and checklist items can be added.  When
-       * deactivated, items are discarded and any text from the first
-       * checklist item is moved into the content textarea.
+       * Storage backend that keeps the whole notes array in a single
+       * localStorage entry.  Used when IndexedDB is unavailable.
+       *
+       * Every backend exposes the same interface:
+       *  - name: label shown in the storage usage indicator
+       *  - load(): Promise resolving to the notes array
+       *  - save(notes): Promise resolving once the array is persisted
+       *  - estimate(): Promise resolving to {usage, quota} in bytes, or null
+       *  - loadAttachment(id): Promise resolving to the stored image record
+       *    ({blob, type, iv}, where iv is only set if it is encrypted), or
+       *    null
+       *  - saveAttachment(id, record): Promise resolving once it is stored
+       *  - pruneAttachments(keepIds): Promise resolving once images not in
+       *    the set (and older than ATTACHMENT_GRACE_MS) are removed
        */
-      function toggleChecklist() {
-        isChecklistMode = !isChecklistMode;
-        toggleChecklistBtn.classList.toggle('active', isChecklistMode);
-        if (isChecklistMode) {
-          noteContentInput.style.display = 'none';
-          checklistContainer.style.display = 'block';
-          // if there is text in the note content box, convert it into a
-          // checklist item
-          const content = noteContentInput.value.trim();
-          if (content) {
-            addChecklistItem(content);
-            noteContentInput.value = '';
-          } else if (checklistContainer.children.length === 0) {
-            addChecklistItem('');
-          }
-        } else {
-          // move the first checklist item back into the note content if there
-          // is only one and no content yet
-          if (
-            checklistContainer.children.length === 1 &&
-            !noteContentInput.value
-          ) {
-            const li = checklistContainer.firstElementChild;
-            const input = li.querySelector('input[type="text"]');
-            noteContentInput.value = input.value;
+      function createLocalStorageBackend() {
+        return {
+          name: 'localStorage',
+          async load() {
+            const data = JSON.parse(localStorage.getItem(STORAGE_KEY));
+            if (data === null) return [];
+            if (!Array.isArray(data)) throw new Error('The stored notes are not a list');
+            return data;
+          },
+          async save(list) {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(list));
+          },
+          async loadAttachment(id) {
+            const stored = JSON.parse(localStorage.getItem(ATTACHMENT_KEY_PREFIX + id));
+            if (!stored) return null;
+            const blob = new Blob([base64ToBytes(stored.data)], { type: stored.type });
+            return { blob, type: stored.type, iv: stored.iv };
+          },
+          async saveAttachment(id, { blob, type, iv }) {
+            // localStorage only holds text, so the image goes in as base64
+            const data = bytesToBase64(new Uint8Array(await blob.arrayBuffer()));
+            localStorage.setItem(
+              ATTACHMENT_KEY_PREFIX + id,
+              JSON.stringify({ type, iv, savedAt: Date.now(), data })
+            );
+          },
+          async pruneAttachments(keepIds) {
+            const cutoff = Date.now() - ATTACHMENT_GRACE_MS;
+            for (let i = localStorage.length - 1; i >= 0; i--) {
+              const key = localStorage.key(i);
+              if (!key.startsWith(ATTACHMENT_KEY_PREFIX)) continue;
+              if (keepIds.has(key.slice(ATTACHMENT_KEY_PREFIX.length))) continue;
+              let savedAt = 0;
+              try {
+                savedAt = JSON.parse(localStorage.getItem(key)).savedAt;
+              } catch (err) {
+                // unreadable, so of no use to anyone
+              }
+              if (!(savedAt > cutoff)) localStorage.removeItem(key);
+            }
+          },
+          async estimate() {
+            // localStorage has no quota API; count UTF-16 characters
+            // against the common 5 MB limit
+            let usage = 0;
+            for (let i = 0; i < localStorage.length; i++) {
+              const key = localStorage.key(i);
+              usage += (key.length + (localStorage.getItem(key) || '').length) * 2;
+            }
+            return { usage, quota: LOCAL_STORAGE_QUOTA };
           }
-          // clear checklist items
-          checklistContainer.innerHTML = '';
-          noteContentInput.style.display = 'block';
-          checklistContainer.style.display = 'none';
-        }
+        };
       }
 
       /**
-       * Add a new list item to the checklist container.  Each item
-       * comprises a checkbox (for future expansion), a text input and a
-       * delete button.
-       * @param {string} text Initial text for the item
-       * @param {boolean} checked Initial checked state
+       * Storage backend that writes one IndexedDB record per note.  It
+       * remembers what it last wrote so that save() only touches notes that
+       * were added, changed or removed, plus the order record when the
+       * arrangement changed.  Images are stored as blobs, one record each.
+       * @param {IDBDatabase} db Open database
        */
-      function addChecklistItem(text = '', checked = false) {
-        const li = document.createElement('li');
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = checked;
-        // when user checks/unchecks, just update attribute
-        checkbox.addEventListener('change', () => {
-          // nothing needed here; value will be collected when saving
-        });
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = text;
-        input.placeholder = 'List item';
-        // pressing Enter adds a new item
-        input.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter') {
-            e.preventDefault();
-            addChecklistItem('');
-            setTimeout(() => {
-              // focus the newly added item
-              const last = checklistContainer.lastElementChild;
-              if (last) last.querySelector('input[type="text"]').focus();
-            }, 0);
+      function createIndexedDBBackend(db) {
+        let written = new Map();
+        let writtenOrder = '';
+        return {
+          name: 'IndexedDB',
+          async load() {
+            const tx = db.transaction(['notes', 'meta'], 'readonly');
+            const [records, order] = await Promise.all([
+              requestToPromise(tx.objectStore('notes').getAll()),
+              requestToPromise(tx.objectStore('meta').get('order'))
+            ]);
+            const byId = new Map(records.map((record) => [record.id, record]));
+            const list = [];
+            (order || []).forEach((id) => {
+              if (!byId.has(id)) return;
+              list.push(byId.get(id));
+              byId.delete(id);
+            });
+            // records missing from the order record go last
+            byId.forEach((record) => list.push(record));
+            written = new Map(list.map((note) => [note.id, JSON.stringify(note)]));
+            writtenOrder = JSON.stringify(list.map((note) => note.id));
+            return list;
+          },
+          async save(list) {
+            const tx = db.transaction(['notes', 'meta'], 'readwrite');
+            const store = tx.objectStore('notes');
+            const next = new Map();
+            list.forEach((note) => {
+              const json = JSON.stringify(note);
+              next.set(note.id, json);
+              if (written.get(note.id) !== json) store.put(note);
+            });
+            written.forEach((json, id) => {
+              if (!next.has(id)) store.delete(id);
+            });
+            const ids = list.map((note) => note.id);
+            const order = JSON.stringify(ids);
+            if (order !== writtenOrder) tx.objectStore('meta').put(ids, 'order');
+            await transactionDone(tx);
+            written = next;
+            writtenOrder = order;
+          },
+          async loadAttachment(id) {
+            const tx = db.transaction('attachments', 'readonly');
+            const record = await requestToPromise(tx.objectStore('attachments').get(id));
+            return record || null;
+          },
+          async saveAttachment(id, record) {
+            const tx = db.transaction('attachments', 'readwrite');
+            tx.objectStore('attachments').put({ ...record, savedAt: Date.now() }, id);
+            await transactionDone(tx);
+          },
+          async pruneAttachments(keepIds) {
+            const tx = db.transaction('attachments', 'readwrite');
+            const cutoff = Date.now() - ATTACHMENT_GRACE_MS;
+            const request = tx.objectStore('attachments').openCursor();
+            request.onsuccess = () => {
+              const cursor = request.result;
+              if (!cursor) return;
+              if (!keepIds.has(cursor.key) && !(cursor.value.savedAt > cutoff)) cursor.delete();
+              cursor.continue();
+            };
+            await transactionDone(tx);
+          },
+          async estimate() {
+            if (!navigator.storage || !navigator.storage.estimate) return null;
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
           }
-        });
-        const removeBtn = document.createElement('button');
-        removeBtn.title = 'Remove item';
-        removeBtn.textContent = '✕';
-        removeBtn.className = 'icon-btn';
-        removeBtn.addEventListener('click', () => {
-          li.remove();
-        });
-        li.appendChild(checkbox);
-        li.appendChild(input);
-        li.appendChild(removeBtn);
-        checklistContainer.appendChild(li);
+        };
       }
 
       /**
-       * Collect data from the checklist container into an array of
-       * {text, checked} objects.  Empty items are ignored.
+       * Copy notes saved by earlier versions (a single localStorage entry)
+       * into IndexedDB.  Runs once.  Notes already in IndexedDB are never
+       * overwritten; those only in localStorage are added after them.  The
+       * localStorage entry is removed to free its quota, but only once its
+       * notes have been written, and kept if it is not a list of notes.
+       * @param {IDBDatabase} db Open database
+       * @param {Object} backend IndexedDB backend
        */
-      function collectChecklistItems(container) {
-        const items = [];
-        container.querySelectorAll('li').forEach((li) => {
-          const textInput = li.querySelector('input[type="text"]');
-          const check = li.querySelector('input[type="checkbox"]');
-          const text = textInput.value.trim();
-          if (text) {
-            items.push({ text, checked: check.checked });
-          }
-        });
-        return items;
+      async function migrateLocalStorageNotes(db, backend) {
+        const readTx = db.transaction('meta', 'readonly');
+        const migrated = await requestToPromise(readTx.objectStore('meta').get('migratedAt'));
+        if (migrated) return;
+        const raw = localStorage.getItem(STORAGE_KEY);
+        const data = raw ? JSON.parse(raw) : null;
+        if (Array.isArray(data) && data.length) {
+          const existing = await backend.load();
+          const existingIds = new Set(existing.map((record) => record.id));
+          const missing = data
+            .filter((record) => record && typeof record === 'object' && !existingIds.has(record.id))
+            // the id is the record key; loadNotes() repairs the rest
+            .map((record) => (record.id === undefined || record.id === null ? { ...record, id: generateId() } : record));
+          if (missing.length) await backend.save([...existing, ...missing]);
+        }
+        const writeTx = db.transaction('meta', 'readwrite');
+        writeTx.objectStore('meta').put(Date.now(), 'migratedAt');
+        await transactionDone(writeTx);
+        if (!raw || Array.isArray(data)) localStorage.removeItem(STORAGE_KEY);
       }
 
       /**
-       * Create a new note based on the input fields and add it to the
-       * notes array.  Returns true if the note was added.
+       * Pick the storage backend: IndexedDB when the browser provides it
+       * (migrating any localStorage notes on first run), otherwise
+       * localStorage.
+       * @returns {Promise<Object>} Storage backend
        */
-      function addNote() {
-        // create a note based on inputs; do not proceed if both title and content are empty
-        const title = noteTitleInput.value.trim();
-        if (!isChecklistMode) {
-          const content = noteContentInput.value.trim();
-          if (!title && !content) return false;
-          const newNote = {
-            id: Date.now().toString(),
-            title,
-            content,
-            checklist: false,
-            items: [],
-            color: currentColor,
-            pinned: false
-          };
-          notes.unshift(newNote);
-        } else {
-          const items = collectChecklistItems(checklistContainer);
-          if (!title && items.length === 0) return false;
-          const newNote = {
-            id: Date.now().toString(),
-            title,
-            content: '',
-            checklist: true,
-            items,
-            color: currentColor,
-            pinned: false
-          };
-          notes.unshift(newNote);
+      async function openStorage() {
+        if (!window.indexedDB) return createLocalStorageBackend();
+        try {
+          const db = await openDatabase();
+          const backend = createIndexedDBBackend(db);
+          await migrateLocalStorageNotes(db, backend);
+          return backend;
+        } catch (err) {
+          console.warn('IndexedDB unavailable, falling back to localStorage:', err);
+          return createLocalStorageBackend();
         }
-        // reset inputs
-        noteTitleInput.value = '';
-        noteContentInput.value = '';
-        checklistContainer.innerHTML = '';
-        if (isChecklistMode) {
-          // hide checklist after save to default back to note
-          toggleChecklist();
+      }
+
+      /**
+       * Write the current notes through the storage backend.  Writes are
+       * asynchronous and coalesced: while one is in flight, further calls
+       * only mark the notes dirty and a single follow-up write picks up
+       * the latest state.  Nothing is written while the app is locked or
+       * after the notes failed to load.
+       * @returns {Promise<void>}
+       */
+      function persistNotes() {
+        // while locked the notes are not in memory, so there is nothing to
+        // write (and writing would erase them)
+        if (appLocked) return Promise.resolve();
+        // nor when they could not be loaded, for the same reason
+        if (storageLoadFailed) {
+          showStorageLoadFailure();
+          return Promise.resolve();
         }
-        saveNotes();
-        renderNotes();
-        return true;
+        if (persistInFlight) {
+          persistQueued = true;
+          return persistInFlight;
+        }
+        persistInFlight = storage
+          .save(notes)
+          .then(() => broadcastChanges())
+          .catch((err) => {
+            console.error('Failed to save notes:', err);
+            const full = err && err.name === 'QuotaExceededError';
+            showSnackbar(full
+              ? 'Storage is full – your latest changes were not saved'
+              : 'Your latest changes could not be saved');
+          })
+          .then(() => {
+            persistInFlight = null;
+            updateStorageUsage();
+            if (persistQueued) {
+              persistQueued = false;
+              return persistNotes();
+            }
+            return undefined;
+          });
+        return persistInFlight;
       }
 
       /**
-       * Open the edit modal for a given note id.  Populate fields and set
-       * the editNoteId so we know which note to update on save.
-       * @param {string} noteId ID of the note to edit
+       * Format a byte count for display, e.g. "1.4 MB".
+       * @param {number} bytes Number of bytes
        */
-      function openEditModal(noteId) {
-        editNoteId = noteId;
-        const note = notes.find((n) => n.id === noteId);
-        if (!note) return;
-        // populate modal fields
-        editTitleInput.value = note.title || '';
-        editContentInput.value = '';
-        editChecklistContainer.innerHTML = '';
-        if (note.checklist) {
-          // hide text area and show checklist
-          editContentInput.style.display = 'none';
-          editChecklistContainer.style.display = 'block';
-          note.items.forEach((it) => {
-            const li = document.createElement('li');
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.checked = !!it.checked;
-            const input = document.createElement('input');
-            input.type = 'text';
-            input.value = it.text;
-            // allow adding new items on Enter
-            input.addEventListener('keydown', (e) => {
-              if (e.key === 'Enter') {
-                e.preventDefault();
-                addEditChecklistItem('', false);
-                setTimeout(() => {
-                  const last = editChecklistContainer.lastElementChild;
-                  if (last) last.querySelector('input[type="text"]').focus();
-                }, 0);
+      function formatBytes(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+        let value = bytes;
+        let unit = 0;
+        while (value >= 1024 && unit < units.length - 1) {
+          value /= 1024;
+          unit += 1;
+        }
+        const digits = value < 10 && unit > 0 ? 1 : 0;
+        return `${value.toFixed(digits)} ${units[unit]}`;
+      }
+
+      /**
+       * Refresh the storage usage indicator in the sidebar.  Usage above
+       * 80% of the quota is highlighted as a warning.
+       */
+      async function updateStorageUsage() {
+        if (!storageUsageEl || !storage) return;
+        let estimate = null;
+        try {
+          estimate = await storage.estimate();
+        } catch (err) {
+          console.warn('Could not estimate storage usage:', err);
+        }
+        if (!estimate || !estimate.quota) {
+          storageUsageEl.textContent = `Stored in ${storage.name}`;
+          storageUsageEl.classList.remove('warning');
+          return;
+        }
+        const ratio = estimate.usage / estimate.quota;
+        storageUsageEl.textContent =
+          `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used (${storage.name})`;
+        storageUsageEl.classList.toggle('warning', ratio > 0.8);
+      }
+
+      /**
+       * Encode bytes as base64 text.
+       * @param {Uint8Array} bytes Data to encode
+       */
+      function bytesToBase64(bytes) {
+        let binary = '';
+        // String.fromCharCode takes its arguments on the stack, so go in
+        // chunks
+        for (let i = 0; i < bytes.length; i += 0x8000) {
+          binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+      }
+
+      /**
+       * Decode base64 text into bytes.
+       * @param {string} text Base64 text
+       */
+      function base64ToBytes(text) {
+        return Uint8Array.from(atob(text), (ch) => ch.charCodeAt(0));
+      }
+
+      /**
+       * Whether the Web Crypto API is available.  Browsers only provide it
+       * on secure (HTTPS or localhost) pages.
+       */
+      function isCryptoAvailable() {
+        return Boolean(window.crypto && crypto.subtle && crypto.getRandomValues);
+      }
+
+      /**
+       * Derive an AES-GCM key from a passphrase with PBKDF2.
+       * @param {string} passphrase Passphrase typed by the user
+       * @param {Uint8Array} salt Random salt stored beside the data
+       * @param {number} iterations PBKDF2 iteration count
+       * @param {string[]} usages What the key may be used for
+       * @returns {Promise<CryptoKey>}
+       */
+      async function deriveKey(passphrase, salt, iterations, usages) {
+        const material = await crypto.subtle.importKey(
+          'raw',
+          new TextEncoder().encode(passphrase),
+          'PBKDF2',
+          false,
+          ['deriveKey']
+        );
+        return crypto.subtle.deriveKey(
+          { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+          material,
+          { name: 'AES-GCM', length: 256 },
+          false,
+          usages
+        );
+      }
+
+      /**
+       * Encrypt some text with AES-GCM under a fresh random IV.
+       * @param {CryptoKey} key Encryption key
+       * @param {string} text Plain text
+       * @returns {Promise<{iv: string, data: string}>} Base64 IV and
+       *   ciphertext
+       */
+      async function encryptText(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const data = await crypto.subtle.encrypt(
+          { name: 'AES-GCM', iv },
+          key,
+          new TextEncoder().encode(text)
+        );
+        return { iv: bytesToBase64(iv), data: bytesToBase64(new Uint8Array(data)) };
+      }
+
+      /**
+       * Decrypt text produced by encryptText().  Rejects if the key is
+       * wrong or the data was tampered with.
+       * @param {CryptoKey} key Encryption key
+       * @param {{iv: string, data: string}} payload Encrypted text
+       * @returns {Promise<string>} Plain text
+       */
+      async function decryptText(key, payload) {
+        const data = await crypto.subtle.decrypt(
+          { name: 'AES-GCM', iv: base64ToBytes(payload.iv) },
+          key,
+          base64ToBytes(payload.data)
+        );
+        return new TextDecoder().decode(data);
+      }
+
+      /**
+       * Read the vault record from localStorage.  It holds the key that
+       * notes are encrypted with, itself encrypted ("wrapped") with a key
+       * derived from the passphrase, so changing the passphrase only
+       * rewraps the key and never re-encrypts the notes.
+       * @returns {Object|null} Vault record, or null if the lock is off
+       */
+      function loadVault() {
+        try {
+          const stored = JSON.parse(localStorage.getItem(VAULT_KEY));
+          return stored && stored.salt && stored.iv && stored.key ? stored : null;
+        } catch (err) {
+          console.warn('Ignoring unreadable passphrase lock record:', err);
+          return null;
+        }
+      }
+
+      /**
+       * Wrap the notes key with a passphrase, producing a vault record.
+       * @param {CryptoKey} dataKey Extractable notes key
+       * @param {string} passphrase New passphrase
+       * @returns {Promise<Object>} Vault record
+       */
+      async function wrapVaultKey(dataKey, passphrase) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const iv = crypto.getRandomValues(new Uint8Array(12));
+        const wrappingKey = await deriveKey(passphrase, salt, PBKDF2_ITERATIONS, ['wrapKey']);
+        const wrapped = await crypto.subtle.wrapKey('raw', dataKey, wrappingKey, { name: 'AES-GCM', iv });
+        return {
+          version: 1,
+          salt: bytesToBase64(salt),
+          iterations: PBKDF2_ITERATIONS,
+          iv: bytesToBase64(iv),
+          key: bytesToBase64(new Uint8Array(wrapped))
+        };
+      }
+
+      /**
+       * Recover the notes key from a vault record with a passphrase.
+       * @param {Object} record Vault record
+       * @param {string} passphrase Passphrase to try
+       * @param {boolean} [extractable=false] Whether the key may be
+       *   wrapped again (to change the passphrase)
+       * @returns {Promise<CryptoKey|null>} The key, or null if the
+       *   passphrase is wrong
+       */
+      async function unwrapVaultKey(record, passphrase, extractable = false) {
+        const wrappingKey = await deriveKey(
+          passphrase,
+          base64ToBytes(record.salt),
+          record.iterations,
+          ['unwrapKey']
+        );
+        try {
+          return await crypto.subtle.unwrapKey(
+            'raw',
+            base64ToBytes(record.key),
+            wrappingKey,
+            { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+            'AES-GCM',
+            extractable,
+            ['encrypt', 'decrypt']
+          );
+        } catch (err) {
+          return null;
+        }
+      }
+
+      /**
+       * Check a passphrase against the vault, for use as askPassphrase()'s
+       * `check` option.
+       * @param {string} passphrase Passphrase typed by the user
+       * @returns {Promise<string>} An error message, or '' if it is right
+       */
+      async function checkVaultPassphrase(passphrase) {
+        return (await unwrapVaultKey(vault, passphrase)) ? '' : 'Wrong passphrase.';
+      }
+
+      /**
+       * Storage backend that encrypts each note before handing it to
+       * another backend, which then only ever sees `{id, encrypted}`
+       * records.  Notes that have not changed keep their previous record
+       * so that the backend below can still skip writing them.  Records
+       * without encryption (written before the lock was turned on) are
+       * read as they are and encrypted on the next save.  Records that
+       * cannot be decrypted (damaged, or written under another key) are
+       * left out of the notes but kept in storage as they are, and
+       * counted in `unreadable`.  Images are encrypted too, as raw bytes
+       * under their own IV.
+       * @param {Object} backend Backend to store the records in
+       * @param {CryptoKey} key Notes key
+       */
+      function createEncryptedBackend(backend, key) {
+        let written = new Map();
+        let unreadable = [];
+        return {
+          name: `${backend.name}, encrypted`,
+          get unreadable() {
+            return unreadable.length;
+          },
+          async load() {
+            const records = await backend.load();
+            const list = [];
+            written = new Map();
+            unreadable = [];
+            for (const record of records) {
+              if (record && record.encrypted) {
+                try {
+                  const json = await decryptText(key, record.encrypted);
+                  const note = JSON.parse(json);
+                  written.set(note.id, { json, record });
+                  list.push(note);
+                } catch (err) {
+                  console.error(`Could not decrypt note ${record.id}:`, err);
+                  unreadable.push(record);
+                }
+              } else {
+                list.push(record);
               }
+            }
+            return list;
+          },
+          async save(list) {
+            const next = new Map();
+            const records = await Promise.all(list.map(async (note) => {
+              const json = JSON.stringify(note);
+              const previous = written.get(note.id);
+              const record = previous && previous.json === json
+                ? previous.record
+                : { id: note.id, encrypted: await encryptText(key, json) };
+              next.set(note.id, { json, record });
+              return record;
+            }));
+            // unreadable records go back as they were, after the notes
+            const keptIds = new Set(list.map((note) => note.id));
+            unreadable.forEach((record) => {
+              if (!keptIds.has(record.id)) records.push(record);
             });
-            const removeBtn = document.createElement('button');
-            removeBtn.className = 'icon-btn';
-            removeBtn.textContent = '✕';
-            removeBtn.title = 'Remove item';
-            removeBtn.addEventListener('click', () => {
-              li.remove();
-            });
-            li.appendChild(checkbox);
-            li.appendChild(input);
-            li.appendChild(removeBtn);
-            editChecklistContainer.appendChild(li);
-          });
-          // ensure there is at least one empty item to add new
-          addEditChecklistItem('');
-        } else {
-          // normal note
-          editContentInput.style.display = 'block';
-          editChecklistContainer.style.display = 'none';
-          editContentInput.value = note.content;
-        }
-        // Show modal
-        editModal.classList.add('show');
-        editModal.setAttribute('aria-hidden', 'false');
+            await backend.save(records);
+            written = next;
+          },
+          async loadAttachment(id) {
+            const record = await backend.loadAttachment(id);
+            if (!record || !record.iv) return record;
+            const data = await crypto.subtle.decrypt(
+              { name: 'AES-GCM', iv: base64ToBytes(record.iv) },
+              key,
+              await record.blob.arrayBuffer()
+            );
+            return { blob: new Blob([data], { type: record.type }), type: record.type };
+          },
+          async saveAttachment(id, { blob, type }) {
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, await blob.arrayBuffer());
+            await backend.saveAttachment(id, { blob: new Blob([data]), type, iv: bytesToBase64(iv) });
+          },
+          pruneAttachments: (keepIds) => backend.pruneAttachments(keepIds),
+          estimate: () => backend.estimate()
+        };
       }
 
       /**
-       * Add a checklist item to the edit modal container.  Similar to the
-       * creation area but bound to the edit container.
-       * @param {string} text Item text
-       * @param {boolean} checked Checked state
+       * Wait until every pending write has reached storage.
        */
-      function addEditChecklistItem(text = '', checked = false) {
-        const li = document.createElement('li');
-        const checkbox = document.createElement('input');
-        checkbox.type = 'checkbox';
-        checkbox.checked = checked;
-        const input = document.createElement('input');
-        input.type = 'text';
-        input.value = text;
-        input.placeholder = 'List item';
-        input.addEventListener('keydown', (e) => {
-          if (e.key === 'Enter') {
-            e.preventDefault();
-            addEditChecklistItem('');
-            setTimeout(() => {
-              const last = editChecklistContainer.lastElementChild;
-              if (last) last.querySelector('input[type="text"]').focus();
-            }, 0);
-          }
+      async function flushNotes() {
+        while (persistInFlight) await persistInFlight;
+      }
+
+      /**
+       * Load the notes and show them, ending the locked state.
+       * @param {CryptoKey|null} key Notes key, or null when the lock is off
+       */
+      async function openNotes(key) {
+        vaultKey = key;
+        storage = key ? createEncryptedBackend(baseStorage, key) : baseStorage;
+        appLocked = false;
+        await loadNotes();
+        resetSyncedState(notes);
+        purgeExpiredTrash();
+        lastActivity = Date.now();
+        hideLockScreen();
+        renderNotes();
+        await restoreDrafts();
+        // after the drafts, whose images are kept too
+        pruneAttachments();
+        renderLockSettings();
+        updateStorageUsage();
+        // a share link opened while locked waits until now
+        openSharedLink();
+      }
+
+      /**
+       * Lock the app: finish writing, then drop the notes, the undo
+       * history and the key from memory and show the lock screen.  Open
+       * dialogs are closed and the creation area is emptied; unsaved text
+       * in either is kept in the encrypted drafts and comes back once
+       * unlocked.
+       */
+      async function lockApp() {
+        if (!vault || appLocked) return;
+        // persistNotes() refuses to write while locked, so let queued
+        // writes through first
+        await flushNotes();
+        await saveDrafts();
+        if (appLocked) return;
+        appLocked = true;
+        draftsRestored = false;
+        if (cardDrag) endCardDrag(false);
+        closeMenu();
+        // an unfinished drawing is dropped without asking, and the editor
+        // closes without asking about the changes its draft holds
+        sketch = null;
+        if (editNoteId) closeEditModal();
+        while (openDialogs.length) closeTopmostDialog();
+        clearNoteInput();
+        hideSnackbar();
+        notes = [];
+        undoStack = [];
+        redoStack = [];
+        lastSavedSnapshot = null;
+        vaultKey = null;
+        storage = baseStorage;
+        unlockedNoteIds.clear();
+        selectedNoteIds.clear();
+        releaseAttachmentUrls();
+        renderNotes();
+        showLockScreen();
+      }
+
+      /**
+       * Show the lock screen.  Everything behind it is made inert so that
+       * neither the pointer nor the keyboard can reach it.
+       */
+      function showLockScreen() {
+        Array.from(document.body.children).forEach((el) => {
+          if (el !== lockScreen) el.inert = true;
         });
-        const removeBtn = document.createElement('button');
-        removeBtn.className = 'icon-btn';
-        removeBtn.textContent = '✕';
-        removeBtn.title = 'Remove item';
-        removeBtn.addEventListener('click', () => {
-          li.remove();
+        unlockPassphraseInput.value = '';
+        unlockError.hidden = true;
+        lockScreen.hidden = false;
+        unlockPassphraseInput.focus();
+      }
+
+      /**
+       * Hide the lock screen and make the app usable again.
+       */
+      function hideLockScreen() {
+        lockScreen.hidden = true;
+        unlockPassphraseInput.value = '';
+        Array.from(document.body.children).forEach((el) => {
+          el.inert = false;
         });
-        li.appendChild(checkbox);
-        li.appendChild(input);
-        li.appendChild(removeBtn);
-        editChecklistContainer.appendChild(li);
       }
 
       /**
-       * Close the edit modal and reset state.
+       * Try the passphrase typed on the lock screen.
+       * @param {Event} e Submit event
        */
-      function closeEditModal() {
-        editModal.classList.remove('show');
-        editModal.setAttribute('aria-hidden', 'true');
-        editNoteId = null;
-        editChecklistContainer.innerHTML = '';
-        editContentInput.value = '';
-        editTitleInput.value = '';
+      async function submitUnlock(e) {
+        e.preventDefault();
+        if (!appLocked || !vault) return;
+        unlockBtn.disabled = true;
+        const key = await unwrapVaultKey(vault, unlockPassphraseInput.value);
+        unlockBtn.disabled = false;
+        if (!key) {
+          unlockError.textContent = 'Wrong passphrase.';
+          unlockError.hidden = false;
+          unlockPassphraseInput.select();
+          return;
+        }
+        await openNotes(key);
       }
 
       /**
-       * Open the view modal to display the full content of a note.  This
-       * function is invoked when a user clicks the Read More link on a
-       * truncated note.  It populates the modal with the note's title,
-       * content or checklist and builds a fresh set of action buttons
-       * (pin/unpin, colour cycle, edit and delete) that operate on the
-       * underlying note.  The modal can be dismissed by the user via
-       * closeViewModal().
-       * @param {string} noteId Identifier of the note to view
+       * Turn on the passphrase lock: choose a passphrase, create a random
+       * notes key and rewrite every note and image encrypted.  The vault
+       * record is written first, so an interrupted switch leaves readable
+       * records behind rather than unreadable ones.
+       * @returns {Promise<boolean>} Whether the lock was turned on
        */
-      function openViewModal(noteId) {
-        const note = notes.find((n) => n.id === noteId);
-        if (!note) return;
-        // populate title
-        viewTitleEl.textContent = note.title || '';
-        // populate content or checklist
-        viewContentEl.innerHTML = '';
-        if (note.checklist) {
-          const ul = document.createElement('ul');
-          ul.className = 'note-list';
-          note.items.forEach((item) => {
-            const li = document.createElement('li');
-            const checkbox = document.createElement('input');
-            checkbox.type = 'checkbox';
-            checkbox.checked = !!item.checked;
-            checkbox.disabled = true;
-            const span = document.createElement('span');
-            span.textContent = item.text;
-            if (item.checked) span.style.textDecoration = 'line-through';
-            li.appendChild(checkbox);
-            li.appendChild(span);
-            ul.appendChild(li);
-          });
-          viewContentEl.appendChild(ul);
-        } else {
-          // plain text note; preserve whitespace
-          const p = document.createElement('p');
-          p.textContent = note.content;
-          viewContentEl.appendChild(p);
+      async function enableLock() {
+        if (!isCryptoAvailable()) {
+          alert('The passphrase lock needs a secure (https) connection.');
+          return false;
         }
-        // build action buttons
-        viewNoteActions.innerHTML = '';
-        // Pin/unpin
-        const pinBtn = document.createElement('button');
-        pinBtn.title = note.pinned ? 'Unpin' : 'Pin';
-        pinBtn.innerHTML = note.pinned
-          ? '<i class="bi bi-pin-angle-fill"></i>'
-          : '<i class="bi bi-pin-angle"></i>';
-        pinBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          note.pinned = !note.pinned;
-          saveNotes();
-          renderNotes();
-          // refresh the modal to update the icon
-          openViewModal(noteId);
+        const passphrase = await askPassphrase({
+          title: 'Set up passphrase lock',
+          message: 'Your notes will be encrypted on this device and you will need this passphrase to open Simple Keep.  It cannot be recovered if you forget it.',
+          submitLabel: 'Turn on',
+          confirm: true
         });
-        viewNoteActions.appendChild(pinBtn);
-        // Colour cycle
-        const colourBtn = document.createElement('button');
-        colourBtn.title = 'Change colour';
-        colourBtn.innerHTML = '<i class="bi bi-palette"></i>';
-        colourBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          const idx = COLORS.indexOf(note.color || COLORS[0]);
-          const nextCol = COLORS[(idx + 1) % COLORS.length];
-          note.color = nextCol;
-          saveNotes();
-          renderNotes();
-          openViewModal(noteId);
+        if (!passphrase) return false;
+        const dataKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, [
+          'encrypt',
+          'decrypt'
+        ]);
+        const record = await wrapVaultKey(dataKey, passphrase);
+        await flushNotes();
+        localStorage.setItem(VAULT_KEY, JSON.stringify(record));
+        vault = record;
+        vaultKey = await unwrapVaultKey(record, passphrase);
+        storage = createEncryptedBackend(baseStorage, vaultKey);
+        await rewriteAttachments(baseStorage, storage);
+        await persistNotes();
+        rewriteDrafts();
+        renderLockSettings();
+        showSnackbar('Passphrase lock turned on');
+        return true;
+      }
+
+      /**
+       * Change the passphrase.  Only the vault record changes; the notes
+       * stay encrypted with the same key.
+       */
+      async function changePassphrase() {
+        let dataKey = null;
+        const current = await askPassphrase({
+          title: 'Change passphrase',
+          message: 'Enter your current passphrase.',
+          submitLabel: 'Next',
+          check: async (passphrase) => {
+            dataKey = await unwrapVaultKey(vault, passphrase, true);
+            return dataKey ? '' : 'Wrong passphrase.';
+          }
         });
-        viewNoteActions.appendChild(colourBtn);
-        // Edit button
-        const editBtn = document.createElement('button');
-        editBtn.title = 'Edit note';
-        editBtn.innerHTML = '<i class="bi bi-pencil"></i>';
-        editBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          closeViewModal();
-          openEditModal(noteId);
+        if (!current) return;
+        const passphrase = await askPassphrase({
+          title: 'Change passphrase',
+          message: 'Choose a new passphrase.',
+          submitLabel: 'Change',
+          confirm: true
         });
-        viewNoteActions.appendChild(editBtn);
-        // Delete button
-        const deleteBtn = document.createElement('button');
-        deleteBtn.title = 'Delete note';
-        deleteBtn.innerHTML = '<i class="bi bi-trash"></i>';
-        deleteBtn.addEventListener('click', (e) => {
-          e.stopPropagation();
-          if (confirm('Delete this note?')) {
-            deleteNoteById(noteId);
-            closeViewModal();
+        if (!passphrase) return;
+        vault = await wrapVaultKey(dataKey, passphrase);
+        localStorage.setItem(VAULT_KEY, JSON.stringify(vault));
+        showSnackbar('Passphrase changed');
+      }
+
+      /**
+       * Turn off the passphrase lock after confirming the passphrase.
+       * Every note and image is rewritten unencrypted and locked notes are
+       * unlocked; the vault record goes last, for the same reason as in
+       * enableLock().
+       */
+      async function disableLock() {
+        const lockedCount = notes.filter((n) => n.locked).length;
+        const extra = lockedCount ? `  ${countNotes(lockedCount)} will be unlocked.` : '';
+        const passphrase = await askPassphrase({
+          title: 'Turn off passphrase lock',
+          message: `Your notes will be stored unencrypted on this device.${extra}`,
+          submitLabel: 'Turn off',
+          check: checkVaultPassphrase
+        });
+        if (!passphrase) return;
+        notes.forEach((note) => {
+          if (!note.locked) return;
+          note.locked = false;
+          touchNote(note);
+        });
+        await flushNotes();
+        await rewriteAttachments(storage, baseStorage);
+        storage = baseStorage;
+        vaultKey = null;
+        saveNotes({ recordHistory: false });
+        await flushNotes();
+        localStorage.removeItem(VAULT_KEY);
+        vault = null;
+        rewriteDrafts();
+        unlockedNoteIds.clear();
+        renderNotes();
+        renderLockSettings();
+        showSnackbar('Passphrase lock turned off');
+      }
+
+      /**
+       * Follow a change to the passphrase lock made in another tab.  If it
+       * was turned on, this tab locks; if it was turned off, this tab
+       * stops encrypting (the other tab has already rewritten the notes).
+       */
+      function onVaultChanged() {
+        const previous = vault;
+        vault = loadVault();
+        if (vault && !previous) {
+          lockApp();
+        } else if (!vault && previous) {
+          unlockedNoteIds.clear();
+          if (appLocked) {
+            openNotes(null);
+          } else {
+            vaultKey = null;
+            storage = baseStorage;
+            rewriteDrafts();
+            renderNotes();
           }
+        }
+        renderLockSettings();
+      }
+
+      /**
+       * Update the passphrase lock controls in the sidebar.
+       */
+      function renderLockSettings() {
+        const on = Boolean(vault);
+        lockSetupBtn.querySelector('.sidebar-label').textContent = on
+          ? 'Turn off lock'
+          : 'Set up passphrase lock';
+        lockSetupBtn.title = on
+          ? 'Stop encrypting notes and asking for a passphrase'
+          : 'Encrypt notes on this device and protect them with a passphrase';
+        lockSetupBtn.disabled = !isCryptoAvailable();
+        lockNowBtn.hidden = !on;
+        changePassphraseBtn.hidden = !on;
+        autoLockOption.hidden = !on;
+        autoLockSelect.value = String(settings.autoLockMinutes);
+        if (!isCryptoAvailable()) {
+          lockStatus.textContent = 'Needs a secure (https) connection.';
+        } else {
+          lockStatus.textContent = on
+            ? 'Notes are encrypted on this device.'
+            : 'Notes are stored unencrypted.';
+        }
+      }
+
+      /**
+       * Lock the app after the configured time without any pointer or key
+       * activity in this tab.
+       */
+      function startAutoLock() {
+        const onActivity = () => {
+          lastActivity = Date.now();
+        };
+        ['pointerdown', 'keydown', 'wheel', 'touchstart'].forEach((type) => {
+          document.addEventListener(type, onActivity, { capture: true, passive: true });
         });
-        viewNoteActions.appendChild(deleteBtn);
-        // show the modal
-        viewModal.classList.add('show');
-        viewModal.setAttribute('aria-hidden', 'false');
+        setInterval(() => {
+          const minutes = settings.autoLockMinutes;
+          if (!vault || appLocked || !(minutes > 0)) return;
+          if (Date.now() - lastActivity >= minutes * 60 * 1000) lockApp();
+        }, AUTO_LOCK_CHECK_MS);
       }
 
       /**
-       * Close the view modal and clear its contents.
+       * Ask for a passphrase in a small dialog.  New passphrases
+       * (`confirm`) must be typed twice and be at least
+       * PASSPHRASE_MIN_LENGTH characters long; `check` can turn an entry
+       * down (a wrong passphrase, say) with a message, keeping the dialog
+       * open.
+       * @param {Object} options
+       * @param {string} options.title Dialog heading
+       * @param {string} options.message Explanation above the field
+       * @param {string} options.submitLabel Label of the confirm button
+       * @param {boolean} [options.confirm=false] Ask for a new passphrase
+       * @param {Function} [options.check] Async check returning an error
+       *   message, or '' to accept the passphrase
+       * @returns {Promise<string|null>} The passphrase, or null if the
+       *   dialog was closed
        */
-      function closeViewModal() {
+      function askPassphrase({ title, message, submitLabel, confirm = false, check = null }) {
+        if (passphraseRequest) closePassphraseDialog();
+        passphraseTitle.textContent = title;
+        passphraseMessage.textContent = message;
+        passphraseSubmitBtn.textContent = submitLabel;
+        passphraseInput.value = '';
+        passphraseInput.autocomplete = confirm ? 'new-password' : 'current-password';
+        passphraseConfirmInput.value = '';
+        passphraseConfirmInput.hidden = !confirm;
+        passphraseError.hidden = true;
+        openDialog(passphraseModal, passphraseInput);
+        return new Promise((resolve) => {
+          passphraseRequest = { resolve, confirm, check };
+        });
+      }
+
+      /**
+       * Validate the passphrase dialog and, if it passes, close it with
+       * the passphrase as the result.
+       * @param {Event} e Submit event
+       */
+      async function submitPassphrase(e) {
+        e.preventDefault();
+        const request = passphraseRequest;
+        if (!request) return;
+        const passphrase = passphraseInput.value;
+        let error = '';
+        if (!passphrase) {
+          error = 'Enter a passphrase.';
+        } else if (request.confirm && passphrase.length < PASSPHRASE_MIN_LENGTH) {
+          error = `Use at least ${PASSPHRASE_MIN_LENGTH} characters.`;
+        } else if (request.confirm && passphrase !== passphraseConfirmInput.value) {
+          error = 'The passphrases do not match.';
+        } else if (request.check) {
+          passphraseSubmitBtn.disabled = true;
+          error = await request.check(passphrase);
+          passphraseSubmitBtn.disabled = false;
+          // the dialog may have been closed while checking
+          if (passphraseRequest !== request) return;
+        }
+        if (error) {
+          passphraseError.textContent = error;
+          passphraseError.hidden = false;
+          passphraseInput.select();
+          return;
+        }
+        closePassphraseDialog(passphrase);
+      }
+
+      /**
+       * Close the passphrase dialog, answering the pending request.
+       * @param {string|null} [result=null] Passphrase to resolve with
+       */
+      function closePassphraseDialog(result = null) {
+        const request = passphraseRequest;
+        passphraseRequest = null;
+        closeDialog(passphraseModal);
+        passphraseInput.value = '';
+        passphraseConfirmInput.value = '';
+        if (request) request.resolve(result);
+      }
+
+      /**
+       * Whether a note's text is hidden because it is locked and has not
+       * been opened with the passphrase since the app was unlocked.
+       * Locks only apply while the passphrase lock is on.
+       * @param {Object} note Note object
+       */
+      function isNoteHidden(note) {
+        return Boolean(note.locked && vault && !unlockedNoteIds.has(note.id));
+      }
+
+      /**
+       * Ask for the passphrase to show a locked note.  It stays readable
+       * until the app locks.
+       * @param {string} id Note identifier
+       * @returns {Promise<boolean>} Whether the note was unlocked
+       */
+      async function unlockNote(id) {
+        const passphrase = await askPassphrase({
+          title: 'Locked note',
+          message: 'Enter your passphrase to open this note.',
+          submitLabel: 'Open',
+          check: checkVaultPassphrase
+        });
+        if (!passphrase) return false;
+        unlockedNoteIds.add(id);
+        renderNotes();
+        return true;
+      }
+
+      /**
+       * Lock or unlock a note.  Locking needs the passphrase lock, which is
+       * offered first if it is off; removing a lock from a hidden note asks
+       * for the passphrase.
+       * @param {string} id Note identifier
+       * @param {boolean} locked New state
+       */
+      async function setNoteLocked(id, locked) {
+        if (locked && !vault && !(await enableLock())) return;
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        if (!locked && isNoteHidden(note) && !(await unlockNote(id))) return;
+        note.locked = locked;
+        touchNote(note);
+        unlockedNoteIds.delete(id);
+        if (locked && viewNoteId === id) closeViewModal();
+        saveNotes();
+        renderNotes();
+        announce(locked ? 'Note locked' : 'Lock removed');
+      }
+
+      /**
+       * Download notes as a password-protected backup: the JSON backup
+       * encrypted with a key derived from a password chosen for the file.
+       * importBackupFile() recognises the format and asks for the password.
+       * @param {Object[]} [list=notes] Notes to export, e.g. the selection
+       */
+      async function exportEncryptedBackup(list = notes) {
+        if (!isCryptoAvailable()) {
+          alert('Password-protected backups need a secure (https) connection.');
+          return;
+        }
+        const password = await askPassphrase({
+          title: 'Password-protected backup',
+          message: 'Choose a password for this backup.  You will need it to import the file.',
+          submitLabel: 'Export',
+          confirm: true
+        });
+        if (!password) return;
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const key = await deriveKey(password, salt, PBKDF2_ITERATIONS, ['encrypt']);
+        const backup = {
+          format: ENCRYPTED_BACKUP_FORMAT,
+          version: 1,
+          kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: PBKDF2_ITERATIONS, salt: bytesToBase64(salt) },
+          cipher: 'AES-GCM',
+          ...(await encryptText(key, JSON.stringify(await createBackup(list))))
+        };
+        const blob = new Blob([JSON.stringify(backup, null, 2)], { type: 'application/json' });
+        downloadBlob(blob, `simple-keep-notes-${fileTimestamp()}.json`);
+      }
+
+      /**
+       * Whether parsed JSON is a backup written by exportEncryptedBackup().
+       * @param {*} data Parsed file contents
+       */
+      function isEncryptedBackup(data) {
+        return Boolean(data && data.format === ENCRYPTED_BACKUP_FORMAT && data.kdf && data.data);
+      }
+
+      /**
+       * Ask for a backup's password and decrypt it.
+       * @param {Object} backup Parsed encrypted backup
+       * @returns {Promise<*|null>} The backup's contents, or null if the
+       *   dialog was closed
+       */
+      async function decryptBackup(backup) {
+        let records = null;
+        const password = await askPassphrase({
+          title: 'Password-protected backup',
+          message: 'Enter the password this backup was exported with.',
+          submitLabel: 'Import',
+          check: async (attempt) => {
+            try {
+              const key = await deriveKey(
+                attempt,
+                base64ToBytes(backup.kdf.salt),
+                backup.kdf.iterations,
+                ['decrypt']
+              );
+              records = JSON.parse(await decryptText(key, backup));
+              return '';
+            } catch (err) {
+              return 'Wrong password, or the file is damaged.';
+            }
+          }
+        });
+        return password ? records : null;
+      }
+
+      /**
+       * Ids of every image the notes refer to, including notes in the
+       * trash.
+       * @param {Object[]} [list=notes] Notes array
+       * @returns {Set<string>} Attachment ids
+       */
+      function getAttachmentIds(list = notes) {
+        return new Set(list.flatMap((note) => note.attachments.map((attachment) => attachment.id)));
+      }
+
+      /**
+       * Ids of every image that has to be kept: those of the notes, of the
+       * creation area and the editor, and of the drafts any tab has
+       * stored.  Drafts that cannot be decrypted are passed over, as they
+       * can never be restored.
+       * @returns {Promise<Set<string>>} Attachment ids
+       */
+      async function getKeptAttachmentIds() {
+        const ids = getAttachmentIds();
+        currentAttachments.concat(editAttachments).forEach((attachment) => ids.add(attachment.id));
+        for (const key of getStoredDraftsKeys()) {
+          const record = readDraftsRecord(key);
+          if (!record) continue;
+          let drafts;
+          try {
+            drafts = await openDrafts(record);
+          } catch (err) {
+            continue;
+          }
+          [drafts.note, drafts.edit].forEach((draft) => {
+            if (!draft || !Array.isArray(draft.attachments)) return;
+            draft.attachments.forEach((attachment) => {
+              if (attachment && typeof attachment.id === 'string') ids.add(attachment.id);
+            });
+          });
+        }
+        return ids;
+      }
+
+      /**
+       * Remove stored images that nothing refers to any more: those of
+       * deleted notes, removed images and drawings that were redrawn.  Runs
+       * once the notes are loaded, while the undo history is still empty
+       * and so cannot bring any of them back.  Skipped when some notes
+       * could not be read, since their images would look unused.
+       */
+      function pruneAttachments() {
+        if (storageLoadFailed || storage.unreadable) return;
+        getKeptAttachmentIds()
+          .then((ids) => storage.pruneAttachments(ids))
+          .catch((err) => {
+            console.warn('Could not remove unused images:', err);
+          });
+      }
+
+      /**
+       * Copy the images the notes and drafts refer to from one backend to
+       * another, when the passphrase lock is turned on or off.
+       * @param {Object} from Backend to read from
+       * @param {Object} to Backend to write to
+       */
+      async function rewriteAttachments(from, to) {
+        for (const id of await getKeptAttachmentIds()) {
+          try {
+            const record = await from.loadAttachment(id);
+            if (record) await to.saveAttachment(id, { blob: record.blob, type: record.type });
+          } catch (err) {
+            console.warn('Could not rewrite an image:', err);
+          }
+        }
+      }
+
+      /**
+       * Store the image of a new attachment.
+       * @param {Object} attachment Attachment details
+       * @param {Blob} blob Image data
+       */
+      async function storeAttachment(attachment, blob) {
+        await storage.saveAttachment(attachment.id, { blob, type: attachment.type });
+        attachmentUrls.set(attachment.id, Promise.resolve(URL.createObjectURL(blob)));
+      }
+
+      /**
+       * Get an object URL for a stored image, loading it on first use.
+       * @param {string} id Attachment id
+       * @returns {Promise<string|null>} The URL, or null if the image is
+       *   missing or unreadable
+       */
+      function loadAttachmentUrl(id) {
+        if (!attachmentUrls.has(id)) {
+          const url = storage.loadAttachment(id).then(
+            (record) => (record ? URL.createObjectURL(record.blob) : null),
+            (err) => {
+              console.warn('Could not load an image:', err);
+              return null;
+            }
+          );
+          attachmentUrls.set(id, url);
+        }
+        return attachmentUrls.get(id);
+      }
+
+      /**
+       * Drop every object URL made for images, so that no decrypted image
+       * stays in memory while the app is locked.
+       */
+      function releaseAttachmentUrls() {
+        attachmentUrls.forEach((url) => {
+          url.then((value) => {
+            if (value) URL.revokeObjectURL(value);
+          });
+        });
+        attachmentUrls.clear();
+      }
+
+      /**
+       * Encode an image as a data URL.
+       * @param {Blob} blob Image data
+       * @param {string} type MIME type
+       * @returns {Promise<string>} data: URL
+       */
+      async function blobToDataUrl(blob, type) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        return `data:${type};base64,${bytesToBase64(bytes)}`;
+      }
+
+      /**
+       * Decode an image from a data URL.
+       * @param {string} url data: URL
+       * @returns {Blob|null} Image data, or null if it is not a base64
+       *   image
+       */
+      function dataUrlToBlob(url) {
+        const match = /^data:(image\/[\w.+-]+);base64,([A-Za-z0-9+/=]*)$/.exec(url);
+        if (!match) return null;
+        try {
+          return new Blob([base64ToBytes(match[2])], { type: match[1] });
+        } catch (err) {
+          return null;
+        }
+      }
+
+      /**
+       * Copies of notes for a backup, with each image embedded in its
+       * attachment as a data URL.  An image that cannot be read is left
+       * out; its attachment still lists it.
+       * @param {Object[]} list Notes to back up
+       * @returns {Promise<Object[]>} Notes with images
+       */
+      async function withAttachmentData(list) {
+        return Promise.all(list.map(async (note) => {
+          if (!note.attachments.length) return note;
+          const attachments = await Promise.all(note.attachments.map(async (attachment) => {
+            try {
+              const record = await storage.loadAttachment(attachment.id);
+              if (record) return { ...attachment, data: await blobToDataUrl(record.blob, attachment.type) };
+            } catch (err) {
+              console.warn('Could not read an image for the backup:', err);
+            }
+            return attachment;
+          }));
+          return { ...note, attachments };
+        }));
+      }
+
+      /**
+       * Store the images embedded in imported notes (see
+       * withAttachmentData()) and take them out of the notes.
+       * @param {Object[]} list Imported notes
+       * @returns {Promise<number>} How many images could not be stored
+       */
+      async function storeImportedAttachments(list) {
+        let failed = 0;
+        for (const note of list) {
+          for (const attachment of note.attachments) {
+            if (attachment.data === undefined) continue;
+            const blob = dataUrlToBlob(attachment.data);
+            delete attachment.data;
+            try {
+              if (!blob) throw new Error('not a base64 image');
+              await storeAttachment(attachment, blob);
+            } catch (err) {
+              console.warn('Could not import an image:', err);
+              failed += 1;
+            }
+          }
+        }
+        return failed;
+      }
+
+      /**
+       * Serialise each note by id.  Used to work out which notes changed
+       * between two states of the collection.
+       * @param {Object[]} list Notes array
+       * @returns {Map<string, string>} Note JSON keyed by id
+       */
+      function indexNotes(list) {
+        return new Map(list.map((note) => [note.id, JSON.stringify(note)]));
+      }
+
+      /**
+       * Record the given notes as the state this tab shares with other
+       * tabs.  Later broadcasts only carry differences from it.
+       * @param {Object[]} list Notes array
+       */
+      function resetSyncedState(list) {
+        syncedNotes = indexNotes(list);
+        syncedOrder = JSON.stringify(list.map((note) => note.id));
+      }
+
+      /**
+       * Open the channel used to tell other tabs about changes.
+       * BroadcastChannel is preferred; older browsers get a storage event
+       * fired by writing (and immediately removing) SYNC_KEY.
+       */
+      function initSync() {
+        resetSyncedState(notes);
+        if (typeof BroadcastChannel === 'function') {
+          syncChannel = new BroadcastChannel(SYNC_CHANNEL);
+          syncChannel.addEventListener('message', (e) => receiveRemoteChange(e.data));
+        }
+        window.addEventListener('storage', (e) => {
+          if (e.key === SYNC_KEY && e.newValue && !syncChannel) {
+            try {
+              receiveRemoteChange(JSON.parse(e.newValue));
+            } catch (err) {
+              console.warn('Ignoring unreadable sync message:', err);
+            }
+          } else if (e.key === VAULT_KEY) {
+            onVaultChanged();
+          } else if (e.key === THEME_KEY) {
+            applyTheme();
+          } else if (e.key === APPEARANCE_KEY) {
+            // theme colours or palettes changed in another tab
+            loadAppearance();
+            applyThemeColours();
+            if (themeModal.classList.contains('show')) renderThemeEditor();
+          } else if (e.key === SETTINGS_KEY) {
+            // settings changed in another tab
+            loadSettings();
+            hashtagLabelsToggle.checked = settings.hashtagLabels;
+            markdownToggle.checked = settings.markdown;
+            saveOnCloseToggle.checked = settings.saveOnClose;
+            trashDaysInput.value = settings.trashRetentionDays;
+            autoLockSelect.value = String(settings.autoLockMinutes);
+            renderNotes();
+          }
+        });
+      }
+
+      /**
+       * Tell other tabs what changed since the last broadcast: notes that
+       * were added or modified, ids that were removed and, if the
+       * arrangement changed, the new order.  Called after every write.
+       */
+      function broadcastChanges() {
+        if (!syncedNotes) return;
+        const current = indexNotes(notes);
+        const upserts = [];
+        const deletes = [];
+        current.forEach((json, id) => {
+          if (syncedNotes.get(id) !== json) upserts.push(JSON.parse(json));
+        });
+        syncedNotes.forEach((json, id) => {
+          if (!current.has(id)) deletes.push(id);
+        });
+        const ids = notes.map((note) => note.id);
+        const order = JSON.stringify(ids);
+        if (!upserts.length && !deletes.length && order === syncedOrder) return;
+        const change = { upserts, deletes, order: order === syncedOrder ? null : ids };
+        syncedNotes = current;
+        syncedOrder = order;
+        try {
+          if (syncChannel) {
+            syncChannel.postMessage(change);
+          } else if (!vault) {
+            // this fallback passes note text through localStorage, so it
+            // is not used while the passphrase lock keeps notes encrypted
+            localStorage.setItem(SYNC_KEY, JSON.stringify({ ...change, sentAt: Date.now() }));
+            localStorage.removeItem(SYNC_KEY);
+          }
+        } catch (err) {
+          console.warn('Could not notify other tabs of changes:', err);
+        }
+      }
+
+      /**
+       * Merge a change from another tab into a notes array.  Removed ids
+       * are dropped and incoming notes replace local ones, except where
+       * both tabs edited the same note at once: then the more recently
+       * updated copy wins.  When an order is given it is followed; notes it
+       * does not mention (added here but not yet seen by the other tab)
+       * stay at the front.
+       * @param {Object[]} list Notes array to merge into
+       * @param {Object} change Change from broadcastChanges()
+       * @param {Function} [isPending] Whether a local note has edits the
+       *   other tab has not seen yet
+       * @returns {Object[]} Merged notes array
+       */
+      function mergeRemoteChange(list, change, isPending = () => false) {
+        const byId = new Map(list.map((note) => [note.id, note]));
+        change.deletes.forEach((id) => byId.delete(id));
+        change.upserts.forEach((incoming) => {
+          const local = byId.get(incoming.id);
+          const keepLocal = local && isPending(local) && local.updatedAt > incoming.updatedAt;
+          if (!keepLocal) byId.set(incoming.id, incoming);
+        });
+        const order = change.order || list.map((note) => note.id);
+        const ordered = order.filter((id) => byId.has(id));
+        const placed = new Set(ordered);
+        const extra = [...byId.keys()].filter((id) => !placed.has(id));
+        return [...extra, ...ordered].map((id) => byId.get(id));
+      }
+
+      /**
+       * Apply a change broadcast by another tab.  The merged notes become
+       * the current state without adding an undo step, and the undo/redo
+       * history is rebased onto the change so that undoing a local action
+       * never reverts work done elsewhere.  If this tab still holds newer
+       * edits than the sender, they are written and sent back so that
+       * both tabs converge.
+       * @param {Object} change Change from broadcastChanges()
+       */
+      function receiveRemoteChange(change) {
+        // a locked tab reloads everything from storage when unlocked
+        if (appLocked) return;
+        if (!change || !Array.isArray(change.upserts) || !Array.isArray(change.deletes)) return;
+        const { notes: upserts } = migrateNotes(change.upserts);
+        const remote = { ...change, upserts };
+        const editedBefore = editNoteId ? notes.find((n) => n.id === editNoteId) : null;
+        const isPending = (note) => syncedNotes.get(note.id) !== JSON.stringify(note);
+        notes = mergeRemoteChange(notes, remote, isPending);
+        const rebase = (snapshot) => JSON.stringify(mergeRemoteChange(JSON.parse(snapshot), remote));
+        undoStack = undoStack.map(rebase);
+        redoStack = redoStack.map(rebase);
+        lastSavedSnapshot = JSON.stringify(notes);
+        // what the sender now has
+        remote.deletes.forEach((id) => syncedNotes.delete(id));
+        remote.upserts.forEach((note) => syncedNotes.set(note.id, JSON.stringify(note)));
+        if (remote.order) syncedOrder = JSON.stringify(remote.order);
+        const current = indexNotes(notes);
+        const diverged =
+          syncedOrder !== JSON.stringify(notes.map((note) => note.id)) ||
+          [...current].some(([id, json]) => syncedNotes.get(id) !== json);
+        if (diverged) persistNotes();
+        refreshOpenDialogs(editedBefore);
+        renderNotes();
+      }
+
+      /**
+       * Bring open dialogs up to date after another tab changed the notes.
+       * The view modal simply re-renders (or closes if its note is gone).
+       * The edit modal reloads silently when it has no unsaved edits;
+       * otherwise the user's edits are kept and a notice explains what
+       * happened, offering to load the other tab's version.  Saving a note
+       * that was trashed or deleted elsewhere brings it back.
+       * @param {Object|null} editedBefore Edited note before the merge
+       */
+      function refreshOpenDialogs(editedBefore) {
+        if (viewNoteId) {
+          if (notes.some((n) => n.id === viewNoteId)) {
+            openViewModal(viewNoteId);
+          } else {
+            closeViewModal();
+          }
+        }
+        if (reminderNoteId && !notes.some((n) => n.id === reminderNoteId)) {
+          closeReminderModal();
+        }
+        if (historyNoteId) {
+          if (notes.some((n) => n.id === historyNoteId)) {
+            renderHistory();
+          } else {
+            closeHistoryModal();
+          }
+        }
+        if (!editNoteId || !editedBefore) return;
+        const edited = notes.find((n) => n.id === editNoteId);
+        if (edited === editedBefore) return;
+        const dirty = readEditForm() !== editFormBaseline;
+        if (!edited) {
+          editOrphan = editedBefore;
+          showEditSyncNotice('This note was deleted in another tab.  Save to keep your version.', false);
+        } else if (edited.deletedAt && !editedBefore.deletedAt) {
+          showEditSyncNotice('This note was moved to the Trash in another tab.  Save to keep your version.', false);
+        } else if (!dirty) {
+          openEditModal(editNoteId);
+          showSnackbar('This note was updated in another tab');
+        } else {
+          showEditSyncNotice('This note was changed in another tab.', true);
+        }
+      }
+
+      /**
+       * Show the notice at the top of the edit modal.
+       * @param {string} message Text to display
+       * @param {boolean} canReload Offer to load the latest version
+       */
+      function showEditSyncNotice(message, canReload) {
+        editSyncMessage.textContent = message;
+        editSyncReloadBtn.hidden = !canReload;
+        editSyncNotice.hidden = false;
+      }
+
+      /**
+       * Generate a collision-free note identifier.  Uses randomUUID where
+       * available and otherwise combines the time with random digits.
+       */
+      function generateId() {
+        if (window.crypto && typeof crypto.randomUUID === 'function') {
+          return crypto.randomUUID();
+        }
+        const random = Math.random().toString(36).slice(2, 10);
+        return `${Date.now().toString(36)}-${random}`;
+      }
+
+      /**
+       * Create a note with every field of the current schema filled in.
+       * Any field can be overridden; timestamps default to now.
+       * @param {Object} [fields] Values to use instead of the defaults
+       * @returns {Object} New note
+       */
+      function createNote(fields = {}) {
+        const now = Date.now();
+        return {
+          schemaVersion: SCHEMA_VERSION,
+          id: generateId(),
+          title: '',
+          content: '',
+          checklist: false,
+          items: [],
+          color: COLORS[0],
+          pinned: false,
+          archived: false,
+          deletedAt: null,
+          labels: [],
+          reminder: null,
+          locked: false,
+          attachments: [],
+          revisions: [],
+          createdAt: now,
+          updatedAt: now,
+          ...fields
+        };
+      }
+
+      /**
+       * Record that a note was just modified.
+       * @param {Object} note Note object
+       */
+      function touchNote(note) {
+        note.updatedAt = Date.now();
+      }
+
+      /**
+       * Upgrade steps between schema versions.  MIGRATIONS[n] turns a
+       * version n note into a version n + 1 note.  Records without a
+       * schemaVersion are treated as version 0.
+       */
+      const MIGRATIONS = [
+        // 0 → 1: notes from before the schema existed.  Their ids were
+        // Date.now() strings, which doubles as a creation time.
+        (note) => {
+          const idTime = Number(note.id);
+          const created = Number.isFinite(idTime) && idTime > 0 ? idTime : Date.now();
+          return {
+            ...note,
+            createdAt: note.createdAt || created,
+            updatedAt: note.updatedAt || note.createdAt || created
+          };
+        },
+        // 1 → 2: checklist items gain a nesting depth
+        (note) => ({
+          ...note,
+          items: Array.isArray(note.items)
+            ? note.items.map((item) => (item && typeof item === 'object' ? { indent: 0, ...item } : item))
+            : note.items
+        }),
+        // 2 → 3: notes can be locked behind the passphrase
+        (note) => ({ locked: false, ...note }),
+        // 3 → 4: notes can hold images and drawings
+        (note) => ({ attachments: [], ...note }),
+        // 4 → 5: notes keep earlier versions of their text
+        (note) => ({ revisions: [], ...note })
+      ];
+
+      /**
+       * Check every field of a (migrated) note against the schema, fixing
+       * what can be fixed.  Each fix is recorded in `problems`.
+       * @param {Object} note Note at SCHEMA_VERSION
+       * @param {string[]} problems Receives a description of each repair
+       * @returns {Object} Repaired note
+       */
+      function repairNote(note, problems) {
+        const fixed = createNote({ createdAt: note.createdAt, updatedAt: note.updatedAt });
+        const isText = (value) => typeof value === 'string';
+        const isTime = (value) => Number.isFinite(value) && value > 0;
+
+        if (isText(note.id) && note.id) fixed.id = note.id;
+        else if (typeof note.id === 'number') fixed.id = String(note.id);
+        else problems.push('missing id');
+
+        ['title', 'content'].forEach((field) => {
+          if (note[field] === undefined || note[field] === null) return;
+          if (isText(note[field])) fixed[field] = note[field];
+          else {
+            fixed[field] = String(note[field]);
+            problems.push(`${field} was not text`);
+          }
+        });
+
+        fixed.checklist = !!note.checklist;
+        if (Array.isArray(note.items)) {
+          note.items.forEach((item) => {
+            if (item && isText(item.text)) {
+              fixed.items.push({ text: item.text, checked: !!item.checked, indent: item.indent });
+            } else if (isText(item)) {
+              fixed.items.push({ text: item, checked: false, indent: 0 });
+            } else {
+              problems.push('dropped an unreadable checklist item');
+            }
+          });
+          const depths = fixed.items.map((item) => item.indent);
+          normaliseItemIndents(fixed.items);
+          if (fixed.items.some((item, i) => item.indent !== depths[i])) {
+            problems.push('fixed checklist nesting');
+          }
+        } else if (note.items !== undefined) {
+          problems.push('checklist items were not a list');
+        }
+
+        if (isText(note.color) && /^#[0-9a-f]{6}$/i.test(note.color)) {
+          fixed.color = note.color.toUpperCase();
+        } else if (note.color !== undefined) {
+          problems.push('invalid colour');
+        }
+
+        fixed.pinned = !!note.pinned;
+        fixed.archived = !!note.archived;
+        fixed.locked = !!note.locked;
+        if (isTime(note.deletedAt)) fixed.deletedAt = note.deletedAt;
+
+        if (Array.isArray(note.labels)) {
+          mergeLabels(fixed.labels, note.labels.filter(isText));
+          if (fixed.labels.length !== note.labels.length) {
+            problems.push('removed invalid or duplicate labels');
+          }
+        } else if (note.labels !== undefined) {
+          problems.push('labels were not a list');
+        }
+
+        const reminder = note.reminder;
+        if (reminder && isTime(reminder.due)) {
+          const repeats = ['none', 'daily', 'weekly', 'monthly'];
+          fixed.reminder = {
+            due: reminder.due,
+            repeat: repeats.includes(reminder.repeat) ? reminder.repeat : 'none',
+            fired: !!reminder.fired
+          };
+        } else if (reminder) {
+          problems.push('dropped an invalid reminder');
+        }
+
+        // each attachment describes an image kept in the attachment store;
+        // backups also carry the image itself as a data URL
+        const isSize = (value) => Number.isInteger(value) && value > 0;
+        if (Array.isArray(note.attachments)) {
+          note.attachments.forEach((attachment) => {
+            const valid = attachment && isText(attachment.id) && attachment.id &&
+              ATTACHMENT_KINDS.includes(attachment.kind) &&
+              isText(attachment.type) && attachment.type.startsWith('image/') &&
+              isSize(attachment.width) && isSize(attachment.height);
+            if (!valid || fixed.attachments.some((a) => a.id === attachment.id)) {
+              problems.push('dropped an unreadable attachment');
+              return;
+            }
+            const { id, kind, type, width, height, data } = attachment;
+            const repaired = { id, kind, type, width, height };
+            if (isText(data)) repaired.data = data;
+            fixed.attachments.push(repaired);
+          });
+        } else if (note.attachments !== undefined) {
+          problems.push('attachments were not a list');
+        }
+
+        // earlier versions of the text, oldest first
+        if (Array.isArray(note.revisions)) {
+          note.revisions.forEach((revision) => {
+            const valid = revision && isTime(revision.savedAt) &&
+              isText(revision.title) && isText(revision.content) &&
+              Array.isArray(revision.items);
+            if (!valid) {
+              problems.push('dropped an unreadable revision');
+              return;
+            }
+            const items = revision.items
+              .filter((item) => item && isText(item.text))
+              .map((item) => ({ text: item.text, checked: !!item.checked, indent: item.indent }));
+            normaliseItemIndents(items);
+            fixed.revisions.push({
+              savedAt: revision.savedAt,
+              title: revision.title,
+              content: revision.content,
+              checklist: !!revision.checklist,
+              items
+            });
+          });
+          fixed.revisions.splice(0, fixed.revisions.length - REVISION_LIMIT);
+        } else if (note.revisions !== undefined) {
+          problems.push('revisions were not a list');
+        }
+
+        if (!isTime(fixed.createdAt)) {
+          fixed.createdAt = Date.now();
+          problems.push('missing creation time');
+        }
+        if (!isTime(fixed.updatedAt)) fixed.updatedAt = fixed.createdAt;
+        return fixed;
+      }
+
+      /**
+       * Run a list of raw note records through the migration pipeline:
+       * upgrade each to SCHEMA_VERSION, repair invalid fields, replace
+       * duplicate ids and reject records that cannot be used.
+       * @param {Array} records Raw records from storage or an import
+       * @returns {{notes: Object[], report: Object}} Usable notes and a
+       *   report of what was migrated, repaired and rejected
+       */
+      function migrateNotes(records) {
+        const report = { total: records.length, migrated: 0, repaired: [], rejected: [] };
+        const seenIds = new Set();
+        const result = [];
+        records.forEach((record, index) => {
+          const name = record && typeof record.title === 'string' && record.title
+            ? `"${record.title}"`
+            : `#${index + 1}`;
+          if (!record || typeof record !== 'object' || Array.isArray(record)) {
+            report.rejected.push({ name, reason: 'not a note object' });
+            return;
+          }
+          let version = Number.isInteger(record.schemaVersion) ? record.schemaVersion : 0;
+          if (version > SCHEMA_VERSION) {
+            report.rejected.push({ name, reason: 'saved by a newer version of Simple Keep' });
+            return;
+          }
+          let note = record;
+          if (version < SCHEMA_VERSION) report.migrated += 1;
+          while (version < SCHEMA_VERSION) {
+            note = MIGRATIONS[version](note);
+            version += 1;
+          }
+          const problems = [];
+          note = repairNote(note, problems);
+          if (seenIds.has(note.id)) {
+            note.id = generateId();
+            problems.push('duplicate id replaced');
+          }
+          seenIds.add(note.id);
+          if (problems.length) report.repaired.push({ name, problems });
+          result.push(note);
+        });
+        return { notes: result, report };
+      }
+
+      /**
+       * Summarise a migration report in a few readable lines, or return an
+       * empty string if every record was already valid.
+       * @param {Object} report Report returned by migrateNotes()
+       */
+      function formatMigrationReport(report) {
+        const lines = [];
+        if (report.migrated) {
+          lines.push(`${report.migrated} note(s) upgraded from an older format.`);
+        }
+        report.repaired.forEach(({ name, problems }) => {
+          lines.push(`Repaired ${name}: ${problems.join(', ')}.`);
+        });
+        report.rejected.forEach(({ name, reason }) => {
+          lines.push(`Skipped ${name}: ${reason}.`);
+        });
+        return lines.join('\n');
+      }
+
+      /**
+       * Load user settings from localStorage, falling back to the defaults
+       * for anything missing or unreadable.
+       */
+      function loadSettings() {
+        try {
+          const stored = JSON.parse(localStorage.getItem(SETTINGS_KEY));
+          settings = { ...DEFAULT_SETTINGS, ...(stored && typeof stored === 'object' ? stored : {}) };
+        } catch (err) {
+          console.warn('Failed to parse settings from storage:', err);
+          settings = { ...DEFAULT_SETTINGS };
+        }
+      }
+
+      /**
+       * Persist the current settings object into localStorage.
+       */
+      function saveSettings() {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+      }
+
+      /**
+       * Initialise the colour palette for note creation.  Each button sets
+       * the colour of the new note; the last one opens the colour picker,
+       * which also offers the user's own palettes.
+       */
+      function initColourButtons() {
+        COLORS.forEach((col) => {
+          const btn = document.createElement('button');
+          btn.classList.add('color-btn');
+          btn.style.backgroundColor = col;
+          btn.dataset.color = col;
+          btn.title = `Set note colour to ${colourName(col)}`;
+          btn.setAttribute('aria-label', btn.title);
+          btn.addEventListener('click', () => setCurrentColour(col));
+          colorOptionsContainer.appendChild(btn);
+        });
+        const moreBtn = createIconButton('More colours', 'bi-palette');
+        moreBtn.classList.add('icon-btn', 'more-colours-btn');
+        moreBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openColourPicker(moreBtn, currentColor, setCurrentColour);
+        });
+        colorOptionsContainer.appendChild(moreBtn);
+        // initialise with first colour selected
+        setCurrentColour(COLORS[0]);
+      }
+
+      /**
+       * Choose the colour of the note being created: the input section's
+       * border shows it, and its button (or, for a colour from the user's
+       * palettes, the More colours button) is outlined.
+       * @param {string} color Colour for the new note
+       */
+      function setCurrentColour(color) {
+        currentColor = color;
+        noteInputSection.style.borderColor = color;
+        const buttons = Array.from(colorOptionsContainer.querySelectorAll('.color-btn'));
+        const chosen = buttons.find((b) => b.dataset.color === color) ||
+          colorOptionsContainer.querySelector('.more-colours-btn');
+        [...buttons, colorOptionsContainer.querySelector('.more-colours-btn')].forEach((b) => {
+          b.style.outline = b === chosen ? '2px solid #666' : '';
+        });
+      }
+
+      /**
+       * Readable name of a note colour, for labels and announcements: its
+       * name in COLOR_NAMES or, for a colour from one of the user's
+       * palettes, the palette name and its position there.
+       * @param {string} color Note colour
+       */
+      function colourName(color) {
+        const name = Object.keys(COLOR_NAMES).find((key) => COLOR_NAMES[key] === color);
+        if (name) return name;
+        const palette = appearance.palettes.find((p) => p.colors.includes(color));
+        return palette ? `${palette.name} ${palette.colors.indexOf(color) + 1}` : color;
+      }
+
+      /**
+       * Render all notes into the appropriate sections.  Applies the
+       * search filter if present and keeps pinned notes separate.  Only
+       * notes belonging to the current view are shown; the archive and
+       * trash views list their notes in a single section.
+       */
+      function renderNotes() {
+        // a re-render (say, from another tab) replaces the card being dragged
+        if (cardDrag) endCardDrag(false);
+        const clauses = parseSearchQuery(searchInput.value);
+        // clear current contents
+        pinnedNotesDiv.innerHTML = '';
+        notesContainer.innerHTML = '';
+        // partition into pinned and others
+        const pinned = [];
+        const others = [];
+        const scores = new Map();
+        notes.forEach((note) => {
+          // skip notes that belong to another view or label
+          if (!isNoteInView(note)) return;
+          // skip notes that don't match search query
+          const score = scoreNote(note, clauses);
+          if (score === null) return;
+          scores.set(note, score);
+          if (note.pinned && currentView === 'notes') pinned.push(note);
+          else others.push(note);
+        });
+        // the reminders view lists the soonest reminder first
+        if (currentView === 'reminders') {
+          others.sort((a, b) => a.reminder.due - b.reminder.due);
+        }
+        // searching for words puts the most relevant notes first (the sort
+        // is stable, so equally relevant notes keep their order)
+        const byRelevance = (a, b) => scores.get(b) - scores.get(a);
+        pinned.sort(byRelevance);
+        others.sort(byRelevance);
+        // toggle pinned section visibility
+        pinnedSection.hidden = pinned.length === 0;
+        // render pinned notes first
+        pinned.forEach((note) => createNoteCard(note, pinnedNotesDiv));
+        others.forEach((note) => createNoteCard(note, notesContainer));
+        highlightSearchTerms([pinnedNotesDiv, notesContainer], clauses);
+        renderViewChrome(pinned.length + others.length);
+        // notes that are no longer shown drop out of the selection
+        const shown = new Set(pinned.concat(others).map((n) => n.id));
+        selectedNoteIds.forEach((id) => {
+          if (!shown.has(id)) selectedNoteIds.delete(id);
+        });
+        renderSelectionBar();
+        // label counts may have changed with whatever triggered this render
+        renderSidebar();
+      }
+
+      /**
+       * Decide whether a note belongs in the current view.  Trashed notes
+       * only appear in the trash, archived notes only in the archive, the
+       * reminders view lists every other note with a reminder and the main
+       * view honours the label selected in the sidebar.
+       * @param {Object} note Note object
+       */
+      function isNoteInView(note) {
+        if (currentView === 'trash') return !!note.deletedAt;
+        if (note.deletedAt) return false;
+        if (currentView === 'archive') return !!note.archived;
+        if (currentView === 'reminders') return !note.archived && !!note.reminder;
+        if (note.archived) return false;
+        return !activeLabel || noteHasLabel(note, activeLabel);
+      }
+
+      /**
+       * Update the parts of the page that depend on the current view: the
+       * note creation area, the section heading, the trash settings bar
+       * and the empty-view message.
+       * @param {number} visibleCount Number of notes rendered
+       */
+      function renderViewChrome(visibleCount) {
+        const titles = {
+          notes: 'Others',
+          reminders: 'Reminders',
+          archive: 'Archive',
+          trash: 'Trash'
+        };
+        othersTitle.textContent = titles[currentView];
+        noteInputSection.hidden = currentView !== 'notes';
+        trashBar.hidden = currentView !== 'trash';
+        emptyTrashBtn.disabled = !notes.some((n) => n.deletedAt);
+        const messages = {
+          notes: 'Notes you add appear here.',
+          reminders: 'Notes with upcoming reminders appear here.',
+          archive: 'Your archived notes appear here.',
+          trash: 'No notes in Trash.'
+        };
+        emptyMessage.textContent = searchInput.value.trim()
+          ? 'No matching notes.'
+          : messages[currentView];
+        emptyMessage.hidden = visibleCount > 0;
+      }
+
+      /**
+       * Switch the grid to another view.  Leaving the notes view clears any
+       * label filter and the selection.
+       * @param {string} view 'notes', 'reminders', 'archive' or 'trash'
+       */
+      function setView(view) {
+        currentView = view;
+        activeLabel = null;
+        selectedNoteIds.clear();
+        renderNotes();
+      }
+
+      /**
+       * Parse a search string.  Words and "quoted phrases" are matched
+       * against note text; `is:`, `has:`, `color:` and `label:` filter on
+       * note properties (see SEARCH_OPERATORS); a leading `-` excludes
+       * matches; `OR` between two terms accepts either.  Terms are
+       * otherwise combined with AND.
+       * @param {string} input Text from the search box
+       * @returns {Object[][]} Clauses, each a list of alternative terms
+       *   ({kind, value, negate}); a note must satisfy every clause
+       */
+      function parseSearchQuery(input) {
+        const clauses = [];
+        let joinNext = false;
+        const tokenPattern = /(-?)(?:([a-z]+):)?(?:"([^"]*)"?|(\S+))/gi;
+        let match;
+        while ((match = tokenPattern.exec(input))) {
+          const [, minus, rawKey, quoted, bare] = match;
+          if (!minus && !rawKey && quoted === undefined && (bare === 'OR' || bare === '|')) {
+            joinNext = clauses.length > 0;
+            continue;
+          }
+          const key = rawKey ? rawKey.toLowerCase() : '';
+          const value = (quoted !== undefined ? quoted : bare || '').toLowerCase();
+          let term;
+          if (key && isSearchOperator(key, value)) {
+            term = { kind: key === 'colour' ? 'color' : key, value };
+          } else {
+            const text = (rawKey ? `${rawKey}:` : '') + (quoted !== undefined ? quoted : bare || '');
+            if (!text.trim()) continue;
+            term = { kind: quoted !== undefined ? 'phrase' : 'text', value: text.toLowerCase() };
+          }
+          term.negate = minus === '-';
+          if (joinNext) {
+            clauses[clauses.length - 1].push(term);
+          } else {
+            clauses.push([term]);
+          }
+          joinNext = false;
+        }
+        return clauses;
+      }
+
+      /**
+       * Whether `key:value` is a search operator this app understands.
+       * Anything else (including web addresses) is searched as text.
+       * @param {string} key Lowercase operator name
+       * @param {string} value Lowercase operator value
+       */
+      function isSearchOperator(key, value) {
+        if (key === 'is' || key === 'has') return SEARCH_OPERATORS[key].includes(value);
+        if (key === 'color' || key === 'colour') {
+          return value in COLOR_NAMES || /^#[0-9a-f]{6}$/.test(value);
+        }
+        return key === 'label' && value !== '';
+      }
+
+      /**
+       * Test a note against an is:/has:/color:/label: operator.
+       * @param {Object} note Note object
+       * @param {Object} term Operator term from parseSearchQuery()
+       */
+      function noteMatchesOperator(note, term) {
+        const hidden = isNoteHidden(note);
+        const items = note.checklist && !hidden ? note.items : [];
+        switch (`${term.kind}:${term.value}`) {
+          case 'is:pinned': return !!note.pinned;
+          case 'is:checklist': return !!note.checklist;
+          case 'is:note': return !note.checklist;
+          case 'is:archived': return !!note.archived;
+          case 'is:trashed': return !!note.deletedAt;
+          case 'has:unchecked': return items.some((item) => !item.checked);
+          case 'has:checked': return items.some((item) => item.checked);
+          case 'has:reminder': return !!note.reminder;
+          case 'has:label': return (note.labels || []).length > 0;
+          case 'has:link': return !hidden && /\b(https?:\/\/|www\.)\S/i.test(noteBodyText(note));
+          case 'is:locked': return !!note.locked;
+          case 'is:drawing': return !hidden && note.attachments.some((a) => a.kind === 'drawing');
+          case 'has:image': return !hidden && note.attachments.length > 0;
+          default:
+            break;
+        }
+        if (term.kind === 'color') {
+          const wanted = COLOR_NAMES[term.value] || term.value;
+          return (note.color || '').toLowerCase() === wanted.toLowerCase();
+        }
+        return term.kind === 'label' && noteHasLabel(note, term.value);
+      }
+
+      /**
+       * The searchable body of a note: its content, or its checklist items
+       * one per line.
+       * @param {Object} note Note object
+       */
+      function noteBodyText(note) {
+        return note.checklist
+          ? note.items.map((item) => item.text).join('\n')
+          : note.content || '';
+      }
+
+      /**
+       * Number of typos tolerated when matching a search word: none for
+       * short words, one for medium words and two for long ones.
+       * @param {string} word Lowercase search word
+       */
+      function typoAllowance(word) {
+        if (word.length >= 8) return 2;
+        return word.length >= 4 ? 1 : 0;
+      }
+
+      /**
+       * Levenshtein distance between two strings, giving up once it is
+       * certain to exceed `max`.
+       * @param {string} a First string
+       * @param {string} b Second string
+       * @param {number} max Largest distance of interest
+       * @returns {number} Distance, or max + 1 if it is larger than max
+       */
+      function editDistance(a, b, max) {
+        if (Math.abs(a.length - b.length) > max) return max + 1;
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+        for (let i = 1; i <= a.length; i++) {
+          const current = [i];
+          let rowMin = i;
+          for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+            rowMin = Math.min(rowMin, current[j]);
+          }
+          if (rowMin > max) return max + 1;
+          previous = current;
+        }
+        return previous[b.length];
+      }
+
+      /**
+       * Whether a word in some text is within the typo allowance of a
+       * search word.  Words are also compared by their first letters so
+       * that a mistyped prefix ("grocr") still finds "groceries".
+       * @param {string} word Lowercase search word
+       * @param {string} candidate A word from the note
+       */
+      function isFuzzyMatch(word, candidate) {
+        const max = typoAllowance(word);
+        if (!max) return false;
+        const lower = candidate.toLowerCase();
+        return (
+          editDistance(word, lower, max) <= max ||
+          editDistance(word, lower.slice(0, word.length), max) <= max
+        );
+      }
+
+      /**
+       * Score how well a word or phrase matches a note.  Hits in the title
+       * count for more than hits in labels, which count for more than hits
+       * in the body; near misses (typos) count for half.
+       * @param {Object} note Note object
+       * @param {Object} term Text or phrase term
+       * @param {boolean} fuzzy Whether to allow typos
+       * @returns {number} Score, 0 when there is no match
+       */
+      function scoreTextTerm(note, term, fuzzy) {
+        const fields = [
+          [note.title || '', SEARCH_WEIGHTS.title],
+          [(note.labels || []).join('\n'), SEARCH_WEIGHTS.label],
+          // the text of a locked note must not give itself away
+          [isNoteHidden(note) ? '' : noteBodyText(note), SEARCH_WEIGHTS.body]
+        ];
+        let best = 0;
+        fields.forEach(([text, weight]) => {
+          if (text.toLowerCase().includes(term.value)) {
+            best = Math.max(best, weight);
+          } else if (fuzzy && term.kind === 'text' && best < weight / 2) {
+            const words = text.match(SEARCH_WORD_PATTERN) || [];
+            if (words.some((candidate) => isFuzzyMatch(term.value, candidate))) {
+              best = weight / 2;
+            }
+          }
+        });
+        return best;
+      }
+
+      /**
+       * Rank a note against a parsed query.
+       * @param {Object} note Note object
+       * @param {Object[][]} clauses Result of parseSearchQuery()
+       * @returns {number|null} Relevance score, or null if the note does
+       *   not match.  An empty query matches everything with score 0.
+       */
+      function scoreNote(note, clauses) {
+        let total = 0;
+        for (const clause of clauses) {
+          let clauseScore = null;
+          clause.forEach((term) => {
+            let score;
+            if (term.kind === 'text' || term.kind === 'phrase') {
+              // exclusions only drop exact matches, never near misses
+              const hit = scoreTextTerm(note, term, !term.negate);
+              score = (hit > 0) !== term.negate ? hit : null;
+            } else {
+              score = noteMatchesOperator(note, term) !== term.negate ? 0 : null;
+            }
+            if (score !== null) clauseScore = Math.max(clauseScore || 0, score);
+          });
+          if (clauseScore === null) return null;
+          total += clauseScore;
+        }
+        return total;
+      }
+
+      /**
+       * Mark the words of a query in rendered cards: exact occurrences of
+       * each searched word or phrase, plus words that matched with a typo.
+       * Only titles, note text and checklist items are marked.
+       * @param {HTMLElement[]} containers Elements holding the cards
+       * @param {Object[][]} clauses Result of parseSearchQuery()
+       */
+      function highlightSearchTerms(containers, clauses) {
+        const terms = clauses
+          .flat()
+          .filter((term) => !term.negate && (term.kind === 'text' || term.kind === 'phrase'));
+        if (!terms.length) return;
+        const escaped = terms.map((term) => term.value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        const exact = new RegExp(escaped.join('|'), 'gi');
+        const fuzzyWords = terms.filter((term) => term.kind === 'text').map((term) => term.value);
+        const findRanges = (text) => {
+          const ranges = [];
+          text.replace(exact, (m, offset) => {
+            if (m) ranges.push([offset, offset + m.length]);
+            return m;
+          });
+          text.replace(SEARCH_WORD_PATTERN, (word, offset) => {
+            const overlaps = ranges.some(([start, end]) => offset < end && offset + word.length > start);
+            if (!overlaps && fuzzyWords.some((term) => isFuzzyMatch(term, word))) {
+              ranges.push([offset, offset + word.length]);
+            }
+            return word;
+          });
+          return ranges.sort((a, b) => a[0] - b[0]);
+        };
+        containers.forEach((container) => {
+          container
+            .querySelectorAll('.note-title-display, .note-content-display, .note-list span')
+            .forEach((el) => {
+              const walker = document.createTreeWalker(el, NodeFilter.SHOW_TEXT);
+              const textNodes = [];
+              while (walker.nextNode()) {
+                if (!walker.currentNode.parentNode.closest('.read-more')) textNodes.push(walker.currentNode);
+              }
+              textNodes.forEach((node) => {
+                const ranges = findRanges(node.data);
+                if (!ranges.length) return;
+                const fragment = document.createDocumentFragment();
+                let last = 0;
+                ranges.forEach(([start, end]) => {
+                  fragment.append(node.data.slice(last, start));
+                  const mark = document.createElement('mark');
+                  mark.className = 'search-hit';
+                  mark.textContent = node.data.slice(start, end);
+                  fragment.append(mark);
+                  last = end;
+                });
+                fragment.append(node.data.slice(last));
+                node.replaceWith(fragment);
+              });
+            });
+        });
+      }
+
+      /**
+       * Load the recent searches offered as suggestions in the search box.
+       */
+      function loadRecentSearches() {
+        try {
+          const stored = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+          recentSearches = Array.isArray(stored) ? stored.filter((q) => typeof q === 'string') : [];
+        } catch (err) {
+          console.warn('Failed to parse recent searches from storage:', err);
+          recentSearches = [];
+        }
+        renderRecentSearches();
+      }
+
+      /**
+       * Remember a search, most recent first, keeping at most
+       * RECENT_SEARCHES_LIMIT entries.
+       * @param {string} query Search text
+       */
+      function rememberSearch(query) {
+        const trimmed = query.trim();
+        if (!trimmed) return;
+        recentSearches = [trimmed, ...recentSearches.filter((q) => q !== trimmed)].slice(
+          0,
+          RECENT_SEARCHES_LIMIT
+        );
+        localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(recentSearches));
+        renderRecentSearches();
+      }
+
+      /**
+       * Fill the search box suggestions: recent searches first, then the
+       * available operators as a reminder of the syntax.
+       */
+      function renderRecentSearches() {
+        searchSuggestions.innerHTML = '';
+        const operators = [
+          ...SEARCH_OPERATORS.is.map((value) => `is:${value}`),
+          ...SEARCH_OPERATORS.has.map((value) => `has:${value}`),
+          ...Object.keys(COLOR_NAMES).map((name) => `color:${name}`)
+        ];
+        [...recentSearches, ...operators].forEach((value) => {
+          const option = document.createElement('option');
+          option.value = value;
+          searchSuggestions.appendChild(option);
+        });
+      }
+
+      /**
+       * Tidy a label name typed by the user: trim it and collapse runs of
+       * whitespace.  Returns an empty string for blank input.
+       * @param {string} name Raw label text
+       */
+      function normaliseLabel(name) {
+        return String(name || '').trim().replace(/\s+/g, ' ');
+      }
+
+      /**
+       * Case-insensitive check for a label on a note.
+       * @param {Object} note Note object
+       * @param {string} label Label name
+       */
+      function noteHasLabel(note, label) {
+        const wanted = label.toLowerCase();
+        return (note.labels || []).some((l) => l.toLowerCase() === wanted);
+      }
+
+      /**
+       * Add labels to a list without introducing duplicates.  Labels that
+       * differ only by case are treated as the same label and the first
+       * spelling wins.  The list is modified in place and returned.
+       * @param {string[]} list Existing labels
+       * @param {string[]} additions Labels to add
+       */
+      function mergeLabels(list, additions) {
+        additions.forEach((raw) => {
+          const label = normaliseLabel(raw);
+          if (!label) return;
+          const exists = list.some((l) => l.toLowerCase() === label.toLowerCase());
+          if (!exists) list.push(label);
+        });
+        return list;
+      }
+
+      /**
+       * Find inline #hashtags in a piece of text.  A hashtag must start the
+       * text or follow whitespace so that URLs with fragments are ignored.
+       * @param {string} text Note content or checklist item text
+       * @returns {string[]} Tag names without the leading '#'
+       */
+      function extractHashtags(text) {
+        const tags = [];
+        const pattern = /(^|\s)#([\p{L}\p{N}_-]+)/gu;
+        let match;
+        while ((match = pattern.exec(text || '')) !== null) {
+          tags.push(match[2]);
+        }
+        return tags;
+      }
+
+      /**
+       * Promote hashtags found in a note's text to labels when the user has
+       * enabled that setting.  The text itself is left untouched.
+       * @param {Object} note Note object to update
+       */
+      function applyHashtagLabels(note) {
+        if (!settings.hashtagLabels) return;
+        const texts = note.checklist
+          ? note.items.map((item) => item.text)
+          : [note.content];
+        texts.forEach((text) => mergeLabels(note.labels, extractHashtags(text)));
+      }
+
+      /**
+       * Finalise the labels of a note created from the input area.  Notes
+       * added while a label is selected in the sidebar receive that label
+       * so they remain visible in the filtered view.
+       * @param {Object} note Newly created note
+       */
+      function prepareNewNoteLabels(note) {
+        if (activeLabel) mergeLabels(note.labels, [activeLabel]);
+        applyHashtagLabels(note);
+      }
+
+      /**
+       * Count how many notes carry each label.
+       * @returns {Array<{name: string, count: number}>} Labels sorted by name
+       */
+      function getLabelCounts() {
+        const counts = new Map();
+        notes.forEach((note) => {
+          // notes in the trash no longer count towards their labels
+          if (note.deletedAt) return;
+          (note.labels || []).forEach((label) => {
+            const key = label.toLowerCase();
+            const entry = counts.get(key) || { name: label, count: 0 };
+            entry.count += 1;
+            counts.set(key, entry);
+          });
+        });
+        return Array.from(counts.values()).sort((a, b) =>
+          a.name.localeCompare(b.name, undefined, { sensitivity: 'base' })
+        );
+      }
+
+      /**
+       * Filter the grid to a single label, or pass null to show all notes.
+       * @param {string|null} label Label name
+       */
+      function setActiveLabel(label) {
+        currentView = 'notes';
+        activeLabel = label;
+        renderNotes();
+      }
+
+      /**
+       * Rename a label on every note that carries it.  If the new name
+       * matches another existing label the two are merged.
+       * @param {string} oldName Current label name
+       * @param {string} newName Replacement label name
+       */
+      function renameLabel(oldName, newName) {
+        const label = normaliseLabel(newName);
+        if (!label || label === oldName) return;
+        notes.forEach((note) => {
+          if (!noteHasLabel(note, oldName)) return;
+          const kept = note.labels.filter(
+            (l) => l.toLowerCase() !== oldName.toLowerCase()
+          );
+          note.labels = mergeLabels(kept, [label]);
+          touchNote(note);
+        });
+        if (activeLabel && activeLabel.toLowerCase() === oldName.toLowerCase()) {
+          activeLabel = label;
+        }
+        saveNotes();
+        renderNotes();
+      }
+
+      /**
+       * Remove a label from every note.  The notes themselves are kept.
+       * @param {string} name Label name
+       */
+      function deleteLabel(name) {
+        notes.forEach((note) => {
+          if (!noteHasLabel(note, name)) return;
+          note.labels = note.labels.filter(
+            (l) => l.toLowerCase() !== name.toLowerCase()
+          );
+          touchNote(note);
+        });
+        if (activeLabel && activeLabel.toLowerCase() === name.toLowerCase()) {
+          activeLabel = null;
+        }
+        saveNotes();
+        renderNotes();
+        showSnackbar(`Label "${name}" deleted`, 'Undo', undo);
+      }
+
+      /**
+       * Rebuild the label list in the sidebar along with the suggestions
+       * offered by the label pickers.
+       */
+      function renderSidebar() {
+        if (!labelListEl) return;
+        const labels = getLabelCounts();
+        viewButtons.forEach((btn) => {
+          const isCurrent = btn.dataset.view === currentView;
+          btn.classList.toggle('active', isCurrent && !activeLabel);
+        });
+        labelListEl.innerHTML = '';
+        labels.forEach(({ name, count }) => {
+          const li = document.createElement('li');
+          const btn = document.createElement('button');
+          btn.className = 'sidebar-item';
+          btn.title = `Show notes labelled ${name}`;
+          if (activeLabel && activeLabel.toLowerCase() === name.toLowerCase()) {
+            btn.classList.add('active');
+          }
+          btn.innerHTML = '<i class="bi bi-tag" aria-hidden="true"></i>';
+          const nameSpan = document.createElement('span');
+          nameSpan.className = 'sidebar-label';
+          nameSpan.textContent = name;
+          const countSpan = document.createElement('span');
+          countSpan.className = 'sidebar-count';
+          countSpan.textContent = count;
+          btn.appendChild(nameSpan);
+          btn.appendChild(countSpan);
+          btn.addEventListener('click', () => {
+            setActiveLabel(name);
+          });
+          // Rename and delete controls sit beside the label button
+          const renameBtn = createIconButton(`Rename label ${name}`, 'bi-pencil');
+          renameBtn.className = 'icon-btn sidebar-action';
+          renameBtn.addEventListener('click', () => {
+            const newName = prompt('Rename label', name);
+            if (newName !== null) renameLabel(name, newName);
+          });
+          const removeBtn = createIconButton(`Delete label ${name}`, 'bi-x-lg');
+          removeBtn.className = 'icon-btn sidebar-action';
+          removeBtn.addEventListener('click', () => {
+            if (confirm(`Delete the label "${name}"? Notes will not be deleted.`)) {
+              deleteLabel(name);
+            }
+          });
+          li.appendChild(btn);
+          li.appendChild(renameBtn);
+          li.appendChild(removeBtn);
+          labelListEl.appendChild(li);
+        });
+        // keep picker suggestions in sync with the labels in use
+        labelSuggestions.innerHTML = '';
+        labels.forEach(({ name }) => {
+          const option = document.createElement('option');
+          option.value = name;
+          labelSuggestions.appendChild(option);
+        });
+      }
+
+      /**
+       * Render a label picker: one removable chip per selected label plus
+       * a text input (backed by the shared suggestions list) for adding
+       * more.  The `selected` array is modified in place.
+       * @param {HTMLElement} container Picker container
+       * @param {string[]} selected Labels currently chosen
+       */
+      function renderLabelPicker(container, selected) {
+        container.innerHTML = '';
+        selected.forEach((label, index) => {
+          const chip = document.createElement('span');
+          chip.className = 'label-chip';
+          chip.textContent = label;
+          const removeBtn = document.createElement('button');
+          removeBtn.type = 'button';
+          removeBtn.title = `Remove label ${label}`;
+          removeBtn.setAttribute('aria-label', removeBtn.title);
+          removeBtn.textContent = '✕';
+          removeBtn.addEventListener('click', () => {
+            selected.splice(index, 1);
+            renderLabelPicker(container, selected);
+          });
+          chip.appendChild(removeBtn);
+          container.appendChild(chip);
+        });
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.className = 'label-input';
+        input.placeholder = 'Add label…';
+        input.setAttribute('list', 'labelSuggestions');
+        input.setAttribute('aria-label', 'Add label');
+        const commit = () => {
+          if (!normaliseLabel(input.value)) return;
+          mergeLabels(selected, [input.value]);
+          renderLabelPicker(container, selected);
+          container.querySelector('.label-input').focus();
+        };
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter' || e.key === ',') {
+            e.preventDefault();
+            commit();
+          }
+        });
+        // picking an entry from the suggestions list fires change
+        input.addEventListener('change', commit);
+        container.appendChild(input);
+      }
+
+      /**
+       * Build the row of label chips shown on a note card or in the view
+       * modal.  Clicking a chip filters the grid to that label.
+       * @param {Object} note Note object
+       * @returns {HTMLElement|null} Chip row, or null if the note has no labels
+       */
+      function createLabelChips(note) {
+        if (!note.labels || note.labels.length === 0) return null;
+        const row = document.createElement('div');
+        row.className = 'note-labels';
+        note.labels.forEach((label) => {
+          const chip = document.createElement('button');
+          chip.className = 'label-chip';
+          chip.title = `Show notes labelled ${label}`;
+          chip.textContent = label;
+          chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeViewModal();
+            setActiveLabel(label);
+          });
+          row.appendChild(chip);
+        });
+        return row;
+      }
+
+      /**
+       * Why notes cannot be reordered in the grid right now, or '' if they
+       * can.  Only the notes and archive views list notes in their saved
+       * order, and only while not searching.
+       * @returns {string}
+       */
+      function getReorderBlocker() {
+        if (currentView === 'reminders' || currentView === 'trash') {
+          return 'Notes in this view cannot be reordered';
+        }
+        if (searchInput.value.trim()) return 'Clear the search to reorder notes';
+        return '';
+      }
+
+      /**
+       * Move a note to a new place in the collection: just before or just
+       * after another note, or to the end when neither is given (a drop
+       * into an empty section).  Moving between the Pinned and Others
+       * sections pins or unpins the note.
+       * @param {string} id Note to move
+       * @param {Object} place Where to put it
+       * @param {string} [place.beforeId] Note it should come before
+       * @param {string} [place.afterId] Note it should come after
+       * @param {boolean} place.pinned Pinned state in its new place
+       */
+      function moveNote(id, { beforeId, afterId, pinned }) {
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        notes.splice(notes.indexOf(note), 1);
+        const anchorIndex = notes.findIndex((n) => n.id === (beforeId || afterId));
+        if (anchorIndex === -1) notes.push(note);
+        else notes.splice(beforeId ? anchorIndex : anchorIndex + 1, 0, note);
+        if (note.pinned !== pinned) {
+          note.pinned = pinned;
+          touchNote(note);
+        }
+        saveNotes();
+        renderNotes();
+      }
+
+      /**
+       * Tell screen readers where a moved note now sits in its section.
+       * @param {string} id Note identifier
+       * @param {string} [action] How the move is described
+       */
+      function announceNotePosition(id, action = 'Note moved') {
+        const card = getNoteCards().find((c) => c.dataset.id === id);
+        if (!card) return;
+        const siblings = Array.from(card.parentElement.querySelectorAll('.note-card'));
+        announce(`${action} to position ${siblings.indexOf(card) + 1} of ${siblings.length}`);
+      }
+
+      /**
+       * Press on a note card: get ready to drag it.  Mouse and pen drags
+       * start from anywhere on the card once the pointer has moved a few
+       * pixels; touch drags start from the grip handle, since a swipe
+       * anywhere else scrolls the page.  Presses on controls are left to
+       * the controls.
+       * @param {PointerEvent} e Pointer event
+       * @param {HTMLElement} card Card pressed
+       */
+      function onCardPointerDown(e, card) {
+        if (cardDrag || !e.isPrimary || e.button !== 0) return;
+        if (e.target.closest('button, a, input, textarea, select, label')) return;
+        const fromHandle = Boolean(e.target.closest('.drag-handle'));
+        if (e.pointerType === 'touch' && !fromHandle) return;
+        if (getReorderBlocker()) return;
+        cardDrag = {
+          id: card.dataset.id,
+          card,
+          pointerId: e.pointerId,
+          startX: e.clientX,
+          startY: e.clientY,
+          x: e.clientX,
+          y: e.clientY,
+          started: false
+        };
+        if (fromHandle) {
+          // stops text selection, and the page scrolling on touch screens
+          e.preventDefault();
+          beginCardDrag();
+        }
+      }
+
+      /**
+       * Turn a press into a drag: lift the card out of the grid so that it
+       * follows the pointer, and leave a placeholder of the same size
+       * where it would land.
+       */
+      function beginCardDrag() {
+        const { card } = cardDrag;
+        const rect = card.getBoundingClientRect();
+        const placeholder = document.createElement('div');
+        placeholder.className = 'note-placeholder';
+        placeholder.style.height = `${rect.height}px`;
+        card.after(placeholder);
+        Object.assign(cardDrag, {
+          started: true,
+          placeholder,
+          offsetX: cardDrag.startX - rect.left,
+          offsetY: cardDrag.startY - rect.top
+        });
+        cardDrag.origin = getDropPlace();
+        card.style.width = `${rect.width}px`;
+        card.classList.add('lifted');
+        document.body.classList.add('dragging-note');
+        // an empty Pinned section has to be on screen to drop into
+        if (currentView === 'notes') pinnedSection.hidden = false;
+        window.getSelection().removeAllRanges();
+        positionDraggedCard();
+        cardDrag.scrollFrame = requestAnimationFrame(autoScrollCardDrag);
+      }
+
+      /**
+       * Place the lifted card under the pointer.
+       */
+      function positionDraggedCard() {
+        const { card, x, y, offsetX, offsetY } = cardDrag;
+        card.style.left = `${x - offsetX}px`;
+        card.style.top = `${y - offsetY}px`;
+      }
+
+      /**
+       * Follow the pointer while dragging: move the lifted card and put the
+       * placeholder where the card would drop.  Over another card it goes
+       * before or after that card (cards flow in rows, so the left half
+       * means before); over another section it goes to the end.
+       */
+      function updateCardDrag() {
+        positionDraggedCard();
+        const { card, placeholder, x, y } = cardDrag;
+        const under = document.elementFromPoint(x, y);
+        if (!under || placeholder.contains(under)) return;
+        const target = under.closest('.note-card');
+        if (target && target !== card && target.parentElement.classList.contains('notes-grid')) {
+          const rect = target.getBoundingClientRect();
+          if (x < rect.left + rect.width / 2) target.before(placeholder);
+          else target.after(placeholder);
+          return;
+        }
+        const section = under.closest('.note-section');
+        const grid = section && !section.hidden ? section.querySelector('.notes-grid') : null;
+        if (grid && grid !== placeholder.parentElement) grid.appendChild(placeholder);
+      }
+
+      /**
+       * Scroll the window while a dragged card is held near its top or
+       * bottom edge, faster the closer it is.  Runs once per frame for as
+       * long as the drag lasts.
+       */
+      function autoScrollCardDrag() {
+        if (!cardDrag) return;
+        const { y } = cardDrag;
+        const fromBottom = window.innerHeight - y;
+        let speed = 0;
+        if (y < DRAG_SCROLL_EDGE) {
+          speed = -DRAG_SCROLL_SPEED * (1 - Math.max(y, 0) / DRAG_SCROLL_EDGE);
+        } else if (fromBottom < DRAG_SCROLL_EDGE) {
+          speed = DRAG_SCROLL_SPEED * (1 - Math.max(fromBottom, 0) / DRAG_SCROLL_EDGE);
+        }
+        if (speed) {
+          window.scrollBy(0, speed);
+          updateCardDrag();
+        }
+        cardDrag.scrollFrame = requestAnimationFrame(autoScrollCardDrag);
+      }
+
+      /**
+       * Where the placeholder of the current drag sits, as a place for
+       * moveNote().  Only the Notes view has Pinned and Others sections;
+       * in other views a note keeps its pin state.
+       * @returns {Object} {beforeId, afterId, pinned}
+       */
+      function getDropPlace() {
+        const { card, placeholder } = cardDrag;
+        const note = notes.find((n) => n.id === cardDrag.id);
+        const neighbour = (direction) => {
+          let el = placeholder[direction];
+          while (el && (el === card || !el.classList.contains('note-card'))) el = el[direction];
+          return el ? el.dataset.id : null;
+        };
+        return {
+          beforeId: neighbour('nextElementSibling'),
+          afterId: neighbour('previousElementSibling'),
+          pinned: currentView === 'notes'
+            ? placeholder.parentElement === pinnedNotesDiv
+            : Boolean(note && note.pinned)
+        };
+      }
+
+      /**
+       * Finish the current drag.  Dropping moves the note to the
+       * placeholder's position; cancelling (Escape, or the browser taking
+       * over the pointer) puts everything back.
+       * @param {boolean} drop Whether to move the note
+       */
+      function endCardDrag(drop) {
+        const drag = cardDrag;
+        if (!drag.started) {
+          cardDrag = null;
+          return;
+        }
+        const place = getDropPlace();
+        cardDrag = null;
+        cancelAnimationFrame(drag.scrollFrame);
+        document.body.classList.remove('dragging-note');
+        drag.placeholder.remove();
+        // the click that ends a mouse drag is not a click on the card
+        const swallowClick = (e) => e.stopPropagation();
+        window.addEventListener('click', swallowClick, true);
+        setTimeout(() => window.removeEventListener('click', swallowClick, true), 0);
+        const { origin } = drag;
+        const moved =
+          place.pinned !== origin.pinned ||
+          place.beforeId !== origin.beforeId ||
+          place.afterId !== origin.afterId;
+        if (!drop || !moved) {
+          renderNotes();
+          return;
+        }
+        const note = notes.find((n) => n.id === drag.id);
+        const pinChanged = note && note.pinned !== place.pinned;
+        moveNote(drag.id, place);
+        focusNoteCard(drag.id);
+        let action = 'Note moved';
+        if (pinChanged) action = place.pinned ? 'Note pinned and moved' : 'Note unpinned and moved';
+        announceNotePosition(drag.id, action);
+      }
+
+      /**
+       * Pointer movement anywhere on the page: start the pending drag once
+       * the pointer has moved far enough, then keep it under the pointer.
+       * @param {PointerEvent} e Pointer event
+       */
+      function onCardPointerMove(e) {
+        if (!cardDrag || e.pointerId !== cardDrag.pointerId) return;
+        cardDrag.x = e.clientX;
+        cardDrag.y = e.clientY;
+        if (!cardDrag.started) {
+          const distance = Math.hypot(e.clientX - cardDrag.startX, e.clientY - cardDrag.startY);
+          if (distance < DRAG_THRESHOLD) return;
+          beginCardDrag();
+        }
+        e.preventDefault();
+        updateCardDrag();
+      }
+
+      /**
+       * Show a note's colour on its card (or on a preview of it).  In dark
+       * mode individual note colours can be overwhelming against a dark
+       * canvas.  In that case fall back to the shared card background and
+       * use the note colour as a left border accent instead.  Notes in the
+       * default colour take the theme's card colour.
+       * @param {HTMLElement} el Card element
+       * @param {Object} note Note object
+       */
+      function applyNoteColour(el, note) {
+        const isDark = document.body.classList.contains('dark-mode');
+        if (isDark) {
+          el.style.backgroundColor = '';
+          el.style.borderLeft = note.color ? `6px solid ${note.color}` : '';
+        } else {
+          el.style.backgroundColor = note.color && note.color !== COLORS[0] ? note.color : '';
+          el.style.borderLeft = '';
+        }
+      }
+
+      /**
+       * Create a note card DOM element and append it to a container.
+       * @param {Object} note Note data
+       * @param {HTMLElement} container Container to append into
+       */
+      function createNoteCard(note, container) {
+        const card = document.createElement('div');
+        card.classList.add('note-card');
+        applyNoteColour(card, note);
+        card.dataset.id = note.id;
+        card.dataset.pinned = note.pinned;
+        // focusable so that keyboard shortcuts can act on it (j/k, e, p, #),
+        // and named after the note for screen readers
+        card.tabIndex = 0;
+        card.setAttribute('role', 'article');
+        card.setAttribute('aria-label', describeNote(note));
+        addSelectionControl(note, card);
+
+        // Notes in the trash are read-only: no reordering or editing, just
+        // restore or permanent removal.
+        if (note.deletedAt) {
+          appendNoteBody(note, card);
+          card.appendChild(createTrashActions(note));
+          container.appendChild(card);
+          return;
+        }
+
+        // Add a drag handle at the top left to indicate drag capability.
+        // With a mouse, dragging anywhere on the card starts a reorder; on
+        // touch screens the handle is what starts one, as a swipe elsewhere
+        // scrolls.  Bootstrap Icons provide the grip symbol.
+        const dragHandle = document.createElement('span');
+        dragHandle.className = 'drag-handle';
+        dragHandle.title = 'Drag to reorder, or press Alt+Arrow keys';
+        dragHandle.setAttribute('aria-hidden', 'true');
+        dragHandle.innerHTML = '<i class="bi bi-grip-vertical"></i>';
+        card.appendChild(dragHandle);
+        card.addEventListener('pointerdown', (e) => onCardPointerDown(e, card));
+
+        appendNoteBody(note, card);
+        // Action buttons
+        const actions = document.createElement('div');
+        actions.className = 'note-actions';
+        // Pin/unpin button
+        const pinBtn = createIconButton(
+          note.pinned ? 'Unpin' : 'Pin',
+          note.pinned ? 'bi-pin-angle-fill' : 'bi-pin-angle'
+        );
+        pinBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          togglePinned(note.id);
+        });
+        actions.appendChild(pinBtn);
+        // Colour button, opening the colour picker
+        const colourBtn = createIconButton('Change colour', 'bi-palette');
+        colourBtn.setAttribute('aria-haspopup', 'dialog');
+        colourBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openColourPicker(colourBtn, note.color, (colour) => setNoteColour(note.id, colour));
+        });
+        actions.appendChild(colourBtn);
+        // Reminder button
+        const remindBtn = createIconButton(note.reminder ? 'Change reminder' : 'Remind me', 'bi-bell');
+        remindBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openReminderModal(note.id);
+        });
+        actions.appendChild(remindBtn);
+        // Edit button
+        const editBtn = createIconButton('Edit note', 'bi-pencil');
+        editBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openEditModal(note.id);
+        });
+        actions.appendChild(editBtn);
+        // Archive/unarchive button
+        const archiveBtn = createIconButton(
+          note.archived ? 'Unarchive' : 'Archive',
+          note.archived ? 'bi-box-arrow-up' : 'bi-archive'
+        );
+        archiveBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          setNoteArchived(note.id, !note.archived);
+        });
+        actions.appendChild(archiveBtn);
+        // Delete button (moves the note to the trash)
+        const deleteBtn = createIconButton('Move to Trash', 'bi-trash');
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          trashNoteById(note.id);
+        });
+        actions.appendChild(deleteBtn);
+        // More actions (sharing and downloads)
+        const moreBtn = createIconButton('More actions', 'bi-three-dots-vertical');
+        moreBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openMenu(moreBtn, getNoteMenuItems(note));
+        });
+        actions.appendChild(moreBtn);
+
+        card.appendChild(actions);
+        // Do not open the edit modal when clicking on the card itself.  The
+        // edit button provides the only entry point for editing.
+        container.appendChild(card);
+      }
+
+      /**
+       * Give a card the checkbox that selects it for bulk actions.  Once
+       * any note is selected, clicking elsewhere on a card (away from its
+       * buttons and links) selects or deselects it too, and Shift extends
+       * the selection as a range.
+       * @param {Object} note Note data
+       * @param {HTMLElement} card Card element
+       */
+      function addSelectionControl(note, card) {
+        const selected = selectedNoteIds.has(note.id);
+        card.classList.toggle('selected', selected);
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'note-select';
+        checkbox.checked = selected;
+        checkbox.title = 'Select note';
+        checkbox.setAttribute('aria-label', 'Select note');
+        checkbox.addEventListener('click', (e) => {
+          e.stopPropagation();
+          selectNoteFromClick(note.id, checkbox.checked, e.shiftKey);
+        });
+        card.appendChild(checkbox);
+        card.addEventListener('click', (e) => {
+          if (!selectedNoteIds.size) return;
+          if (e.target.closest('button, a, input, textarea, select, label')) return;
+          selectNoteFromClick(note.id, !selectedNoteIds.has(note.id), e.shiftKey);
+        });
+      }
+
+      /**
+       * Append the visible body of a note – images, title, content or
+       * checklist and label chips – to a card element.  Locked notes only
+       * show their title and labels.
+       * @param {Object} note Note data
+       * @param {HTMLElement} card Card element to fill
+       */
+      function appendNoteBody(note, card) {
+        // Images go first, as in Keep
+        if (note.attachments.length && !isNoteHidden(note)) {
+          card.appendChild(
+            createImageGallery(note.attachments, CARD_IMAGE_LIMIT, () => openViewModal(note.id))
+          );
+        }
+        // Title
+        if (note.title) {
+          const titleDiv = document.createElement('div');
+          titleDiv.className = 'note-title-display';
+          titleDiv.textContent = note.title;
+          card.appendChild(titleDiv);
+        }
+        // Content or checklist; a locked note offers to open instead
+        if (isNoteHidden(note)) {
+          const lockedBtn = document.createElement('button');
+          lockedBtn.className = 'note-locked';
+          lockedBtn.innerHTML = '<i class="bi bi-lock" aria-hidden="true"></i>';
+          lockedBtn.appendChild(document.createTextNode('Locked note'));
+          lockedBtn.title = 'Enter your passphrase to read this note';
+          lockedBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openViewModal(note.id);
+          });
+          card.appendChild(lockedBtn);
+        } else if (note.checklist) {
+          card.appendChild(createChecklistDisplay(note));
+        } else {
+          const contentDiv = document.createElement('div');
+          contentDiv.className = 'note-content-display';
+          if (settings.markdown) {
+            renderMarkdownInto(note.content, contentDiv);
+          } else {
+            contentDiv.textContent = note.content;
+          }
+          // For long descriptions, truncate and append a Read More link.
+          const lastBlock = truncateRendered(contentDiv, DESCRIPTION_CHAR_LIMIT);
+          if (lastBlock) {
+            const readMoreSpan = document.createElement('span');
+            readMoreSpan.className = 'read-more';
+            readMoreSpan.textContent = '[Read More]';
+            readMoreSpan.addEventListener('click', (e) => {
+              e.stopPropagation();
+              openViewModal(note.id);
+            });
+            lastBlock.appendChild(readMoreSpan);
+          }
+          card.appendChild(contentDiv);
+        }
+        // Reminder badge and labels
+        const reminderChip = createReminderChip(note);
+        if (reminderChip) card.appendChild(reminderChip);
+        const labelChips = createLabelChips(note);
+        if (labelChips) card.appendChild(labelChips);
+      }
+
+      /**
+       * Build the checklist shown on cards and in the view modal.  Items
+       * can be ticked off directly; ticked items move into a collapsible
+       * "N completed items" group at the bottom and a progress count sits
+       * above the list.  Notes in the trash get a read-only list.
+       * @param {Object} note Checklist note
+       * @param {boolean} [readOnly] Whether items cannot be ticked (notes
+       *   that are not in the collection, such as a shared note)
+       * @returns {HTMLElement} Checklist element
+       */
+      function createChecklistDisplay(note, readOnly = Boolean(note.deletedAt)) {
+        const wrapper = document.createElement('div');
+        wrapper.className = 'checklist-display';
+        const total = note.items.length;
+        const done = note.items.filter((item) => item.checked).length;
+        if (total > 0) {
+          const progress = document.createElement('div');
+          progress.className = 'checklist-progress';
+          progress.title = `${done} of ${total} items done`;
+          const bar = document.createElement('span');
+          bar.className = 'checklist-progress-bar';
+          const fill = document.createElement('span');
+          fill.style.width = `${Math.round((done / total) * 100)}%`;
+          bar.appendChild(fill);
+          progress.append(bar, `${done}/${total}`);
+          wrapper.appendChild(progress);
+        }
+        const createItem = (item, index, indent) => {
+          const li = document.createElement('li');
+          li.style.setProperty('--indent', indent);
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.checked = !!item.checked;
+          checkbox.disabled = readOnly;
+          checkbox.setAttribute('aria-label', item.text);
+          checkbox.addEventListener('click', (e) => e.stopPropagation());
+          checkbox.addEventListener('change', () => {
+            updateChecklist(note.id, (items) => {
+              setItemChecked(items, index, checkbox.checked);
+            });
+          });
+          const span = document.createElement('span');
+          span.textContent = item.text;
+          if (item.checked) {
+            span.style.textDecoration = 'line-through';
+          }
+          li.appendChild(checkbox);
+          li.appendChild(span);
+          return li;
+        };
+        // each group is indented on its own, so an item whose parent sits
+        // in the other group is never left hanging under an unrelated item
+        const appendGroup = (list, checked) => {
+          let previous = -1;
+          note.items.forEach((item, index) => {
+            if (!!item.checked !== checked) return;
+            const indent = Math.min(item.indent, previous + 1);
+            previous = indent;
+            list.appendChild(createItem(item, index, indent));
+          });
+        };
+        const open = document.createElement('ul');
+        open.className = 'note-list';
+        appendGroup(open, false);
+        wrapper.appendChild(open);
+        if (done > 0) {
+          const expanded = expandedChecklists.has(note.id);
+          const toggle = document.createElement('button');
+          toggle.className = 'completed-toggle';
+          toggle.setAttribute('aria-expanded', String(expanded));
+          const completed = document.createElement('ul');
+          completed.className = 'note-list completed-items';
+          completed.hidden = !expanded;
+          appendGroup(completed, true);
+          const setExpanded = (value) => {
+            toggle.innerHTML = `<i class="bi bi-chevron-${value ? 'down' : 'right'}" aria-hidden="true"></i>`;
+            toggle.append(` ${done} completed ${done === 1 ? 'item' : 'items'}`);
+            toggle.setAttribute('aria-expanded', String(value));
+            completed.hidden = !value;
+          };
+          setExpanded(expanded);
+          toggle.addEventListener('click', (e) => {
+            e.stopPropagation();
+            const value = !expandedChecklists.has(note.id);
+            if (value) expandedChecklists.add(note.id);
+            else expandedChecklists.delete(note.id);
+            setExpanded(value);
+          });
+          wrapper.append(toggle, completed);
+        }
+        return wrapper;
+      }
+
+      /**
+       * Change a checklist note's items in place and save.  Used by the
+       * checkboxes on cards and in the view modal, and by the uncheck-all
+       * and delete-checked actions.
+       * @param {string} id Note identifier
+       * @param {Function} change Receives the items array to modify
+       */
+      function updateChecklist(id, change) {
+        const note = notes.find((n) => n.id === id);
+        if (!note || !note.checklist) return;
+        change(note.items);
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        if (viewNoteId === id) openViewModal(id);
+      }
+
+      /**
+       * Untick every item of a checklist note.
+       * @param {string} id Note identifier
+       */
+      function uncheckAllItems(id) {
+        updateChecklist(id, (items) => {
+          items.forEach((item) => {
+            item.checked = false;
+          });
+        });
+      }
+
+      /**
+       * Remove the ticked items from a checklist note.  Can be undone from
+       * the snackbar.
+       * @param {string} id Note identifier
+       */
+      function deleteCheckedItems(id) {
+        updateChecklist(id, (items) => {
+          const remaining = items.filter((item) => !item.checked);
+          items.splice(0, items.length, ...remaining);
+        });
+        showSnackbar('Checked items deleted', 'Undo', undo);
+      }
+
+      /**
+       * Escape text for inclusion in HTML.
+       * @param {string} text Raw text
+       */
+      function escapeHtml(text) {
+        return text
+          .replace(/&/g, '&amp;')
+          .replace(/</g, '&lt;')
+          .replace(/>/g, '&gt;')
+          .replace(/"/g, '&quot;')
+          .replace(/'/g, '&#39;');
+      }
+
+      /**
+       * Whether a link target is safe to render: web and mail links only,
+       * never javascript: or data: URLs.
+       * @param {string} url Link target
+       */
+      function isSafeUrl(url) {
+        return /^(https?:\/\/|mailto:)/i.test(url.trim());
+      }
+
+      /**
+       * Render inline Markdown (code spans, links, bold, italics and
+       * strikethrough) to HTML.  Bare web addresses become links.  All
+       * other text is escaped.
+       * @param {string} text One block's worth of Markdown
+       * @returns {string} HTML
+       */
+      function renderInlineMarkdown(text) {
+        // code spans, links and addresses are swapped for placeholders so
+        // that emphasis markers inside them are left alone
+        const tokens = [];
+        const hold = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+        let html = text
+          .replace(/\u0000/g, '')
+          .replace(/(`+)([\s\S]*?[^`])\1(?!`)/g, (m, ticks, code) =>
+            hold(`<code>${escapeHtml(code.trim())}</code>`)
+          )
+          .replace(/\[([^\]]+)\]\(\s*<?((?:[^\s()<>]|\([^\s()<>]*\))+)>?(?:\s+"([^"]*)")?\s*\)/g, (m, label, url, title) => {
+            const inner = renderInlineMarkdown(label);
+            if (!isSafeUrl(url)) return hold(inner);
+            const titleAttr = title ? ` title="${escapeHtml(title)}"` : '';
+            return hold(`<a href="${escapeHtml(url)}"${titleAttr}>${inner}</a>`);
+          })
+          .replace(/<((?:https?:\/\/|mailto:)[^\s>]+)>|\b(?:https?:\/\/|www\.)[^\s<]*[^\s<.,:;"')\]!?]/g, (m, bracketed) => {
+            const url = bracketed || m;
+            const href = /^www\./i.test(url) ? `https://${url}` : url;
+            return hold(`<a href="${escapeHtml(href)}">${escapeHtml(url)}</a>`);
+          });
+        html = escapeHtml(html)
+          .replace(/(\*\*|__)(?=\S)([\s\S]*?\S)\1/g, '<strong>$2</strong>')
+          .replace(/\*(?=\S)([\s\S]*?\S)\*/g, '<em>$1</em>')
+          .replace(/(^|[^\w])_(?=\S)([\s\S]*?\S)_(?!\w)/g, '$1<em>$2</em>')
+          .replace(/~~(?=\S)([\s\S]*?\S)~~/g, '<del>$1</del>');
+        return html.replace(/\u0000(\d+)\u0000/g, (m, index) => tokens[index]);
+      }
+
+      /**
+       * Convert Markdown to HTML.  Supports headings, paragraphs (single
+       * line breaks are kept, as in plain notes), block quotes, bulleted,
+       * numbered and task lists, fenced code blocks and horizontal rules,
+       * plus the inline syntax handled by renderInlineMarkdown().  Raw HTML
+       * in the source is shown as text.
+       * @param {string} text Markdown source
+       * @returns {string} HTML (pass it through sanitiseHtml() before use)
+       */
+      function markdownToHtml(text) {
+        const lines = text.split(/\r?\n/);
+        const blocks = [];
+        let paragraph = [];
+        const flushParagraph = () => {
+          if (paragraph.length) {
+            blocks.push(`<p>${paragraph.map(renderInlineMarkdown).join('<br>')}</p>`);
+            paragraph = [];
+          }
+        };
+        const listItem = (line) => line.match(/^\s*(?:([-*+])|(\d{1,9})[.)])\s+(.*)$/);
+        const isOrdered = (match) => !match[1];
+        let i = 0;
+        while (i < lines.length) {
+          const line = lines[i];
+          const fence = line.match(/^\s*(`{3,}|~{3,})/);
+          if (fence) {
+            flushParagraph();
+            const code = [];
+            i += 1;
+            while (i < lines.length && !lines[i].trim().startsWith(fence[1])) {
+              code.push(lines[i]);
+              i += 1;
+            }
+            blocks.push(`<pre><code>${escapeHtml(code.join('\n'))}</code></pre>`);
+            i += 1;
+            continue;
+          }
+          if (!line.trim()) {
+            flushParagraph();
+            i += 1;
+            continue;
+          }
+          const heading = line.match(/^\s*(#{1,6})\s+(.*?)\s*#*\s*$/);
+          if (heading) {
+            flushParagraph();
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInlineMarkdown(heading[2])}</h${level}>`);
+            i += 1;
+            continue;
+          }
+          if (/^\s*([-*_])(\s*\1){2,}\s*$/.test(line)) {
+            flushParagraph();
+            blocks.push('<hr>');
+            i += 1;
+            continue;
+          }
+          if (/^\s*>/.test(line)) {
+            flushParagraph();
+            const quoted = [];
+            while (i < lines.length && /^\s*>/.test(lines[i])) {
+              quoted.push(lines[i].replace(/^\s*>\s?/, ''));
+              i += 1;
+            }
+            blocks.push(`<blockquote>${markdownToHtml(quoted.join('\n'))}</blockquote>`);
+            continue;
+          }
+          const first = listItem(line);
+          if (first) {
+            flushParagraph();
+            const ordered = isOrdered(first);
+            const items = [];
+            let match = first;
+            while (match && isOrdered(match) === ordered) {
+              let body = match[3];
+              i += 1;
+              // indented lines continue the previous item
+              while (i < lines.length && /^\s{2,}\S/.test(lines[i]) && !listItem(lines[i])) {
+                body += '\n' + lines[i].trim();
+                i += 1;
+              }
+              const task = body.match(/^\[([ xX])\]\s+([\s\S]*)$/);
+              const content = (task ? task[2] : body).split('\n').map(renderInlineMarkdown).join('<br>');
+              const box = task
+                ? `<input type="checkbox" disabled${task[1] === ' ' ? '' : ' checked'}> `
+                : '';
+              items.push(`<li>${box}${content}</li>`);
+              match = i < lines.length ? listItem(lines[i]) : null;
+            }
+            const start = ordered && first[2] !== '1' ? ` start="${parseInt(first[2], 10)}"` : '';
+            blocks.push(ordered ? `<ol${start}>${items.join('')}</ol>` : `<ul>${items.join('')}</ul>`);
+            continue;
+          }
+          paragraph.push(line.trim());
+          i += 1;
+        }
+        flushParagraph();
+        return blocks.join('');
+      }
+
+      /**
+       * Parse HTML into an inert fragment and strip anything that could run
+       * code or load content: only the elements and attributes listed in
+       * MARKDOWN_ALLOWED_TAGS survive, dangerous elements are removed with
+       * their contents, other unknown elements are replaced by their
+       * children, and links must point at web or mail addresses.  Links
+       * open in a new tab.
+       * @param {string} html HTML to clean
+       * @returns {DocumentFragment} Safe content
+       */
+      function sanitiseHtml(html) {
+        const template = document.createElement('template');
+        template.innerHTML = html;
+        const clean = (parent) => {
+          Array.from(parent.childNodes).forEach((node) => {
+            if (node.nodeType === Node.TEXT_NODE) return;
+            if (node.nodeType !== Node.ELEMENT_NODE) {
+              node.remove();
+              return;
+            }
+            const tag = node.tagName.toLowerCase();
+            const allowed = MARKDOWN_ALLOWED_TAGS[tag];
+            if (!allowed) {
+              if (MARKDOWN_DROPPED_TAGS.includes(tag)) {
+                node.remove();
+              } else {
+                clean(node);
+                node.replaceWith(...node.childNodes);
+              }
+              return;
+            }
+            Array.from(node.attributes).forEach((attr) => {
+              if (!allowed.includes(attr.name)) node.removeAttribute(attr.name);
+            });
+            if (tag === 'a') {
+              if (!isSafeUrl(node.getAttribute('href') || '')) node.removeAttribute('href');
+              node.target = '_blank';
+              node.rel = 'noopener noreferrer';
+            }
+            if (tag === 'input' && node.getAttribute('type') !== 'checkbox') {
+              node.remove();
+              return;
+            }
+            clean(node);
+          });
+        };
+        clean(template.content);
+        return template.content;
+      }
+
+      /**
+       * Render a note's content as Markdown into a container.
+       * @param {string} text Markdown source
+       * @param {HTMLElement} container Element to fill
+       */
+      function renderMarkdownInto(text, container) {
+        container.classList.add('markdown-body');
+        container.appendChild(sanitiseHtml(markdownToHtml(text)));
+        // links open in a new tab rather than the note they sit on
+        container.querySelectorAll('a').forEach((link) => {
+          link.addEventListener('click', (e) => e.stopPropagation());
+        });
+      }
+
+      /**
+       * Shorten rendered content to about `limit` characters of text
+       * without breaking its structure: the text is cut at a word boundary
+       * where possible and everything after the cut is removed, so any
+       * formatting around the cut stays intact.  An ellipsis is added.
+       * @param {HTMLElement} root Rendered content
+       * @param {number} limit Maximum number of text characters
+       * @returns {HTMLElement|null} Block element that ends the shortened
+       *   content (for a Read More link), or null if nothing was cut
+       */
+      function truncateRendered(root, limit) {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT);
+        let remaining = limit;
+        let node = walker.nextNode();
+        while (node && node.data.length <= remaining) {
+          remaining -= node.data.length;
+          node = walker.nextNode();
+        }
+        if (!node) return null;
+        let cut = node.data.slice(0, remaining);
+        const lastSpace = cut.search(/\s\S*$/);
+        // prefer a word boundary unless that would lose most of the text
+        if (lastSpace > remaining / 2) cut = cut.slice(0, lastSpace);
+        node.data = cut.trimEnd() + '… ';
+        // drop everything after the cut point
+        for (let current = node; current !== root; current = current.parentNode) {
+          while (current.nextSibling) current.nextSibling.remove();
+        }
+        let block = node.parentNode;
+        while (block !== root && !/^(P|LI|H[1-6]|PRE|BLOCKQUOTE)$/.test(block.tagName)) {
+          block = block.parentNode;
+        }
+        return block;
+      }
+
+      /**
+       * Format a timestamp as a value for an <input type="date">, using
+       * local time.
+       * @param {number} time Milliseconds since the epoch
+       */
+      function toDateInputValue(time) {
+        const d = new Date(time);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+      }
+
+      /**
+       * Format a timestamp as a value for an <input type="time">, using
+       * local time.
+       * @param {number} time Milliseconds since the epoch
+       */
+      function toTimeInputValue(time) {
+        const d = new Date(time);
+        const pad = (n) => String(n).padStart(2, '0');
+        return `${pad(d.getHours())}:${pad(d.getMinutes())}`;
+      }
+
+      /**
+       * Populate a set of reminder inputs from a note's reminder.  With no
+       * reminder the date is left blank and the time defaults to the
+       * usual morning slot.
+       * @param {Object|null} reminder Reminder object
+       * @param {HTMLInputElement} dateInput Date field
+       * @param {HTMLInputElement} timeInput Time field
+       * @param {HTMLSelectElement} repeatSelect Repeat selector
+       */
+      function fillReminderFields(reminder, dateInput, timeInput, repeatSelect) {
+        dateInput.value = reminder ? toDateInputValue(reminder.due) : '';
+        timeInput.value = reminder ? toTimeInputValue(reminder.due) : DEFAULT_REMINDER_TIME;
+        repeatSelect.value = reminder ? reminder.repeat : 'none';
+      }
+
+      /**
+       * Read a set of reminder inputs into a reminder object.  Returns null
+       * when no date has been chosen.  A reminder whose time and repeat
+       * are unchanged keeps its fired state so saving a note does not
+       * re-trigger it; changing either makes it due again.
+       * @param {Object|null} previous The note's existing reminder
+       * @param {HTMLInputElement} dateInput Date field
+       * @param {HTMLInputElement} timeInput Time field
+       * @param {HTMLSelectElement} repeatSelect Repeat selector
+       */
+      function readReminderFields(previous, dateInput, timeInput, repeatSelect) {
+        if (!dateInput.value) return null;
+        const time = timeInput.value || DEFAULT_REMINDER_TIME;
+        const due = new Date(`${dateInput.value}T${time}`).getTime();
+        if (Number.isNaN(due)) return null;
+        const repeat = repeatSelect.value;
+        const unchanged = previous && previous.due === due && previous.repeat === repeat;
+        return {
+          due,
+          repeat,
+          fired: unchanged ? !!previous.fired : false
+        };
+      }
+
+      /**
+       * Work out when a repeating reminder is next due after `now`.
+       * Monthly reminders keep their day of the month where possible and
+       * fall back to the last day of shorter months.
+       * @param {number} due Current due time
+       * @param {string} repeat 'daily', 'weekly' or 'monthly'
+       * @param {number} now Reference time
+       * @returns {number} Next due time, strictly after `now`
+       */
+      function nextOccurrence(due, repeat, now) {
+        const start = new Date(due);
+        const day = start.getDate();
+        let next = new Date(due);
+        let steps = 0;
+        while (next.getTime() <= now) {
+          steps += 1;
+          if (repeat === 'daily') {
+            next = new Date(start);
+            next.setDate(day + steps);
+          } else if (repeat === 'weekly') {
+            next = new Date(start);
+            next.setDate(day + steps * 7);
+          } else {
+            next = new Date(start);
+            next.setDate(1);
+            next.setMonth(start.getMonth() + steps);
+            const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+            next.setDate(Math.min(day, lastDay));
+          }
+        }
+        return next.getTime();
+      }
+
+      /**
+       * Describe a reminder time relative to today, e.g. "Today, 09:00",
+       * "Tomorrow, 18:30" or "12 Mar, 08:00".
+       * @param {number} due Due time
+       */
+      function formatReminder(due) {
+        const date = new Date(due);
+        const time = date.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const dayDiff = Math.round((new Date(due).setHours(0, 0, 0, 0) - today) / DAY_MS);
+        if (dayDiff === 0) return `Today, ${time}`;
+        if (dayDiff === 1) return `Tomorrow, ${time}`;
+        if (dayDiff === -1) return `Yesterday, ${time}`;
+        const options = { day: 'numeric', month: 'short' };
+        if (date.getFullYear() !== today.getFullYear()) options.year = 'numeric';
+        return `${date.toLocaleDateString(undefined, options)}, ${time}`;
+      }
+
+      /**
+       * Build the reminder badge shown on cards and in the view modal.
+       * Overdue reminders are highlighted.  Clicking the badge opens the
+       * reminder dialog unless the note is in the trash.
+       * @param {Object} note Note object
+       * @returns {HTMLElement|null} Badge, or null without a reminder
+       */
+      function createReminderChip(note) {
+        if (!note.reminder) return null;
+        const chip = document.createElement('button');
+        chip.className = 'reminder-chip';
+        const overdue = note.reminder.due <= Date.now();
+        chip.classList.toggle('overdue', overdue);
+        const icon = note.reminder.repeat !== 'none' ? 'bi-arrow-repeat' : 'bi-bell';
+        chip.innerHTML = `<i class="bi ${icon}" aria-hidden="true"></i>`;
+        chip.appendChild(document.createTextNode(` ${formatReminder(note.reminder.due)}`));
+        chip.title = overdue ? 'Overdue reminder' : 'Reminder';
+        if (!note.deletedAt) {
+          chip.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openReminderModal(note.id);
+          });
+        } else {
+          chip.disabled = true;
+        }
+        return chip;
+      }
+
+      /**
+       * Open the reminder dialog for a note.
+       * @param {string} noteId Identifier of the note
+       */
+      function openReminderModal(noteId) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+        reminderNoteId = noteId;
+        fillReminderFields(note.reminder, reminderDateInput, reminderTimeInput, reminderRepeatSelect);
+        if (!note.reminder) reminderDateInput.value = toDateInputValue(Date.now());
+        removeReminderBtn.hidden = !note.reminder;
+        openDialog(reminderModal, reminderDateInput);
+      }
+
+      /**
+       * Close the reminder dialog without saving.
+       */
+      function closeReminderModal() {
+        closeDialog(reminderModal);
+        reminderNoteId = null;
+      }
+
+      /**
+       * Set or clear a note's reminder and refresh the display.
+       * @param {string} noteId Identifier of the note
+       * @param {Object|null} reminder New reminder, or null to remove it
+       */
+      function setNoteReminder(noteId, reminder) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+        note.reminder = reminder;
+        touchNote(note);
+        if (reminder) requestNotificationPermission();
+        saveNotes();
+        renderNotes();
+        announce(reminder ? `Reminder set for ${formatReminder(reminder.due)}` : 'Reminder removed');
+      }
+
+      /**
+       * Ask for permission to show system notifications the first time a
+       * reminder is set.  Must run from a user gesture in most browsers.
+       */
+      function requestNotificationPermission() {
+        if ('Notification' in window && Notification.permission === 'default') {
+          Notification.requestPermission().catch(() => {});
+        }
+      }
+
+      /**
+       * Alert the user about a due reminder: a system notification when
+       * permitted, otherwise a message inside the page.  Notifications go
+       * through the service worker where one controls the page, since
+       * some browsers (Chrome on Android) refuse `new Notification()`.  A
+       * notification that cannot be shown falls back to the message.
+       * Locked notes show only their title, as their cards do, since
+       * notifications can appear on the device's lock screen.
+       * @param {Object} note Note whose reminder is due
+       */
+      function notifyReminder(note) {
+        const title = note.title || 'Reminder';
+        let body = note.checklist
+          ? note.items.map((item) => item.text).join(', ')
+          : note.content;
+        if (isNoteHidden(note)) body = 'Locked note';
+        const showInPage = () => {
+          showSnackbar(`Reminder: ${title}`, 'Open', () => openViewModal(note.id));
+        };
+        if (!('Notification' in window) || Notification.permission !== 'granted') {
+          showInPage();
+          return;
+        }
+        if (navigator.serviceWorker && navigator.serviceWorker.controller) {
+          // clicks are handled in sw.js, which asks the page to open the note
+          navigator.serviceWorker.ready
+            .then((registration) => registration.showNotification(title, { body, tag: note.id, data: { noteId: note.id } }))
+            .catch((err) => {
+              console.warn('Could not show a notification:', err);
+              showInPage();
+            });
+          return;
+        }
+        try {
+          const notification = new Notification(title, { body, tag: note.id });
+          notification.addEventListener('click', () => {
+            window.focus();
+            openViewModal(note.id);
+          });
+        } catch (err) {
+          console.warn('Could not show a notification:', err);
+          showInPage();
+        }
+      }
+
+      /**
+       * Fire every reminder that has come due.  One-off reminders are
+       * marked as fired (their badge stays, highlighted as overdue);
+       * repeating reminders roll forward to their next occurrence.  The
+       * bookkeeping is saved without creating an undo step.
+       */
+      function checkReminders() {
+        const now = Date.now();
+        let changed = false;
+        notes.forEach((note) => {
+          const reminder = note.reminder;
+          if (!reminder || reminder.fired || note.deletedAt) return;
+          if (reminder.due > now) return;
+          notifyReminder(note);
+          if (reminder.repeat !== 'none') {
+            reminder.due = nextOccurrence(reminder.due, reminder.repeat, now);
+          } else {
+            reminder.fired = true;
+          }
+          changed = true;
+        });
+        if (changed) {
+          saveNotes({ recordHistory: false });
+          renderNotes();
+        }
+      }
+
+      /**
+       * Check reminders now and then at a regular interval.
+       */
+      function startReminderScheduler() {
+        checkReminders();
+        setInterval(checkReminders, REMINDER_CHECK_MS);
+      }
+
+      /**
+       * Toggle checklist mode in the creation area.  When activated, the
+       * textarea is hidden and checklist items can be added.  When
+       * deactivated, items are discarded and any text from the first
+       * checklist item is moved into the content textarea.
+       */
+      function toggleChecklist() {
+        isChecklistMode = !isChecklistMode;
+        toggleChecklistBtn.classList.toggle('active', isChecklistMode);
+        toggleChecklistBtn.setAttribute('aria-pressed', String(isChecklistMode));
+        if (isChecklistMode) {
+          noteContentInput.style.display = 'none';
+          checklistContainer.style.display = 'block';
+          // if there is text in the note content box, convert it into a
+          // checklist item
+          const content = noteContentInput.value.trim();
+          if (content) {
+            addChecklistItem(content);
+            noteContentInput.value = '';
+          } else if (checklistContainer.children.length === 0) {
+            addChecklistItem('');
+          }
+        } else {
+          // move the first checklist item back into the note content if there
+          // is only one and no content yet
+          if (
+            checklistContainer.children.length === 1 &&
+            !noteContentInput.value
+          ) {
+            const li = checklistContainer.firstElementChild;
+            const input = li.querySelector('input[type="text"]');
+            noteContentInput.value = input.value;
+          }
+          // clear checklist items
+          checklistContainer.innerHTML = '';
+          noteContentInput.style.display = 'block';
+          checklistContainer.style.display = 'none';
+        }
+      }
+
+      /**
+       * Create an item row for one of the checklist editors (the creation
+       * area or the edit modal).  Each row has a drag handle, a checkbox,
+       * a text input and a remove button.  Enter adds an item below at the
+       * same depth, Tab and Shift+Tab indent and outdent the item together
+       * with its sub-items, and ticking an item ticks its sub-items too.
+       * @param {HTMLElement} container List the row belongs to
+       * @param {string} text Item text
+       * @param {boolean} checked Checked state
+       * @param {number} indent Nesting depth (0 for a top-level item)
+       * @returns {HTMLLIElement} The row (not yet inserted)
+       */
+      function createChecklistEditorItem(container, text, checked, indent) {
+        const li = document.createElement('li');
+        setEditorItemIndent(li, indent);
+        const handle = document.createElement('span');
+        handle.className = 'item-drag-handle';
+        handle.title = 'Drag to reorder, or press Alt+Up/Down in the item';
+        handle.setAttribute('aria-hidden', 'true');
+        handle.innerHTML = '<i class="bi bi-grip-vertical"></i>';
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.checked = checked;
+        checkbox.addEventListener('change', () => {
+          getEditorItemBlock(li).forEach((row) => {
+            row.querySelector('input[type="checkbox"]').checked = checkbox.checked;
+          });
+        });
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.value = text;
+        input.placeholder = 'List item';
+        input.addEventListener('keydown', (e) => {
+          if (e.key === 'Enter') {
+            e.preventDefault();
+            const next = createChecklistEditorItem(container, '', false, getEditorItemIndent(li));
+            const block = getEditorItemBlock(li);
+            block[block.length - 1].after(next);
+            next.querySelector('input[type="text"]').focus();
+          } else if (e.key === 'Tab') {
+            const previous = li.previousElementSibling;
+            const limit = previous
+              ? Math.min(getEditorItemIndent(previous) + 1, CHECKLIST_MAX_INDENT)
+              : 0;
+            const current = getEditorItemIndent(li);
+            const target = e.shiftKey ? Math.max(current - 1, 0) : Math.min(current + 1, limit);
+            // leave Tab to move focus when the item cannot move further
+            if (target === current) return;
+            e.preventDefault();
+            shiftEditorItems(getEditorItemBlock(li), target - current);
+          } else if (e.altKey && (e.key === 'ArrowUp' || e.key === 'ArrowDown')) {
+            e.preventDefault();
+            moveEditorItems(li, e.key === 'ArrowUp' ? -1 : 1);
+            input.focus();
+          }
+        });
+        const removeBtn = document.createElement('button');
+        removeBtn.className = 'icon-btn';
+        removeBtn.textContent = '✕';
+        removeBtn.title = 'Remove item';
+        removeBtn.setAttribute('aria-label', 'Remove item');
+        removeBtn.addEventListener('click', () => {
+          li.remove();
+          normaliseEditorIndents(container);
+        });
+        li.appendChild(handle);
+        li.appendChild(checkbox);
+        li.appendChild(input);
+        li.appendChild(removeBtn);
+        return li;
+      }
+
+      /**
+       * Nesting depth of a checklist editor row.
+       * @param {HTMLLIElement} li Row
+       */
+      function getEditorItemIndent(li) {
+        return Number(li.dataset.indent) || 0;
+      }
+
+      /**
+       * Set the nesting depth of a checklist editor row.
+       * @param {HTMLLIElement} li Row
+       * @param {number} indent Nesting depth
+       */
+      function setEditorItemIndent(li, indent) {
+        li.dataset.indent = indent;
+        li.style.setProperty('--indent', indent);
+      }
+
+      /**
+       * A row together with its sub-items: the rows after it that are
+       * nested more deeply.
+       * @param {HTMLLIElement} li Row
+       * @returns {HTMLLIElement[]} The row followed by its sub-items
+       */
+      function getEditorItemBlock(li) {
+        const block = [li];
+        const depth = getEditorItemIndent(li);
+        let next = li.nextElementSibling;
+        while (next && getEditorItemIndent(next) > depth) {
+          block.push(next);
+          next = next.nextElementSibling;
+        }
+        return block;
+      }
+
+      /**
+       * Indent or outdent a set of rows by the same amount, keeping each
+       * within 0 and CHECKLIST_MAX_INDENT.
+       * @param {HTMLLIElement[]} rows Rows to move
+       * @param {number} delta Levels to add (negative to outdent)
+       */
+      function shiftEditorItems(rows, delta) {
+        rows.forEach((row) => {
+          const indent = getEditorItemIndent(row) + delta;
+          setEditorItemIndent(row, Math.max(0, Math.min(indent, CHECKLIST_MAX_INDENT)));
+        });
+      }
+
+      /**
+       * Move a checklist editor row, with its sub-items, above the row
+       * before it or below the row after it (Alt+Up/Down), taking that
+       * row's depth as a drop there would.
+       * @param {HTMLLIElement} li Row to move
+       * @param {number} step -1 to move up, 1 to move down
+       */
+      function moveEditorItems(li, step) {
+        const container = li.parentElement;
+        const block = getEditorItemBlock(li);
+        const anchor = step < 0
+          ? block[0].previousElementSibling
+          : block[block.length - 1].nextElementSibling;
+        if (!anchor) return;
+        if (step < 0) anchor.before(...block);
+        else getEditorItemBlock(anchor).pop().after(...block);
+        shiftEditorItems(block, getEditorItemIndent(anchor) - getEditorItemIndent(block[0]));
+        normaliseEditorIndents(container);
+        const position = Array.from(container.children).indexOf(li) + 1;
+        announce(`Item moved to position ${position} of ${container.children.length}`);
+      }
+
+      /**
+       * Repair nesting after rows were removed or moved, so that no row is
+       * more than one level deeper than the row above it.
+       * @param {HTMLElement} container Checklist editor list
+       */
+      function normaliseEditorIndents(container) {
+        let previous = -1;
+        Array.from(container.children).forEach((row) => {
+          const indent = Math.min(getEditorItemIndent(row), previous + 1);
+          setEditorItemIndent(row, indent);
+          previous = indent;
+        });
+      }
+
+      /**
+       * Let the rows of a checklist editor be reordered by dragging their
+       * handles, with a mouse or a finger.  A row moves together with its
+       * sub-items and is dropped before or after the row under the
+       * pointer, taking that row's depth.
+       * @param {HTMLElement} container Checklist editor list
+       */
+      function initChecklistDrag(container) {
+        // rows being dragged and the pointer dragging them
+        let dragged = null;
+        let pointerId = null;
+        const clearMarkers = () => {
+          container.querySelectorAll('.drop-before, .drop-after').forEach((row) => {
+            row.classList.remove('drop-before', 'drop-after');
+          });
+        };
+        // the row under the pointer and which side of it a drop would go,
+        // or null over nothing or over the dragged block itself
+        const dropTarget = (e) => {
+          const under = document.elementFromPoint(e.clientX, e.clientY);
+          const row = under && under.closest('li');
+          if (!row || !container.contains(row) || dragged.includes(row)) return null;
+          const rect = row.getBoundingClientRect();
+          return { row, position: e.clientY < rect.top + rect.height / 2 ? 'before' : 'after' };
+        };
+        const finish = (e, drop) => {
+          if (!dragged || e.pointerId !== pointerId) return;
+          const target = drop ? dropTarget(e) : null;
+          if (target) {
+            const { row, position } = target;
+            // dropping after a row with sub-items places the block after them
+            const anchor = position === 'after' ? getEditorItemBlock(row).pop() : row;
+            if (!dragged.includes(anchor)) {
+              if (position === 'after') anchor.after(...dragged);
+              else anchor.before(...dragged);
+              shiftEditorItems(dragged, getEditorItemIndent(row) - getEditorItemIndent(dragged[0]));
+              normaliseEditorIndents(container);
+            }
+          }
+          dragged.forEach((item) => item.classList.remove('dragging'));
+          dragged = null;
+          pointerId = null;
+          clearMarkers();
+        };
+        // only the handle starts a drag, so text in the inputs stays
+        // selectable; capturing the pointer keeps its events coming here
+        container.addEventListener('pointerdown', (e) => {
+          const handle = e.target.closest && e.target.closest('.item-drag-handle');
+          if (!handle || dragged || !e.isPrimary || e.button !== 0) return;
+          e.preventDefault();
+          if (handle.setPointerCapture) handle.setPointerCapture(e.pointerId);
+          dragged = getEditorItemBlock(handle.closest('li'));
+          pointerId = e.pointerId;
+          dragged.forEach((item) => item.classList.add('dragging'));
+        });
+        container.addEventListener('pointermove', (e) => {
+          if (!dragged || e.pointerId !== pointerId) return;
+          clearMarkers();
+          const target = dropTarget(e);
+          if (target) target.row.classList.add(`drop-${target.position}`);
+        });
+        container.addEventListener('pointerup', (e) => finish(e, true));
+        container.addEventListener('pointercancel', (e) => finish(e, false));
+      }
+
+      /**
+       * Tick or untick a checklist item together with its sub-items.
+       * @param {Object[]} items Checklist items
+       * @param {number} index Item to change
+       * @param {boolean} checked New state
+       */
+      function setItemChecked(items, index, checked) {
+        const depth = items[index].indent;
+        items[index].checked = checked;
+        for (let i = index + 1; i < items.length && items[i].indent > depth; i++) {
+          items[i].checked = checked;
+        }
+      }
+
+      /**
+       * Make checklist nesting consistent: depths are whole numbers from 0
+       * to CHECKLIST_MAX_INDENT and each item is at most one level deeper
+       * than the one before it.  Items are modified in place.
+       * @param {Object[]} items Checklist items
+       * @returns {Object[]} The same items
+       */
+      function normaliseItemIndents(items) {
+        let previous = -1;
+        items.forEach((item) => {
+          const indent = Number.isInteger(item.indent) ? item.indent : 0;
+          item.indent = Math.max(0, Math.min(indent, previous + 1, CHECKLIST_MAX_INDENT));
+          previous = item.indent;
+        });
+        return items;
+      }
+
+      /**
+       * Add a new list item to the checklist container in the creation
+       * area.
+       * @param {string} text Initial text for the item
+       * @param {boolean} checked Initial checked state
+       * @param {number} [indent=0] Nesting depth
+       */
+      function addChecklistItem(text = '', checked = false, indent = 0) {
+        checklistContainer.appendChild(
+          createChecklistEditorItem(checklistContainer, text, checked, indent)
+        );
+      }
+
+      /**
+       * Collect data from the checklist container into an array of
+       * {text, checked, indent} objects.  Empty items are ignored.
+       */
+      function collectChecklistItems(container) {
+        const items = [];
+        container.querySelectorAll('li').forEach((li) => {
+          const textInput = li.querySelector('input[type="text"]');
+          const check = li.querySelector('input[type="checkbox"]');
+          const text = textInput.value.trim();
+          if (text) {
+            items.push({ text, checked: check.checked, indent: getEditorItemIndent(li) });
+          }
+        });
+        return normaliseItemIndents(items);
+      }
+
+      /**
+       * Create a new note based on the input fields and add it to the
+       * notes array.  Returns true if the note was added.
+       */
+      function addNote() {
+        // create a note based on inputs; do not proceed if title, content
+        // and attachments are all empty
+        const title = noteTitleInput.value.trim();
+        const hasAttachments = currentAttachments.length > 0;
+        if (!isChecklistMode) {
+          const content = noteContentInput.value.trim();
+          if (!title && !content && !hasAttachments) return false;
+          const newNote = createNote({
+            title,
+            content,
+            color: currentColor,
+            labels: [...currentLabels],
+            attachments: [...currentAttachments]
+          });
+          prepareNewNoteLabels(newNote);
+          notes.unshift(newNote);
+        } else {
+          const items = collectChecklistItems(checklistContainer);
+          if (!title && items.length === 0 && !hasAttachments) return false;
+          const newNote = createNote({
+            title,
+            checklist: true,
+            items,
+            color: currentColor,
+            labels: [...currentLabels],
+            attachments: [...currentAttachments]
+          });
+          prepareNewNoteLabels(newNote);
+          notes.unshift(newNote);
+        }
+        clearNoteInput();
+        saveNotes();
+        renderNotes();
+        announce('Note added');
+        return true;
+      }
+
+      /**
+       * Empty the creation area (and so its draft).  The colour chosen is
+       * kept for the next note.
+       */
+      function clearNoteInput() {
+        noteTitleInput.value = '';
+        noteContentInput.value = '';
+        checklistContainer.innerHTML = '';
+        currentLabels = [];
+        renderLabelPicker(noteLabelPicker, currentLabels);
+        currentAttachments.length = 0;
+        renderAttachmentEditor(noteAttachmentsEl, currentAttachments);
+        if (isChecklistMode) {
+          // hide checklist after save to default back to note
+          toggleChecklist();
+        }
+        saveDrafts();
+      }
+
+      /**
+       * Open the edit modal for a given note id.  Populate fields and set
+       * the editNoteId so we know which note to update on save.  A locked
+       * note asks for the passphrase first.
+       * @param {string} noteId ID of the note to edit
+       */
+      function openEditModal(noteId) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+        if (isNoteHidden(note)) {
+          unlockNote(noteId).then((unlocked) => {
+            if (unlocked) openEditModal(noteId);
+          });
+          return;
+        }
+        editNoteId = noteId;
+        // populate modal fields
+        editTitleInput.value = note.title || '';
+        editContentInput.value = '';
+        editChecklistContainer.innerHTML = '';
+        if (note.checklist) {
+          // hide text area and show checklist
+          editContentInput.style.display = 'none';
+          editChecklistContainer.style.display = 'block';
+          note.items.forEach((it) => {
+            addEditChecklistItem(it.text, !!it.checked, it.indent);
+          });
+          // ensure there is at least one empty item to add new
+          addEditChecklistItem('');
+        } else {
+          // normal note
+          editContentInput.style.display = 'block';
+          editChecklistContainer.style.display = 'none';
+          editContentInput.value = note.content;
+        }
+        editLabels = [...(note.labels || [])];
+        renderLabelPicker(editLabelPicker, editLabels);
+        editAttachments.splice(0, editAttachments.length, ...note.attachments);
+        renderAttachmentEditor(editAttachmentsEl, editAttachments);
+        fillReminderFields(note.reminder, editReminderDate, editReminderTime, editReminderRepeat);
+        editFormBaseline = readEditForm();
+        editNoteUpdatedAt = note.updatedAt;
+        editOrphan = null;
+        editSyncNotice.hidden = true;
+        // Show modal
+        openDialog(editModal, editTitleInput);
+      }
+
+      /**
+       * Add a checklist item to the edit modal container.  Similar to the
+       * creation area but bound to the edit container.
+       * @param {string} text Item text
+       * @param {boolean} checked Checked state
+       * @param {number} [indent=0] Nesting depth
+       */
+      function addEditChecklistItem(text = '', checked = false, indent = 0) {
+        editChecklistContainer.appendChild(
+          createChecklistEditorItem(editChecklistContainer, text, checked, indent)
+        );
+      }
+
+      /**
+       * Capture the current contents of the edit modal's fields, so that
+       * unsaved edits can be detected.
+       * @returns {string} Serialised field values
+       */
+      function readEditForm() {
+        return JSON.stringify({
+          title: editTitleInput.value,
+          content: editContentInput.value,
+          items: collectChecklistItems(editChecklistContainer),
+          labels: editLabels,
+          attachments: editAttachments.map((attachment) => attachment.id),
+          reminder: [editReminderDate.value, editReminderTime.value, editReminderRepeat.value]
+        });
+      }
+
+      /**
+       * Close the edit modal and reset state, dropping any unsaved changes
+       * and their draft.
+       */
+      function closeEditModal() {
+        closeDialog(editModal);
+        editNoteId = null;
+        editFormBaseline = null;
+        editNoteUpdatedAt = null;
+        editOrphan = null;
+        editSyncNotice.hidden = true;
+        editChecklistContainer.innerHTML = '';
+        editContentInput.value = '';
+        editTitleInput.value = '';
+        editLabels = [];
+        editLabelPicker.innerHTML = '';
+        editAttachments.length = 0;
+        renderAttachmentEditor(editAttachmentsEl, editAttachments);
+        saveDrafts();
+      }
+
+      /**
+       * Close the edit modal at the user's request (the close button, the
+       * backdrop or Escape).  Unsaved changes are saved straight away in
+       * "save on close" mode; otherwise the user is asked whether to save
+       * or discard them, or to keep editing.
+       */
+      function requestCloseEditModal() {
+        if (!editNoteId) return;
+        if (readEditForm() === editFormBaseline) {
+          closeEditModal();
+        } else if (settings.saveOnClose) {
+          saveEditedNote();
+        } else {
+          openDialog(unsavedModal, unsavedSaveBtn);
+        }
+      }
+
+      /**
+       * Answer the unsaved changes prompt.
+       * @param {string} [choice='cancel'] 'save', 'discard' or 'cancel'
+       *   (keep editing)
+       */
+      function closeUnsavedPrompt(choice = 'cancel') {
+        closeDialog(unsavedModal);
+        if (choice === 'save') saveEditedNote();
+        else if (choice === 'discard') closeEditModal();
+      }
+
+      /**
+       * The unsaved contents of the creation area, or null if it is empty.
+       * @returns {Object|null} Draft of a new note
+       */
+      function readNoteDraft() {
+        const draft = {
+          title: noteTitleInput.value,
+          content: isChecklistMode ? '' : noteContentInput.value,
+          checklist: isChecklistMode,
+          items: isChecklistMode ? collectChecklistItems(checklistContainer) : [],
+          color: currentColor,
+          labels: [...currentLabels],
+          attachments: currentAttachments.slice()
+        };
+        const empty = !draft.title.trim() && !draft.content.trim() &&
+          !draft.items.length && !draft.attachments.length;
+        return empty ? null : draft;
+      }
+
+      /**
+       * The edit modal's fields, if they differ from the note as it was
+       * loaded, or null.
+       * @returns {Object|null} Draft of the edited note
+       */
+      function readEditDraft() {
+        if (!editNoteId || readEditForm() === editFormBaseline) return null;
+        const note = notes.find((n) => n.id === editNoteId) || editOrphan;
+        return {
+          noteId: editNoteId,
+          updatedAt: editNoteUpdatedAt,
+          title: editTitleInput.value,
+          content: editContentInput.value,
+          checklist: Boolean(note && note.checklist),
+          items: collectChecklistItems(editChecklistContainer),
+          labels: [...editLabels],
+          attachments: editAttachments.slice(),
+          reminder: [editReminderDate.value, editReminderTime.value, editReminderRepeat.value]
+        };
+      }
+
+      /**
+       * Save the drafts shortly, once typing pauses.
+       */
+      function scheduleDraftSave() {
+        clearTimeout(draftTimer);
+        draftTimer = setTimeout(saveDrafts, DRAFT_SAVE_DELAY);
+      }
+
+      /**
+       * The localStorage key of this tab's drafts (see DRAFTS_KEY).
+       * @returns {string} Key
+       */
+      function getDraftsKey() {
+        if (!draftTabId) {
+          try {
+            draftTabId = sessionStorage.getItem(DRAFTS_TAB_KEY);
+            if (!draftTabId) {
+              draftTabId = generateId();
+              sessionStorage.setItem(DRAFTS_TAB_KEY, draftTabId);
+            }
+          } catch (err) {
+            // without sessionStorage the drafts only last until a reload
+            draftTabId = draftTabId || generateId();
+          }
+        }
+        return `${DRAFTS_KEY}.${draftTabId}`;
+      }
+
+      /**
+       * Write the unsaved text of the creation area and the editor to this
+       * tab's drafts in localStorage, encrypted while the passphrase lock
+       * is on, or remove them when there is none.  Nothing is written
+       * while the app is locked or before the stored drafts were restored.
+       * The record is `{released, savedAt, drafts}`, where `released` says
+       * that the tab has gone away (see releaseDrafts()) and `savedAt` is
+       * when the tab last showed it was open (see touchDrafts()).
+       */
+      async function saveDrafts() {
+        clearTimeout(draftTimer);
+        draftTimer = null;
+        if (appLocked || !draftsRestored) return;
+        const note = readNoteDraft();
+        const edit = readEditDraft();
+        const json = note || edit ? JSON.stringify({ note, edit }) : '';
+        if (json === lastDraftJson) return;
+        lastDraftJson = json;
+        const key = getDraftsKey();
+        try {
+          if (!json) {
+            localStorage.removeItem(key);
+          } else if (vaultKey) {
+            const encrypted = await encryptText(vaultKey, json);
+            // a newer draft may have been written meanwhile
+            if (lastDraftJson === json) {
+              localStorage.setItem(key, JSON.stringify({ released: draftsReleased, savedAt: Date.now(), drafts: encrypted }));
+            }
+          } else {
+            localStorage.setItem(key, JSON.stringify({ released: draftsReleased, savedAt: Date.now(), drafts: JSON.parse(json) }));
+          }
+        } catch (err) {
+          console.warn('Could not save a draft:', err);
+          lastDraftJson = null;
+        }
+      }
+
+      /**
+       * Write the drafts again, e.g. encrypted now that the passphrase lock
+       * is on.
+       */
+      function rewriteDrafts() {
+        lastDraftJson = null;
+        saveDrafts();
+      }
+
+      /**
+       * Mark this tab's drafts as left behind when the page goes away, so
+       * that the next tab to open takes them over.  A reload finds them
+       * again under the same key.  Runs synchronously, as the page may be
+       * gone before anything asynchronous finishes.
+       */
+      function releaseDrafts() {
+        draftsReleased = true;
+        const key = getDraftsKey();
+        try {
+          const record = JSON.parse(localStorage.getItem(key));
+          if (record && record.drafts) {
+            localStorage.setItem(key, JSON.stringify({ ...record, released: true }));
+          }
+        } catch (err) {
+          console.warn('Could not release the drafts:', err);
+        }
+      }
+
+      /**
+       * Mark this tab's stored drafts as still in use (see DRAFT_STALE_MS).
+       * Runs every DRAFT_HEARTBEAT_MS, locked or not.
+       */
+      function touchDrafts() {
+        if (draftsReleased) return;
+        const key = getDraftsKey();
+        const record = readDraftsRecord(key);
+        if (!record) return;
+        try {
+          localStorage.setItem(key, JSON.stringify({ ...record, savedAt: Date.now() }));
+        } catch (err) {
+          console.warn('Could not mark the drafts as in use:', err);
+        }
+      }
+
+      /**
+       * Whether stored drafts belong to no open tab: the tab released
+       * them, or has not marked them as in use for DRAFT_STALE_MS.
+       * @param {Object} record Record from readDraftsRecord()
+       */
+      function isDraftsRecordLeft(record) {
+        return record.released || !(record.savedAt > Date.now() - DRAFT_STALE_MS);
+      }
+
+      /**
+       * Read this tab's stored drafts or, if it has none, the drafts left
+       * behind by a tab that has since closed (see isDraftsRecordLeft()),
+       * which this tab then takes over.  The drafts of tabs that are still
+       * open are not touched.  Encrypted drafts that cannot be decrypted
+       * (the lock was turned off since) are ignored, and removed if no
+       * open tab owns them, since they can never be restored.
+       * @returns {Promise<Object|null>} Drafts ({note, edit}), if any
+       */
+      async function loadDrafts() {
+        const ownKey = getDraftsKey();
+        for (const key of getStoredDraftsKeys()) {
+          const record = readDraftsRecord(key);
+          if (!record || (key !== ownKey && !isDraftsRecordLeft(record))) continue;
+          // claimed before decrypting, so that two tabs opening at once
+          // do not both take them over
+          if (key !== ownKey) localStorage.removeItem(key);
+          try {
+            return await openDrafts(record);
+          } catch (err) {
+            console.warn('Ignoring unreadable drafts:', err);
+          }
+        }
+        return null;
+      }
+
+      /**
+       * The localStorage keys of every tab's drafts, this tab's first.
+       * @returns {string[]} Keys
+       */
+      function getStoredDraftsKeys() {
+        const ownKey = getDraftsKey();
+        const keys = [ownKey];
+        for (let i = 0; i < localStorage.length; i++) {
+          const key = localStorage.key(i);
+          // earlier versions kept the drafts of every tab under DRAFTS_KEY
+          if (key !== ownKey && (key === DRAFTS_KEY || key.startsWith(`${DRAFTS_KEY}.`))) keys.push(key);
+        }
+        return keys;
+      }
+
+      /**
+       * Read a stored drafts record (see saveDrafts()) without decrypting
+       * it.  Drafts saved by earlier versions count as released.
+       * @param {string} key localStorage key
+       * @returns {Object|null} The record, or null if there is none
+       */
+      function readDraftsRecord(key) {
+        try {
+          const record = JSON.parse(localStorage.getItem(key));
+          if (key === DRAFTS_KEY && record) return { released: true, drafts: record };
+          return record && record.drafts ? record : null;
+        } catch (err) {
+          return null;
+        }
+      }
+
+      /**
+       * The drafts held in a stored record, decrypted if need be.
+       * @param {Object} record Record from readDraftsRecord()
+       * @returns {Promise<Object>} Drafts ({note, edit})
+       * @throws {Error} If the drafts cannot be read
+       */
+      async function openDrafts(record) {
+        let { drafts } = record;
+        if (drafts.iv) {
+          if (!vaultKey) throw new Error('The drafts are encrypted');
+          drafts = JSON.parse(await decryptText(vaultKey, drafts));
+        }
+        if (!drafts || typeof drafts !== 'object') throw new Error('The drafts are not an object');
+        return drafts;
+      }
+
+      /**
+       * Put unsaved text from a previous visit (or from before the app
+       * locked) back into the creation area and the editor.  Drafts are
+       * checked like notes from storage (see repairNote()).
+       */
+      async function restoreDrafts() {
+        const drafts = await loadDrafts();
+        draftsRestored = true;
+        if (drafts && drafts.note && typeof drafts.note === 'object') {
+          restoreNoteDraft(repairNote({ ...drafts.note, id: 'draft' }, []));
+        }
+        if (drafts && drafts.edit && typeof drafts.edit === 'object') {
+          restoreEditDraft(drafts.edit);
+        }
+        // written back under this tab's key, unless there was nothing
+        if (drafts) {
+          rewriteDrafts();
+        } else {
+          lastDraftJson = '';
+          saveDrafts();
+        }
+      }
+
+      /**
+       * Fill the creation area from a draft.
+       * @param {Object} draft Draft note
+       */
+      function restoreNoteDraft(draft) {
+        noteTitleInput.value = draft.title;
+        if (draft.checklist !== isChecklistMode) toggleChecklist();
+        if (draft.checklist) {
+          checklistContainer.innerHTML = '';
+          draft.items.forEach((item) => addChecklistItem(item.text, item.checked, item.indent));
+          addChecklistItem('');
+        } else {
+          noteContentInput.value = draft.content;
+        }
+        setCurrentColour(draft.color);
+        currentLabels = [...draft.labels];
+        renderLabelPicker(noteLabelPicker, currentLabels);
+        currentAttachments.splice(0, currentAttachments.length, ...draft.attachments);
+        renderAttachmentEditor(noteAttachmentsEl, currentAttachments);
+      }
+
+      /**
+       * Reopen the editor with the unsaved changes of a draft.  A locked
+       * note asks for the passphrase first; a draft for a note that has
+       * since been deleted, or has changed type, is dropped.  If the note
+       * changed after the draft was made, the editor says so and offers to
+       * load the latest version instead.
+       * @param {Object} draft Draft of the edited note
+       */
+      function restoreEditDraft(draft) {
+        const note = notes.find((n) => n.id === draft.noteId && !n.deletedAt);
+        if (!note) return;
+        if (isNoteHidden(note)) {
+          unlockNote(note.id).then((unlocked) => {
+            if (unlocked) restoreEditDraft(draft);
+          });
+          return;
+        }
+        const fields = repairNote({ ...draft, id: note.id }, []);
+        if (fields.checklist !== note.checklist) return;
+        openEditModal(note.id);
+        editTitleInput.value = fields.title;
+        if (note.checklist) {
+          editChecklistContainer.innerHTML = '';
+          fields.items.forEach((item) => addEditChecklistItem(item.text, item.checked, item.indent));
+          addEditChecklistItem('');
+        } else {
+          editContentInput.value = fields.content;
+        }
+        editLabels = [...fields.labels];
+        renderLabelPicker(editLabelPicker, editLabels);
+        editAttachments.splice(0, editAttachments.length, ...fields.attachments);
+        renderAttachmentEditor(editAttachmentsEl, editAttachments);
+        const reminder = Array.isArray(draft.reminder) ? draft.reminder : [];
+        [editReminderDate, editReminderTime, editReminderRepeat].forEach((input, index) => {
+          if (typeof reminder[index] === 'string') input.value = reminder[index];
+        });
+        if (readEditForm() === editFormBaseline) {
+          closeEditModal();
+          return;
+        }
+        if (draft.updatedAt !== note.updatedAt) {
+          showEditSyncNotice('This note was changed after these edits were made.', true);
+        }
+        showSnackbar('Unsaved changes restored', 'Discard', () => {
+          if (editNoteId === note.id) closeEditModal();
+        });
+      }
+
+      /**
+       * Open the view modal to display the full content of a note.  This
+       * function is invoked when a user clicks the Read More link on a
+       * truncated note.  It populates the modal with the note's title,
+       * content or checklist and builds a fresh set of action buttons
+       * (pin/unpin, colour cycle, edit and delete) that operate on the
+       * underlying note.  The modal can be dismissed by the user via
+       * closeViewModal().  A locked note asks for the passphrase first.
+       * @param {string} noteId Identifier of the note to view
+       */
+      function openViewModal(noteId) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+        if (isNoteHidden(note)) {
+          unlockNote(noteId).then((unlocked) => {
+            if (unlocked) openViewModal(noteId);
+          });
+          return;
+        }
+        viewNoteId = noteId;
+        // populate title
+        viewTitleEl.textContent = note.title || '';
+        // populate images, then content or checklist
+        viewContentEl.innerHTML = '';
+        if (note.attachments.length) {
+          viewContentEl.appendChild(
+            createImageGallery(note.attachments, Infinity, (index) => openLightbox(note.attachments, index))
+          );
+        }
+        if (note.checklist) {
+          viewContentEl.appendChild(createChecklistDisplay(note));
+        } else if (settings.markdown) {
+          const body = document.createElement('div');
+          renderMarkdownInto(note.content, body);
+          viewContentEl.appendChild(body);
+        } else {
+          // plain text note; preserve whitespace
+          const p = document.createElement('p');
+          p.textContent = note.content;
+          viewContentEl.appendChild(p);
+        }
+        const reminderChip = createReminderChip(note);
+        if (reminderChip) {
+          // the dialog would open on top of this one, so close it first
+          reminderChip.addEventListener('click', closeViewModal);
+          viewContentEl.appendChild(reminderChip);
+        }
+        const labelChips = createLabelChips(note);
+        if (labelChips) viewContentEl.appendChild(labelChips);
+        // build action buttons
+        viewNoteActions.innerHTML = '';
+        if (note.deletedAt) {
+          viewNoteActions.appendChild(createTrashActions(note, closeViewModal));
+          openDialog(viewModal);
+          return;
+        }
+        // Pin/unpin
+        const pinBtn = createIconButton(
+          note.pinned ? 'Unpin' : 'Pin',
+          note.pinned ? 'bi-pin-angle-fill' : 'bi-pin-angle'
+        );
+        pinBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          togglePinned(noteId);
+          // refresh the modal to update the icon
+          openViewModal(noteId);
+        });
+        viewNoteActions.appendChild(pinBtn);
+        // Colour picker
+        const colourBtn = createIconButton('Change colour', 'bi-palette');
+        colourBtn.setAttribute('aria-haspopup', 'dialog');
+        colourBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openColourPicker(colourBtn, note.color, (colour) => {
+            setNoteColour(noteId, colour);
+            openViewModal(noteId);
+          });
+        });
+        viewNoteActions.appendChild(colourBtn);
+        // Reminder
+        const remindBtn = createIconButton(note.reminder ? 'Change reminder' : 'Remind me', 'bi-bell');
+        remindBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          closeViewModal();
+          openReminderModal(noteId);
+        });
+        viewNoteActions.appendChild(remindBtn);
+        // Edit button
+        const editBtn = createIconButton('Edit note', 'bi-pencil');
+        editBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          closeViewModal();
+          openEditModal(noteId);
+        });
+        viewNoteActions.appendChild(editBtn);
+        // Archive/unarchive
+        const archiveBtn = createIconButton(
+          note.archived ? 'Unarchive' : 'Archive',
+          note.archived ? 'bi-box-arrow-up' : 'bi-archive'
+        );
+        archiveBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          setNoteArchived(noteId, !note.archived);
+          closeViewModal();
+        });
+        viewNoteActions.appendChild(archiveBtn);
+        // Delete button (moves the note to the trash)
+        const deleteBtn = createIconButton('Move to Trash', 'bi-trash');
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          trashNoteById(noteId);
+          closeViewModal();
+        });
+        viewNoteActions.appendChild(deleteBtn);
+        // Revision history
+        const historyBtn = createIconButton('History', 'bi-clock-history');
+        historyBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openHistoryModal(noteId);
+        });
+        viewNoteActions.appendChild(historyBtn);
+        // More actions (sharing and downloads)
+        const moreBtn = createIconButton('More actions', 'bi-three-dots-vertical');
+        moreBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          openMenu(moreBtn, getNoteMenuItems(note));
+        });
+        viewNoteActions.appendChild(moreBtn);
+        // show the modal
+        openDialog(viewModal);
+      }
+
+      /**
+       * Close the view modal and clear its contents.
+       */
+      function closeViewModal() {
         if (!viewModal) return;
-        viewModal.classList.remove('show');
-        viewModal.setAttribute('aria-hidden', 'true');
+        viewNoteId = null;
+        closeDialog(viewModal);
         // clear title and content
         viewTitleEl.textContent = '';
         viewContentEl.innerHTML = '';
@@ -773,98 +5416,3460 @@
       }
 
       /**
-       * Delete a note by ID and refresh the display.
-       * @param {string} id Note identifier
+       * File extension for an image type, e.g. 'jpg' for image/jpeg.
+       * @param {string} type MIME type
+       */
+      function attachmentExtension(type) {
+        return type === 'image/jpeg' ? 'jpg' : type.slice('image/'.length).replace(/\W.*$/, '');
+      }
+
+      /**
+       * Create an <img> for an attachment.  The image is loaded from
+       * storage in the background; its size is known up front, so the
+       * layout does not jump when it arrives.
+       * @param {Object} attachment Attachment details
+       * @returns {HTMLImageElement} Image element
+       */
+      function createAttachmentImage(attachment) {
+        const img = document.createElement('img');
+        img.alt = attachment.kind === 'drawing' ? 'Drawing' : 'Image';
+        img.width = attachment.width;
+        img.height = attachment.height;
+        // stops the browser's own image dragging getting in the way of
+        // dragging the card
+        img.draggable = false;
+        showAttachment(img, attachment);
+        return img;
+      }
+
+      /**
+       * Load a stored image into an <img>.  If the element has been given
+       * another image in the meantime, it is left alone.
+       * @param {HTMLImageElement} img Image element
+       * @param {Object} attachment Attachment details
+       * @returns {Promise<void>}
+       */
+      function showAttachment(img, attachment) {
+        img.dataset.attachmentId = attachment.id;
+        img.classList.remove('missing');
+        return loadAttachmentUrl(attachment.id).then((url) => {
+          if (img.dataset.attachmentId !== attachment.id) return;
+          if (url) {
+            img.src = url;
+          } else {
+            img.classList.add('missing');
+            img.alt = 'Image not found';
+          }
+        });
+      }
+
+      /**
+       * Build a gallery of image thumbnails.  If there are more than
+       * `limit` images, the last thumbnail shown carries a "+N" count of the
+       * rest.
+       * @param {Object[]} attachments Attachments to show
+       * @param {number} limit Most thumbnails to show
+       * @param {Function} onOpen Called with the index of a clicked image
+       * @returns {HTMLElement} Gallery element
+       */
+      function createImageGallery(attachments, limit, onOpen) {
+        const gallery = document.createElement('div');
+        gallery.className = 'note-images';
+        const shown = attachments.slice(0, limit);
+        const more = attachments.length - shown.length;
+        gallery.classList.toggle('single', shown.length === 1);
+        shown.forEach((attachment, index) => {
+          const btn = document.createElement('button');
+          btn.className = 'note-image';
+          btn.appendChild(createAttachmentImage(attachment));
+          if (more > 0 && index === shown.length - 1) {
+            const count = document.createElement('span');
+            count.className = 'more-images';
+            count.textContent = `+${more}`;
+            btn.appendChild(count);
+          }
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onOpen(index);
+          });
+          gallery.appendChild(btn);
+        });
+        return gallery;
+      }
+
+      /**
+       * Show the attachments of the note in the creation area or the edit
+       * modal, each with a remove button.  Clicking a drawing continues it
+       * in the sketch pad; clicking an image opens the lightbox.
+       * @param {HTMLElement} container List element
+       * @param {Object[]} list Working copy of the attachments
+       */
+      function renderAttachmentEditor(container, list) {
+        // the attachments are part of the drafts
+        scheduleDraftSave();
+        container.innerHTML = '';
+        container.hidden = list.length === 0;
+        list.forEach((attachment, index) => {
+          const isDrawing = attachment.kind === 'drawing';
+          const item = document.createElement('div');
+          item.className = 'attachment-item';
+          const openBtn = document.createElement('button');
+          openBtn.className = 'note-image';
+          openBtn.title = isDrawing ? 'Edit drawing' : 'View image';
+          openBtn.appendChild(createAttachmentImage(attachment));
+          openBtn.addEventListener('click', () => {
+            if (!isDrawing) {
+              openLightbox(list, index);
+              return;
+            }
+            openSketchPad(attachment, (drawing) => {
+              const at = list.indexOf(attachment);
+              if (at === -1) list.push(drawing);
+              else list[at] = drawing;
+              renderAttachmentEditor(container, list);
+            });
+          });
+          item.appendChild(openBtn);
+          const removeBtn = createIconButton(isDrawing ? 'Remove drawing' : 'Remove image', 'bi-x-lg');
+          removeBtn.className = 'attachment-remove';
+          removeBtn.addEventListener('click', () => {
+            list.splice(list.indexOf(attachment), 1);
+            renderAttachmentEditor(container, list);
+            announce(isDrawing ? 'Drawing removed' : 'Image removed');
+          });
+          item.appendChild(removeBtn);
+          container.appendChild(item);
+        });
+      }
+
+      /**
+       * The image files among some chosen, pasted or dropped files.
+       * @param {FileList|File[]|null} files Files
+       * @returns {File[]} Image files
+       */
+      function getImageFiles(files) {
+        return Array.from(files || []).filter((file) => file.type.startsWith('image/'));
+      }
+
+      /**
+       * Decode an image file.  createImageBitmap() is preferred as it
+       * follows the orientation cameras record in photos; an <img> element
+       * is the fallback.
+       * @param {File} file Image file
+       * @returns {Promise<ImageBitmap|HTMLImageElement>} Decoded image
+       */
+      async function loadImageSource(file) {
+        if (window.createImageBitmap) {
+          try {
+            return await createImageBitmap(file, { imageOrientation: 'from-image' });
+          } catch (err) {
+            // the options or the format are not supported; try an <img>
+          }
+        }
+        const url = URL.createObjectURL(file);
+        try {
+          const img = new Image();
+          img.src = url;
+          await img.decode();
+          return img;
+        } catch (err) {
+          throw new Error(`${file.name || 'The file'} is not an image this browser can read`);
+        } finally {
+          URL.revokeObjectURL(url);
+        }
+      }
+
+      /**
+       * Encode the contents of a canvas.
+       * @param {HTMLCanvasElement} canvas Canvas to encode
+       * @param {string} type Image type, e.g. 'image/png'
+       * @returns {Promise<Blob>} Image data
+       */
+      function canvasToBlob(canvas, type) {
+        return new Promise((resolve, reject) => {
+          canvas.toBlob((blob) => {
+            if (blob) resolve(blob);
+            else reject(new Error('The image could not be encoded'));
+          }, type, IMAGE_QUALITY);
+        });
+      }
+
+      /**
+       * Scale an image file down to fit within IMAGE_MAX_SIZE pixels and
+       * re-encode it, which also drops metadata such as where a photo was
+       * taken.  Images that may be transparent become PNG, others JPEG.
+       * @param {File} file Image file
+       * @returns {Promise<{blob: Blob, width: number, height: number}>}
+       *   The image and its size
+       */
+      async function prepareImage(file) {
+        const source = await loadImageSource(file);
+        const naturalWidth = source.naturalWidth || source.width;
+        const naturalHeight = source.naturalHeight || source.height;
+        if (!naturalWidth || !naturalHeight) {
+          throw new Error(`${file.name || 'The file'} is an empty image`);
+        }
+        const scale = Math.min(1, IMAGE_MAX_SIZE / Math.max(naturalWidth, naturalHeight));
+        const width = Math.max(1, Math.round(naturalWidth * scale));
+        const height = Math.max(1, Math.round(naturalHeight * scale));
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        canvas.getContext('2d').drawImage(source, 0, 0, width, height);
+        if (source.close) source.close();
+        const type = /^image\/(png|gif|webp|svg)/.test(file.type) ? 'image/png' : 'image/jpeg';
+        return { blob: await canvasToBlob(canvas, type), width, height };
+      }
+
+      /**
+       * Add images to the attachments of the note in the creation area or
+       * the edit modal: scale each down, store it and show it in the list.
+       * @param {File[]} files Image files
+       * @param {Object[]} list Working copy of the attachments
+       * @param {HTMLElement} container Where the list is shown
+       */
+      async function attachImages(files, list, container) {
+        for (const file of files) {
+          try {
+            const { blob, width, height } = await prepareImage(file);
+            const attachment = { id: generateId(), kind: 'image', type: blob.type, width, height };
+            await storeAttachment(attachment, blob);
+            list.push(attachment);
+            renderAttachmentEditor(container, list);
+            announce('Image added');
+          } catch (err) {
+            console.warn('Could not add an image:', err);
+            const full = err && err.name === 'QuotaExceededError';
+            showSnackbar(full
+              ? 'Storage is full – the image was not added'
+              : `${file.name || 'The image'} could not be added`);
+          }
+        }
+      }
+
+      /**
+       * Let images be pasted or dropped into one of the editors.  Dropping
+       * other files is refused, rather than letting the browser open them
+       * in place of the app.
+       * @param {HTMLElement} zone Element accepting pastes and drops
+       * @param {Object[]} list Working copy of the attachments
+       * @param {HTMLElement} container Where the list is shown
+       */
+      function initImageDrop(zone, list, container) {
+        const hasFiles = (e) => e.dataTransfer && Array.from(e.dataTransfer.types).includes('Files');
+        zone.addEventListener('paste', (e) => {
+          const images = getImageFiles(e.clipboardData && e.clipboardData.files);
+          if (!images.length) return;
+          e.preventDefault();
+          attachImages(images, list, container);
+        });
+        zone.addEventListener('dragover', (e) => {
+          if (!hasFiles(e)) return;
+          e.preventDefault();
+          e.dataTransfer.dropEffect = 'copy';
+          zone.classList.add('drop-target');
+        });
+        zone.addEventListener('dragleave', (e) => {
+          if (!zone.contains(e.relatedTarget)) zone.classList.remove('drop-target');
+        });
+        zone.addEventListener('drop', (e) => {
+          zone.classList.remove('drop-target');
+          if (!hasFiles(e)) return;
+          e.preventDefault();
+          const images = getImageFiles(e.dataTransfer.files);
+          if (images.length) attachImages(images, list, container);
+          else showSnackbar('Only images can be added to a note');
+        });
+      }
+
+      /**
+       * Show images full size in the lightbox, starting with one of them.
+       * The arrow buttons and keys step through the others.
+       * @param {Object[]} list Attachments to show
+       * @param {number} index Position of the first one to show
+       */
+      function openLightbox(list, index) {
+        lightboxImages = list.slice();
+        showLightboxImage(index);
+        openDialog(lightboxModal, closeLightboxBtn);
+      }
+
+      /**
+       * Show one of the lightbox images, wrapping around at either end.
+       * @param {number} index Position of the image
+       */
+      function showLightboxImage(index) {
+        const count = lightboxImages.length;
+        if (!count) return;
+        lightboxIndex = (index + count) % count;
+        const attachment = lightboxImages[lightboxIndex];
+        lightboxImage.removeAttribute('src');
+        lightboxImage.width = attachment.width;
+        lightboxImage.height = attachment.height;
+        lightboxImage.alt = attachment.kind === 'drawing' ? 'Drawing' : 'Image';
+        lightboxCount.textContent = count > 1 ? `${lightboxIndex + 1} of ${count}` : '';
+        lightboxPrevBtn.hidden = count < 2;
+        lightboxNextBtn.hidden = count < 2;
+        lightboxDownload.removeAttribute('href');
+        lightboxDownload.download = `${attachment.kind}-${lightboxIndex + 1}.${attachmentExtension(attachment.type)}`;
+        showAttachment(lightboxImage, attachment).then(() => {
+          if (lightboxImages[lightboxIndex] === attachment && lightboxImage.src) {
+            lightboxDownload.href = lightboxImage.src;
+          }
+        });
+      }
+
+      /**
+       * Close the lightbox.
+       */
+      function closeLightbox() {
+        lightboxImages = [];
+        lightboxImage.removeAttribute('src');
+        delete lightboxImage.dataset.attachmentId;
+        closeDialog(lightboxModal);
+      }
+
+      /**
+       * Add the pen colour swatches to the sketch pad toolbar.
+       */
+      function initSketchColours() {
+        DRAWING_COLORS.forEach((color) => {
+          const btn = document.createElement('button');
+          btn.className = 'color-btn';
+          btn.style.backgroundColor = color;
+          btn.dataset.color = color;
+          btn.title = 'Pen colour';
+          btn.setAttribute('aria-label', `Pen colour ${color}`);
+          btn.addEventListener('click', () => {
+            sketch.color = color;
+            sketch.tool = 'pen';
+            renderSketchTools();
+          });
+          drawingColors.appendChild(btn);
+        });
+      }
+
+      /**
+       * Open the sketch pad, blank or continuing an existing drawing.  The
+       * result is stored as a new PNG attachment and passed to `onSave`;
+       * the drawing being continued is left as it was, so that undo can
+       * bring it back.
+       * @param {Object|null} attachment Drawing to continue, if any
+       * @param {Function} onSave Receives the new attachment
+       */
+      function openSketchPad(attachment, onSave) {
+        const current = {
+          attachment,
+          onSave,
+          // strokes drawn so far, and the one in progress; clearing the
+          // pad adds a {clear: true} marker so that it can be undone
+          strokes: [],
+          stroke: null,
+          pointerId: null,
+          // the drawing being continued, once loaded
+          base: null,
+          tool: 'pen',
+          color: DRAWING_COLORS[0],
+          saving: false
+        };
+        sketch = current;
+        drawingCanvas.width = attachment ? attachment.width : DRAWING_WIDTH;
+        drawingCanvas.height = attachment ? attachment.height : DRAWING_HEIGHT;
+        drawingTitle.textContent = attachment ? 'Edit drawing' : 'New drawing';
+        redrawSketch();
+        renderSketchTools();
+        if (attachment) {
+          loadAttachmentUrl(attachment.id).then((url) => {
+            if (!url || sketch !== current) return;
+            const img = new Image();
+            img.onload = () => {
+              if (sketch !== current) return;
+              current.base = img;
+              redrawSketch();
+              renderSketchTools();
+            };
+            img.src = url;
+          });
+        }
+        openDialog(drawingModal, drawPenBtn);
+      }
+
+      /**
+       * Position of the last "clear" in the sketch's strokes, or -1.
+       */
+      function lastSketchClear() {
+        return sketch.strokes.map((stroke) => Boolean(stroke.clear)).lastIndexOf(true);
+      }
+
+      /**
+       * Paint the sketch from scratch: the paper, the drawing being
+       * continued (unless the pad was cleared since) and every stroke after
+       * the last clear.
+       */
+      function redrawSketch() {
+        const ctx = drawingCanvas.getContext('2d');
+        const { width, height } = drawingCanvas;
+        ctx.fillStyle = DRAWING_BACKGROUND;
+        ctx.fillRect(0, 0, width, height);
+        const cleared = lastSketchClear();
+        if (sketch.base && cleared === -1) ctx.drawImage(sketch.base, 0, 0, width, height);
+        sketch.strokes.slice(cleared + 1).forEach((stroke) => drawStroke(ctx, stroke));
+      }
+
+      /**
+       * Paint a stroke, or while it is being drawn only its points from
+       * `from` on.  A stroke of a single point (a tap) is a dot.
+       * @param {CanvasRenderingContext2D} ctx Sketch pad context
+       * @param {Object} stroke Stroke ({color, width, points})
+       * @param {number} [from=0] First new point
+       */
+      function drawStroke(ctx, stroke, from = 0) {
+        const { points } = stroke;
+        ctx.strokeStyle = stroke.color;
+        ctx.fillStyle = stroke.color;
+        ctx.lineWidth = stroke.width;
+        ctx.lineCap = 'round';
+        ctx.lineJoin = 'round';
+        ctx.beginPath();
+        if (points.length === 1) {
+          ctx.arc(points[0][0], points[0][1], stroke.width / 2, 0, Math.PI * 2);
+          ctx.fill();
+          return;
+        }
+        const start = Math.max(from - 1, 0);
+        ctx.moveTo(points[start][0], points[start][1]);
+        points.slice(start + 1).forEach(([x, y]) => ctx.lineTo(x, y));
+        ctx.stroke();
+      }
+
+      /**
+       * Canvas coordinates of a pointer event.  The canvas is scaled to fit
+       * the dialog, so these differ from its on-screen position.
+       * @param {PointerEvent} e Pointer event
+       * @returns {number[]} [x, y]
+       */
+      function sketchPoint(e) {
+        const rect = drawingCanvas.getBoundingClientRect();
+        const scaleX = rect.width ? drawingCanvas.width / rect.width : 1;
+        const scaleY = rect.height ? drawingCanvas.height / rect.height : 1;
+        return [
+          Math.round((e.clientX - rect.left) * scaleX),
+          Math.round((e.clientY - rect.top) * scaleY)
+        ];
+      }
+
+      /**
+       * Start a stroke with the pen or the eraser (which paints in the
+       * paper colour).
+       * @param {PointerEvent} e Pointer event
+       */
+      function onSketchPointerDown(e) {
+        if (!sketch || sketch.stroke || e.button !== 0) return;
+        e.preventDefault();
+        if (drawingCanvas.setPointerCapture) drawingCanvas.setPointerCapture(e.pointerId);
+        const erasing = sketch.tool === 'eraser';
+        sketch.stroke = {
+          color: erasing ? DRAWING_BACKGROUND : sketch.color,
+          width: erasing ? DRAWING_ERASER_WIDTH : DRAWING_PEN_WIDTH,
+          points: [sketchPoint(e)]
+        };
+        sketch.pointerId = e.pointerId;
+        sketch.strokes.push(sketch.stroke);
+        drawStroke(drawingCanvas.getContext('2d'), sketch.stroke);
+        renderSketchTools();
+      }
+
+      /**
+       * Extend the stroke in progress.
+       * @param {PointerEvent} e Pointer event
+       */
+      function onSketchPointerMove(e) {
+        if (!sketch || !sketch.stroke || e.pointerId !== sketch.pointerId) return;
+        const { points } = sketch.stroke;
+        points.push(sketchPoint(e));
+        drawStroke(drawingCanvas.getContext('2d'), sketch.stroke, points.length - 1);
+      }
+
+      /**
+       * Finish the stroke in progress.
+       * @param {PointerEvent} e Pointer event
+       */
+      function onSketchPointerUp(e) {
+        if (sketch && e.pointerId === sketch.pointerId) sketch.stroke = null;
+      }
+
+      /**
+       * Reflect the sketch pad state in its toolbar: the chosen tool and
+       * colour, and whether there is anything to undo or clear.
+       */
+      function renderSketchTools() {
+        drawPenBtn.setAttribute('aria-pressed', String(sketch.tool === 'pen'));
+        drawEraserBtn.setAttribute('aria-pressed', String(sketch.tool === 'eraser'));
+        drawingColors.querySelectorAll('.color-btn').forEach((btn) => {
+          btn.setAttribute('aria-pressed', String(sketch.tool === 'pen' && btn.dataset.color === sketch.color));
+        });
+        const cleared = lastSketchClear();
+        const hasInk = sketch.strokes.length > cleared + 1 || (Boolean(sketch.base) && cleared === -1);
+        drawUndoBtn.disabled = sketch.strokes.length === 0;
+        drawClearBtn.disabled = !hasInk;
+        drawingDoneBtn.disabled = sketch.saving;
+      }
+
+      /**
+       * Undo the last stroke (or clear) on the sketch pad.
+       */
+      function undoSketch() {
+        if (!sketch || sketch.stroke || !sketch.strokes.length) return;
+        sketch.strokes.pop();
+        redrawSketch();
+        renderSketchTools();
+      }
+
+      /**
+       * Wipe the sketch pad; this can be undone like a stroke.
+       */
+      function clearSketch() {
+        if (!sketch || drawClearBtn.disabled) return;
+        sketch.strokes.push({ clear: true });
+        redrawSketch();
+        renderSketchTools();
+      }
+
+      /**
+       * Save the drawing as a PNG attachment and close the sketch pad.
+       * If nothing was drawn, nothing is saved.  When the drawing cannot be
+       * stored the pad stays open, so that it is not lost.
+       */
+      async function finishSketch() {
+        const current = sketch;
+        if (!current || current.saving) return;
+        if (!current.strokes.length) {
+          closeSketchPad(true);
+          return;
+        }
+        current.saving = true;
+        renderSketchTools();
+        const { width, height } = drawingCanvas;
+        const drawing = { id: generateId(), kind: 'drawing', type: 'image/png', width, height };
+        try {
+          await storeAttachment(drawing, await canvasToBlob(drawingCanvas, 'image/png'));
+        } catch (err) {
+          console.warn('Could not save a drawing:', err);
+          const full = err && err.name === 'QuotaExceededError';
+          showSnackbar(full ? 'Storage is full – the drawing was not saved' : 'The drawing could not be saved');
+          if (sketch === current) {
+            current.saving = false;
+            renderSketchTools();
+          }
+          return;
+        }
+        // the app may have locked in the meantime
+        if (sketch !== current) return;
+        closeSketchPad(true);
+        current.onSave(drawing);
+      }
+
+      /**
+       * Close the sketch pad.  Strokes that were not saved are only thrown
+       * away after asking, unless `discard` is set.
+       * @param {boolean} [discard=false] Close without asking
+       */
+      function closeSketchPad(discard = false) {
+        if (sketch && sketch.strokes.length && !discard && !confirm('Discard this drawing?')) return;
+        sketch = null;
+        closeDialog(drawingModal);
+      }
+
+      /**
+       * Start a drawing note: open the sketch pad and, once the drawing is
+       * done, add it as a new note together with anything typed into the
+       * creation area.
+       */
+      function startNewDrawing() {
+        if (currentView !== 'notes' || activeLabel) setView('notes');
+        openSketchPad(null, (drawing) => {
+          currentAttachments.push(drawing);
+          addNote();
+        });
+      }
+
+      /**
+       * Move a note to the trash.  It keeps all of its data and can be
+       * restored until it is purged.  Trashed notes lose their pin so they
+       * come back in the normal order.
+       * @param {string} id Note identifier
+       */
+      function trashNoteById(id) {
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        note.deletedAt = Date.now();
+        note.pinned = false;
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        if (editNoteId === id) {
+          closeEditModal();
+        }
+        showSnackbar('Note moved to Trash', 'Undo', undo);
+      }
+
+      /**
+       * Restore a trashed note to wherever it came from (the notes view or
+       * the archive).
+       * @param {string} id Note identifier
+       */
+      function restoreNoteById(id) {
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        note.deletedAt = null;
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+      }
+
+      /**
+       * Archive or unarchive a note.  Archived notes are hidden from the
+       * main grid and search but otherwise untouched; archiving unpins.
+       * @param {string} id Note identifier
+       * @param {boolean} archived New archived state
+       */
+      function setNoteArchived(id, archived) {
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        note.archived = archived;
+        if (archived) note.pinned = false;
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        showSnackbar(archived ? 'Note archived' : 'Note unarchived', 'Undo', undo);
+      }
+
+      /**
+       * Pin an unpinned note or unpin a pinned one.
+       * @param {string} id Note identifier
+       */
+      function togglePinned(id) {
+        const note = notes.find((n) => n.id === id);
+        if (!note) return;
+        note.pinned = !note.pinned;
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        announce(note.pinned ? 'Note pinned' : 'Note unpinned');
+      }
+
+      /**
+       * Change the background colour of a note.
+       * @param {string} id Note identifier
+       * @param {string} color Colour from COLORS
+       */
+      function setNoteColour(id, color) {
+        const note = notes.find((n) => n.id === id);
+        if (!note || note.color === color) return;
+        note.color = color;
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        announce(`Colour changed to ${colourName(color)}`);
+      }
+
+      /**
+       * Permanently delete every note in the trash after confirmation.
+       */
+      function emptyTrash() {
+        const count = notes.filter((n) => n.deletedAt).length;
+        if (!count) return;
+        const noun = count === 1 ? 'note' : 'notes';
+        if (!confirm(`Permanently delete ${count} ${noun} in Trash?`)) return;
+        notes = notes.filter((n) => !n.deletedAt);
+        saveNotes();
+        renderNotes();
+        showSnackbar('Trash emptied', 'Undo', undo);
+      }
+
+      /**
+       * Remove trashed notes older than the configured retention period.
+       * Called whenever the notes are loaded.
+       */
+      function purgeExpiredTrash() {
+        const cutoff = Date.now() - settings.trashRetentionDays * DAY_MS;
+        const kept = notes.filter((n) => !n.deletedAt || n.deletedAt > cutoff);
+        if (kept.length !== notes.length) {
+          notes = kept;
+          saveNotes();
+          // the purge is housekeeping on start-up, not a user action
+          undoStack = [];
+        }
+      }
+
+      /**
+       * Build the restore / delete forever buttons shown for a note in the
+       * trash, on its card and in the view modal.
+       * @param {Object} note Trashed note
+       * @param {Function} [afterAction] Called after either button acts
+       * @returns {HTMLElement} Actions container
+       */
+      function createTrashActions(note, afterAction) {
+        const actions = document.createElement('div');
+        actions.className = 'note-actions';
+        const restoreBtn = createIconButton('Restore', 'bi-arrow-counterclockwise');
+        restoreBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          restoreNoteById(note.id);
+          if (afterAction) afterAction();
+        });
+        actions.appendChild(restoreBtn);
+        const deleteBtn = createIconButton('Delete forever', 'bi-x-circle');
+        deleteBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          if (confirm('Delete this note forever? This cannot be undone.')) {
+            deleteNoteById(note.id);
+            if (afterAction) afterAction();
+          }
+        });
+        actions.appendChild(deleteBtn);
+        return actions;
+      }
+
+      /**
+       * Permanently delete a note by ID and refresh the display.
+       * @param {string} id Note identifier
+       */
+      function deleteNoteById(id) {
+        notes = notes.filter((n) => n.id !== id);
+        saveNotes();
+        renderNotes();
+        // if editing, close modal
+        if (editNoteId === id) {
+          closeEditModal();
+        }
+        showSnackbar('Note deleted forever', 'Undo', undo);
+      }
+
+      /**
+       * "1 note" or "3 notes", for messages about several notes.
+       * @param {number} count Number of notes
+       */
+      function countNotes(count) {
+        return `${count} ${count === 1 ? 'note' : 'notes'}`;
+      }
+
+      /**
+       * The selected notes, in collection order.
+       * @returns {Object[]}
+       */
+      function getSelectedNotes() {
+        return notes.filter((n) => selectedNoteIds.has(n.id));
+      }
+
+      /**
+       * Select or deselect a note, updating its card in place so that
+       * focus and scroll position are kept.
+       * @param {string} id Note identifier
+       * @param {boolean} selected New state
+       */
+      function setNoteSelected(id, selected) {
+        if (selected) selectedNoteIds.add(id);
+        else selectedNoteIds.delete(id);
+        const card = getNoteCards().find((c) => c.dataset.id === id);
+        if (card) {
+          card.classList.toggle('selected', selected);
+          card.querySelector('.note-select').checked = selected;
+        }
+      }
+
+      /**
+       * Handle a click that selects or deselects a card.  With Shift held
+       * every card between the previous click and this one takes the same
+       * state.
+       * @param {string} id Note clicked
+       * @param {boolean} selected State to give it
+       * @param {boolean} range Whether Shift was held
+       */
+      function selectNoteFromClick(id, selected, range) {
+        const ids = getNoteCards().map((c) => c.dataset.id);
+        const from = ids.indexOf(selectionAnchorId);
+        const to = ids.indexOf(id);
+        if (range && from !== -1 && to !== -1) {
+          ids
+            .slice(Math.min(from, to), Math.max(from, to) + 1)
+            .forEach((noteId) => setNoteSelected(noteId, selected));
+        } else {
+          setNoteSelected(id, selected);
+        }
+        selectionAnchorId = id;
+        renderSelectionBar();
+      }
+
+      /**
+       * Select every note shown in the grid (Ctrl+A).
+       */
+      function selectAllNotes() {
+        getNoteCards().forEach((card) => setNoteSelected(card.dataset.id, true));
+        renderSelectionBar();
+        announce(`${countNotes(selectedNoteIds.size)} selected`);
+      }
+
+      /**
+       * Deselect every note.
+       */
+      function clearSelection() {
+        Array.from(selectedNoteIds).forEach((id) => setNoteSelected(id, false));
+        selectionAnchorId = null;
+        renderSelectionBar();
+      }
+
+      /**
+       * Show the bulk actions toolbar while notes are selected, offering
+       * what suits the selection and the current view.  In the trash that
+       * is restoring or deleting forever.
+       */
+      function renderSelectionBar() {
+        const count = selectedNoteIds.size;
+        selectionBar.hidden = count === 0;
+        document.body.classList.toggle('selecting', count > 0);
+        selectionActions.innerHTML = '';
+        if (!count) return;
+        selectionCount.textContent = `${count} selected`;
+        const selected = getSelectedNotes();
+        const addAction = (label, icon, onClick) => {
+          const btn = createIconButton(label, icon);
+          btn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            onClick(btn);
+          });
+          selectionActions.appendChild(btn);
+        };
+        if (currentView === 'trash') {
+          addAction('Restore', 'bi-arrow-counterclockwise', restoreSelectedNotes);
+          addAction('Delete forever', 'bi-x-circle', deleteSelectedNotes);
+          return;
+        }
+        if (currentView !== 'archive') {
+          const allPinned = selected.every((n) => n.pinned);
+          addAction(allPinned ? 'Unpin' : 'Pin', allPinned ? 'bi-pin-angle-fill' : 'bi-pin-angle', () => {
+            updateSelectedNotes((note) => {
+              note.pinned = !allPinned;
+            }, `${countNotes(count)} ${allPinned ? 'unpinned' : 'pinned'}`);
+          });
+        }
+        addAction('Change colour', 'bi-palette', (btn) => {
+          const colours = new Set(selected.map((n) => n.color));
+          openColourPicker(btn, colours.size === 1 ? selected[0].color : null, (colour) => {
+            updateSelectedNotes((note) => {
+              note.color = colour;
+            }, `Colour changed to ${colourName(colour)}`);
+          });
+        });
+        addAction('Add label', 'bi-tag', (btn) => {
+          const addLabel = (label) => updateSelectedNotes((note) => {
+            mergeLabels(note.labels, [label]);
+          }, `Label "${label}" added to ${countNotes(count)}`);
+          const items = getLabelCounts().map(({ name }) => ({
+            label: name,
+            icon: 'bi-tag',
+            action: () => addLabel(name)
+          }));
+          items.push({
+            label: 'New label…',
+            icon: 'bi-plus-lg',
+            action: () => {
+              const label = normaliseLabel(prompt('New label') || '');
+              if (label) addLabel(label);
+            }
+          });
+          openMenu(btn, items);
+        });
+        const allArchived = selected.every((n) => n.archived);
+        addAction(allArchived ? 'Unarchive' : 'Archive', allArchived ? 'bi-box-arrow-up' : 'bi-archive', () => {
+          updateSelectedNotes((note) => {
+            note.archived = !allArchived;
+            if (note.archived) note.pinned = false;
+          }, `${countNotes(count)} ${allArchived ? 'unarchived' : 'archived'}`);
+        });
+        addAction('Export', 'bi-download', (btn) => {
+          openMenu(btn, [
+            {
+              label: 'Backup (.json)',
+              icon: 'bi-filetype-json',
+              action: () => exportNotes(getSelectedNotes())
+            },
+            {
+              label: 'Password-protected backup (.json)',
+              icon: 'bi-file-earmark-lock',
+              action: () => exportEncryptedBackup(getSelectedNotes())
+            },
+            {
+              label: 'Markdown files (.zip)',
+              icon: 'bi-file-zip',
+              action: () => exportMarkdownZip(getSelectedNotes())
+            }
+          ]);
+        });
+        if (count > 1) addAction('Merge into one note', 'bi-union', mergeSelectedNotes);
+        addAction('Move to Trash', 'bi-trash', trashSelectedNotes);
+      }
+
+      /**
+       * Apply a change to every selected note as a single undoable step.
+       * @param {Function} change Called with each note to modify it
+       * @param {string} message Snackbar text describing the change
+       */
+      function updateSelectedNotes(change, message) {
+        getSelectedNotes().forEach((note) => {
+          change(note);
+          touchNote(note);
+        });
+        saveNotes();
+        renderNotes();
+        showSnackbar(message, 'Undo', undo);
+      }
+
+      /**
+       * Move the selected notes to the trash after one confirmation.
+       */
+      function trashSelectedNotes() {
+        const count = selectedNoteIds.size;
+        if (!confirm(`Move ${countNotes(count)} to Trash?`)) return;
+        const now = Date.now();
+        updateSelectedNotes((note) => {
+          note.deletedAt = now;
+          note.pinned = false;
+        }, `${countNotes(count)} moved to Trash`);
+      }
+
+      /**
+       * Restore the selected notes from the trash.
+       */
+      function restoreSelectedNotes() {
+        const count = selectedNoteIds.size;
+        updateSelectedNotes((note) => {
+          note.deletedAt = null;
+        }, `${countNotes(count)} restored`);
+      }
+
+      /**
+       * Permanently delete the selected notes after one confirmation.
+       */
+      function deleteSelectedNotes() {
+        const count = selectedNoteIds.size;
+        if (!confirm(`Delete ${countNotes(count)} forever?`)) return;
+        notes = notes.filter((n) => !selectedNoteIds.has(n.id));
+        saveNotes();
+        renderNotes();
+        showSnackbar(`${countNotes(count)} deleted forever`, 'Undo', undo);
+      }
+
+      /**
+       * Combine the selected notes into one new note, which takes the
+       * place of the first of them; the originals move to the trash.  When
+       * every note is a checklist the result is a checklist, with each
+       * later note's title becoming an item that holds its items;
+       * otherwise the notes' text is joined, checklists written as
+       * `[ ]`/`[x]` lines.  Labels and images are combined and the note is
+       * pinned (or locked) if any of them was.
+       */
+      function mergeSelectedNotes() {
+        const selected = getSelectedNotes();
+        if (selected.length < 2) return;
+        if (!confirm(`Merge ${countNotes(selected.length)} into one?  The originals will be moved to Trash.`)) {
+          return;
+        }
+        const [first] = selected;
+        const merged = createNote({
+          title: first.title,
+          color: first.color,
+          pinned: selected.some((n) => n.pinned),
+          archived: selected.every((n) => n.archived),
+          locked: selected.some((n) => n.locked),
+          labels: mergeLabels([], selected.flatMap((n) => n.labels)),
+          attachments: selected.flatMap((n) => n.attachments)
+        });
+        if (selected.every((n) => n.checklist)) {
+          merged.checklist = true;
+          selected.forEach((note, index) => {
+            const nested = index > 0 && note.title;
+            if (nested) {
+              const checked = note.items.length > 0 && note.items.every((item) => item.checked);
+              merged.items.push({ text: note.title, checked, indent: 0 });
+            }
+            note.items.forEach((item) => {
+              const indent = Math.min(item.indent + (nested ? 1 : 0), CHECKLIST_MAX_INDENT);
+              merged.items.push({ ...item, indent });
+            });
+          });
+          normaliseItemIndents(merged.items);
+        } else {
+          merged.content = selected
+            .map((note, index) => noteToPlainText(index === 0 ? { ...note, title: '' } : note).trim())
+            .filter(Boolean)
+            .join('\n\n');
+        }
+        const now = Date.now();
+        selected.forEach((note) => {
+          note.deletedAt = now;
+          note.pinned = false;
+          touchNote(note);
+        });
+        notes.splice(notes.indexOf(first), 0, merged);
+        selectedNoteIds.clear();
+        saveNotes();
+        renderNotes();
+        showSnackbar(`${countNotes(selected.length)} merged`, 'Undo', undo);
+      }
+
+      /**
+       * Save changes from the edit modal back into the notes array.  If
+       * the note was trashed or deleted in another tab while open, saving
+       * restores it; otherwise a missing note means nothing happens.
+       */
+      function saveEditedNote() {
+        if (!editNoteId) return;
+        let note = notes.find((n) => n.id === editNoteId);
+        if (!note && editOrphan) {
+          note = editOrphan;
+          notes.unshift(note);
+        }
+        if (!note) return;
+        const previous = takeRevision(note);
+        note.deletedAt = null;
+        note.title = editTitleInput.value.trim();
+        if (note.checklist) {
+          // gather items from edit checklist
+          note.items = collectChecklistItems(editChecklistContainer);
+        } else {
+          note.content = editContentInput.value.trim();
+        }
+        note.labels = [...editLabels];
+        note.attachments = [...editAttachments];
+        addRevision(note, previous);
+        applyHashtagLabels(note);
+        note.reminder = readReminderFields(
+          note.reminder,
+          editReminderDate,
+          editReminderTime,
+          editReminderRepeat
+        );
+        if (note.reminder) requestNotificationPermission();
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        closeEditModal();
+        announce('Note saved');
+      }
+
+      /**
+       * The current text of a note, as kept in its revision history.  It
+       * is dated by the note's last change.
+       * @param {Object} note Note object
+       * @returns {Object} Revision ({savedAt, title, content, checklist, items})
+       */
+      function takeRevision(note) {
+        return {
+          savedAt: note.updatedAt,
+          title: note.title,
+          content: note.content,
+          checklist: note.checklist,
+          items: note.items.map(({ text, checked, indent }) => ({ text, checked, indent }))
+        };
+      }
+
+      /**
+       * Whether two versions of a note (notes or revisions) have the same
+       * text.
+       * @param {Object} a Note or revision
+       * @param {Object} b Note or revision
+       * @returns {boolean} true if nothing differs
+       */
+      function sameRevisionText(a, b) {
+        const text = (version) => JSON.stringify([
+          version.title,
+          version.content,
+          version.checklist,
+          version.items.map((item) => [item.text, item.checked, item.indent])
+        ]);
+        return text(a) === text(b);
+      }
+
+      /**
+       * Add the version of a note from before an edit to its history,
+       * unless the edit left the text as it was.  Only the newest
+       * REVISION_LIMIT revisions are kept.
+       * @param {Object} note Edited note
+       * @param {Object} revision Version before the edit (see takeRevision())
+       */
+      function addRevision(note, revision) {
+        if (sameRevisionText(note, revision)) return;
+        note.revisions.push(revision);
+        note.revisions.splice(0, note.revisions.length - REVISION_LIMIT);
+      }
+
+      /**
+       * Compare two texts word by word.  Changes next to each other, with
+       * only whitespace between them, are joined into one removed and one
+       * added part, which reads better than alternating single words.
+       * @param {string} before Earlier text
+       * @param {string} after Later text
+       * @returns {Object[]} Parts ({op: 'same'|'added'|'removed', text}) in
+       *   reading order
+       */
+      function diffWords(before, after) {
+        const split = (text) => text.match(/\s+|\S+/g) || [];
+        const a = split(before);
+        const b = split(after);
+        // the unchanged start and end need no comparing
+        let start = 0;
+        while (start < a.length && start < b.length && a[start] === b[start]) start += 1;
+        let end = 0;
+        while (
+          end < a.length - start && end < b.length - start &&
+          a[a.length - 1 - end] === b[b.length - 1 - end]
+        ) {
+          end += 1;
+        }
+        const ops = a.slice(0, start).map((word) => ['same', word]);
+        ops.push(...diffMiddle(a.slice(start, a.length - end), b.slice(start, b.length - end)));
+        a.slice(a.length - end).forEach((word) => ops.push(['same', word]));
+
+        const parts = [];
+        let removedText = '';
+        let addedText = '';
+        const flush = () => {
+          if (removedText) parts.push({ op: 'removed', text: removedText });
+          if (addedText) parts.push({ op: 'added', text: addedText });
+          removedText = '';
+          addedText = '';
+        };
+        ops.forEach(([op, word], index) => {
+          const next = ops[index + 1];
+          if (op === 'removed') {
+            removedText += word;
+          } else if (op === 'added') {
+            addedText += word;
+          } else if ((removedText || addedText) && !word.trim() && next && next[0] !== 'same') {
+            // whitespace between two changes is in both texts
+            removedText += word;
+            addedText += word;
+          } else {
+            flush();
+            const last = parts[parts.length - 1];
+            if (last && last.op === 'same') last.text += word;
+            else parts.push({ op: 'same', text: word });
+          }
+        });
+        flush();
+        return parts;
+      }
+
+      /**
+       * Shortest edit between two lists of words, found with Myers'
+       * algorithm, which is quick when few words differ.  If more than
+       * DIFF_MAX_EDITS words differ, every word is reported as changed.
+       * @param {string[]} a Earlier words
+       * @param {string[]} b Later words
+       * @returns {Array[]} [op, word] pairs in reading order
+       */
+      function diffMiddle(a, b) {
+        const n = a.length;
+        const m = b.length;
+        // furthest[k + offset] is how far into `a` the best path ending on
+        // diagonal k (x - y) reaches; `trace` keeps the values from before
+        // each round for walking back along the path
+        const offset = n + m + 1;
+        const furthest = new Int32Array(2 * offset + 1);
+        const trace = [];
+        let found = false;
+        for (let d = 0; d <= Math.min(n + m, DIFF_MAX_EDITS) && !found; d += 1) {
+          trace.push(furthest.slice(offset - d, offset + d + 1));
+          for (let k = -d; k <= d; k += 2) {
+            let x = k === -d || (k !== d && furthest[offset + k - 1] < furthest[offset + k + 1])
+              ? furthest[offset + k + 1]
+              : furthest[offset + k - 1] + 1;
+            let y = x - k;
+            while (x < n && y < m && a[x] === b[y]) {
+              x += 1;
+              y += 1;
+            }
+            furthest[offset + k] = x;
+            if (x >= n && y >= m) {
+              found = true;
+              break;
+            }
+          }
+        }
+        if (!found) {
+          return [...a.map((word) => ['removed', word]), ...b.map((word) => ['added', word])];
+        }
+        const ops = [];
+        let x = n;
+        let y = m;
+        for (let d = trace.length - 1; d >= 0; d -= 1) {
+          const before = trace[d];
+          const at = (k) => before[k + d];
+          const k = x - y;
+          const prevK = k === -d || (k !== d && at(k - 1) < at(k + 1)) ? k + 1 : k - 1;
+          const prevX = d === 0 ? 0 : at(prevK);
+          const prevY = d === 0 ? 0 : prevX - prevK;
+          while (x > prevX && y > prevY) {
+            x -= 1;
+            y -= 1;
+            ops.push(['same', a[x]]);
+          }
+          if (d > 0) {
+            if (x === prevX) ops.push(['added', b[prevY]]);
+            else ops.push(['removed', a[prevX]]);
+            x = prevX;
+            y = prevY;
+          }
+        }
+        return ops.reverse();
+      }
+
+      /**
+       * Open the revision history of a note, showing its latest revision.
+       * @param {string} noteId Note identifier
+       */
+      function openHistoryModal(noteId) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note) return;
+        historyNoteId = noteId;
+        historyIndex = note.revisions.length - 1;
+        renderHistory();
+        openDialog(historyModal, historyList.querySelector('[aria-current="true"]') || closeHistoryBtn);
+      }
+
+      /**
+       * Fill the history dialog: the note's revisions, newest first, and
+       * the differences between the chosen one and the current version.
+       */
+      function renderHistory() {
+        const note = notes.find((n) => n.id === historyNoteId);
+        if (!note) return;
+        historyIndex = Math.min(historyIndex, note.revisions.length - 1);
+        historyList.innerHTML = '';
+        note.revisions.forEach((revision, index) => {
+          const item = document.createElement('li');
+          const btn = document.createElement('button');
+          btn.className = 'history-entry';
+          btn.dataset.index = index;
+          const time = document.createElement('span');
+          time.className = 'history-time';
+          time.textContent = new Date(revision.savedAt).toLocaleString();
+          const summary = document.createElement('span');
+          summary.className = 'history-summary';
+          summary.textContent = revision.title || noteBodyText(revision).trim().split('\n')[0] || 'Empty note';
+          btn.append(time, summary);
+          btn.addEventListener('click', () => showRevision(index));
+          item.appendChild(btn);
+          historyList.prepend(item);
+        });
+        showRevision(historyIndex);
+      }
+
+      /**
+       * Show how one revision differs from the current version of the note:
+       * text added since is underlined, text removed since struck through.
+       * @param {number} index Position of the revision (-1 for none)
+       */
+      function showRevision(index) {
+        const note = notes.find((n) => n.id === historyNoteId);
+        if (!note) return;
+        historyIndex = index;
+        historyList.querySelectorAll('.history-entry').forEach((btn) => {
+          btn.setAttribute('aria-current', String(Number(btn.dataset.index) === index));
+        });
+        historyDiff.innerHTML = '';
+        const revision = note.revisions[index];
+        historyRestoreBtn.disabled = !revision || sameRevisionText(note, revision);
+        if (!revision) {
+          historyDiff.textContent = 'There are no earlier versions yet.  A version is kept each time you save changes to this note.';
+          return;
+        }
+        if (historyRestoreBtn.disabled) {
+          historyDiff.textContent = 'This version is the same as the current one.';
+          return;
+        }
+        const text = document.createElement('div');
+        text.className = 'history-text';
+        diffWords(noteToPlainText(revision), noteToPlainText(note)).forEach(({ op, text: part }) => {
+          if (op === 'same') {
+            text.appendChild(document.createTextNode(part));
+            return;
+          }
+          const mark = document.createElement(op === 'added' ? 'ins' : 'del');
+          mark.textContent = part;
+          text.appendChild(mark);
+        });
+        historyDiff.appendChild(text);
+      }
+
+      /**
+       * Restore the revision shown in the history dialog.  This is saved as
+       * a new edit, so the version it replaces joins the history and the
+       * restore can be undone.  Unsaved changes in the edit modal are only
+       * discarded after asking.
+       */
+      function restoreRevision() {
+        const note = notes.find((n) => n.id === historyNoteId);
+        const revision = note && note.revisions[historyIndex];
+        if (!revision) return;
+        const editing = editNoteId === note.id;
+        if (
+          editing && readEditForm() !== editFormBaseline &&
+          !confirm('Restoring this version discards the changes you have not saved.  Restore it?')
+        ) {
+          return;
+        }
+        const previous = takeRevision(note);
+        note.title = revision.title;
+        note.content = revision.content;
+        note.checklist = revision.checklist;
+        note.items = revision.items.map((item) => ({ ...item }));
+        addRevision(note, previous);
+        applyHashtagLabels(note);
+        touchNote(note);
+        saveNotes();
+        renderNotes();
+        closeHistoryModal();
+        if (editing) openEditModal(note.id);
+        if (viewNoteId === note.id) openViewModal(note.id);
+        showSnackbar('Version restored', 'Undo', undo);
+      }
+
+      /**
+       * Close the history dialog.
+       */
+      function closeHistoryModal() {
+        historyNoteId = null;
+        historyList.innerHTML = '';
+        historyDiff.innerHTML = '';
+        closeDialog(historyModal);
+      }
+
+      /**
+       * Trigger a download of the current notes as a JSON file.  Users can then
+       * upload this file to any cloud storage provider (Google Drive, OneDrive,
+       * Dropbox, etc.) as a personal backup.  Images, theme colours and
+       * palettes are included in the file.
+       * @param {Object[]} [list=notes] Notes to export, e.g. the selection
+       */
+      async function exportNotes(list = notes) {
+        const data = JSON.stringify(await createBackup(list), null, 2);
+        const blob = new Blob([data], { type: 'application/json' });
+        downloadBlob(blob, `simple-keep-notes-${fileTimestamp()}.json`);
+      }
+
+      /**
+       * Contents of a JSON backup: the notes with their images, and the
+       * theme colours and palettes.
+       * @param {Object[]} list Notes to back up
+       * @returns {Promise<Object>} Backup ready to serialise
+       */
+      async function createBackup(list) {
+        return {
+          format: BACKUP_FORMAT,
+          version: 1,
+          notes: await withAttachmentData(list),
+          appearance
+        };
+      }
+
+      /**
+       * Handle the files chosen for import.  Markdown and plain-text files
+       * become new notes (see importTextFiles()); a single JSON file is
+       * treated as a backup, unless it is a Google Keep note; ZIP archives
+       * and sets of JSON files are read as Google Keep Takeout data.
+       * Anything else is refused with a message.
+       * @param {Event} event Change event from file input
+       */
+      function handleImport(event) {
+        const files = Array.from(event.target.files || []);
+        // reset the input so the same file can be selected again if needed
+        event.target.value = '';
+        if (files.length === 0) return;
+        if (files.every((file) => /\.(md|markdown|txt)$/i.test(file.name))) {
+          importTextFiles(files);
+        } else if (files.length === 1 && /\.json$/i.test(files[0].name)) {
+          importBackupFile(files[0]);
+        } else if (files.every((file) => /\.(json|zip)$/i.test(file.name))) {
+          importKeepTakeout(files);
+        } else {
+          alert('Choose one JSON backup, one or more Markdown (.md) or text (.txt) files, or a Google Keep Takeout export.');
+        }
+      }
+
+      /**
+       * Import notes from a JSON backup.  Reads the file, parses it and
+       * opens the import dialog, where the user chooses to merge the backup
+       * into the current notes or replace them.  Records are run through
+       * the same migration pipeline as stored notes, and anything that had
+       * to be repaired or skipped is listed in the dialog.  Password-protected
+       * backups ask for their password first.
+       * @param {File} file Backup file
+       */
+      function importBackupFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+          try {
+            const imported = JSON.parse(e.target.result);
+            if (isKeepNote(imported)) {
+              importKeepTakeout([file]);
+            } else if (isEncryptedBackup(imported)) {
+              decryptBackup(imported)
+                .then((records) => (records ? importBackupRecords(records) : undefined))
+                .catch(reportImportError);
+            } else {
+              importBackupRecords(imported).catch(reportImportError);
+            }
+          } catch (err) {
+            reportImportError(err);
+          }
+        };
+        reader.readAsText(file);
+      }
+
+      /**
+       * Tell the user that a backup could not be imported.
+       * @param {Error} err What went wrong
+       */
+      function reportImportError(err) {
+        console.error('Import failed:', err);
+        alert('Failed to import notes: ' + err.message);
+      }
+
+      /**
+       * Check and migrate the records of a backup, store the images it
+       * carries, then open the import dialog for them.  (Images of notes
+       * that end up not being imported are removed on a later start-up.)
+       * Backups made before theme colours were included are a bare array
+       * of notes.
+       * @param {*} backup Parsed backup contents
+       */
+      async function importBackupRecords(backup) {
+        const isBackup = Boolean(backup && backup.format === BACKUP_FORMAT && Array.isArray(backup.notes));
+        const imported = isBackup ? backup.notes : backup;
+        if (!Array.isArray(imported)) {
+          alert('Invalid backup file: expected a Simple Keep backup or an array of notes.');
+          return;
+        }
+        const { notes: valid, report } = migrateNotes(imported);
+        let summary = formatMigrationReport(report);
+        if (valid.length === 0 && imported.length > 0) {
+          alert('No notes could be imported from this file.\n\n' + summary);
+          return;
+        }
+        const failed = await storeImportedAttachments(valid);
+        if (failed) {
+          summary = [summary, `${failed} image(s) could not be stored.`].filter(Boolean).join('\n');
+        }
+        openImportModal(valid, summary, isBackup && backup.appearance ? sanitiseAppearance(backup.appearance) : null);
+      }
+
+      /**
+       * Offer a Blob to the user as a file download.
+       * @param {Blob} blob File contents
+       * @param {string} filename Suggested file name
+       */
+      function downloadBlob(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+        URL.revokeObjectURL(url);
+      }
+
+      /**
+       * Timestamp suitable for file names, e.g. 2024-05-01T10-20-30-000Z.
+       */
+      function fileTimestamp() {
+        return new Date().toISOString().replace(/[:.]/g, '-');
+      }
+
+      /**
+       * Turn a note title into a safe file name (without extension).
+       * Characters that are invalid on common file systems are replaced
+       * and the result is kept reasonably short.
+       * @param {string} title Note title
+       * @param {string} fallback Name to use for untitled notes
+       */
+      function toFileName(title, fallback) {
+        const cleaned = (title || '')
+          .replace(/[\\/:*?"<>|\u0000-\u001f]/g, '-')
+          .replace(/\s+/g, ' ')
+          .trim()
+          .slice(0, 80)
+          .replace(/^\.+|\.+$/g, '');
+        return cleaned || fallback;
+      }
+
+      /**
+       * Serialise a note as Markdown.  Metadata (colour, pinned, archived,
+       * labels and timestamps) goes in a YAML front-matter block using
+       * JSON-compatible values; the title becomes a level-one heading and
+       * checklists use task-list syntax, with sub-items indented two spaces
+       * per level.  Images, when their files are exported alongside, are
+       * linked at the end.
+       * @param {Object} note Note object
+       * @param {Array<{alt: string, path: string}>} [images] Image files
+       * @returns {string} Markdown document
+       */
+      function noteToMarkdown(note, images = []) {
+        const meta = {
+          title: note.title,
+          color: note.color,
+          pinned: note.pinned,
+          archived: note.archived,
+          labels: note.labels,
+          created: new Date(note.createdAt).toISOString(),
+          updated: new Date(note.updatedAt).toISOString()
+        };
+        const frontMatter = Object.entries(meta)
+          .map(([key, value]) => `${key}: ${JSON.stringify(value)}`)
+          .join('\n');
+        const parts = [`---\n${frontMatter}\n---`];
+        if (note.title) parts.push(`# ${note.title}`);
+        if (note.checklist) {
+          parts.push(note.items
+            .map((item) => `${'  '.repeat(item.indent)}- [${item.checked ? 'x' : ' '}] ${item.text}`)
+            .join('\n'));
+        } else if (note.content) {
+          parts.push(note.content);
+        }
+        if (images.length) {
+          parts.push(images.map(({ alt, path }) => `![${alt}](${path})`).join('\n'));
+        }
+        return parts.join('\n\n') + '\n';
+      }
+
+      /**
+       * Serialise a note as plain text: the title, a blank line, then the
+       * content or one "[ ]"/"[x]" line per checklist item (sub-items
+       * indented two spaces per level).
+       * @param {Object} note Note object
+       * @returns {string} Text document
+       */
+      function noteToPlainText(note) {
+        const body = note.checklist
+          ? note.items
+            .map((item) => `${'  '.repeat(item.indent)}[${item.checked ? 'x' : ' '}] ${item.text}`)
+            .join('\n')
+          : note.content;
+        return [note.title, body].filter(Boolean).join('\n\n') + '\n';
+      }
+
+      /**
+       * Parse a YAML front-matter value as written by noteToMarkdown(), with
+       * some tolerance for hand-written files (bare strings and [a, b]
+       * lists).
+       * @param {string} raw Value text after the colon
+       */
+      function parseFrontMatterValue(raw) {
+        const value = raw.trim();
+        try {
+          return JSON.parse(value);
+        } catch (err) {
+          if (/^\[.*\]$/.test(value)) {
+            return value.slice(1, -1).split(',')
+              .map((part) => part.trim().replace(/^["']|["']$/g, ''))
+              .filter(Boolean);
+          }
+          return value.replace(/^["']|["']$/g, '');
+        }
+      }
+
+      /**
+       * Convert a Markdown or plain-text document into a note.  Recognises
+       * the front matter written by noteToMarkdown(), a leading "# Title"
+       * heading (Markdown) or a first line followed by a blank line (plain
+       * text) as the title, falling back to the file name, and turns a
+       * body made entirely of task-list lines ("- [ ] item", "[x] item")
+       * into a checklist.
+       * @param {string} text File contents
+       * @param {string} fileName File name, used as a fallback title
+       * @returns {Object} New note
+       */
+      function noteFromText(text, fileName) {
+        let body = text.replace(/\r\n?/g, '\n');
+        const meta = {};
+        const frontMatter = body.match(/^---\n([\s\S]*?)\n---\n?/);
+        if (frontMatter) {
+          let listKey = null;
+          frontMatter[1].split('\n').forEach((line) => {
+            const listItem = line.match(/^\s+-\s+(.*)$/);
+            if (listItem && listKey) {
+              meta[listKey].push(parseFrontMatterValue(listItem[1]));
+              return;
+            }
+            const pair = line.match(/^([A-Za-z]+):\s*(.*)$/);
+            if (!pair) return;
+            listKey = pair[2] === '' ? pair[1] : null;
+            meta[pair[1]] = pair[2] === '' ? [] : parseFrontMatterValue(pair[2]);
+          });
+          body = body.slice(frontMatter[0].length);
+        }
+        body = body.replace(/^\n+/, '');
+        let title = typeof meta.title === 'string' ? meta.title : '';
+        const isMarkdown = /\.(md|markdown)$/i.test(fileName);
+        const heading = isMarkdown ? body.match(/^#\s+(.*)\n?/) : null;
+        const firstLine = !isMarkdown ? body.match(/^([^\n]{1,120})\n\n/) : null;
+        if (heading && (!title || heading[1].trim() === title)) {
+          title = heading[1].trim();
+          body = body.slice(heading[0].length);
+        } else if (firstLine && !title) {
+          title = firstLine[1].trim();
+          body = body.slice(firstLine[0].length);
+        }
+        body = body.replace(/^\n+|\s+$/g, '');
+        // files without any title (and no explicit empty one in the front
+        // matter) are named after the file
+        if (!title && !('title' in meta)) title = fileName.replace(/\.[^.]+$/, '');
+
+        const fields = { title };
+        const lines = body.split('\n').filter((line) => line.trim());
+        const taskPattern = /^(\s*)(?:[-*+]\s+)?\[([ xX])\]\s+(.*)$/;
+        if (lines.length && lines.every((line) => taskPattern.test(line))) {
+          fields.checklist = true;
+          // two spaces (or a tab) of indentation per level of nesting
+          fields.items = normaliseItemIndents(lines.map((line) => {
+            const [, leading, mark, itemText] = line.match(taskPattern);
+            const indent = Math.floor(leading.replace(/\t/g, '  ').length / 2);
+            return { text: itemText.trim(), checked: mark !== ' ', indent };
+          }));
+        } else {
+          fields.content = body;
+        }
+        if (typeof meta.color === 'string' && /^#[0-9a-f]{6}$/i.test(meta.color)) {
+          fields.color = meta.color.toUpperCase();
+        }
+        if (typeof meta.pinned === 'boolean') fields.pinned = meta.pinned;
+        if (typeof meta.archived === 'boolean') fields.archived = meta.archived;
+        if (Array.isArray(meta.labels)) {
+          fields.labels = mergeLabels([], meta.labels.filter((l) => typeof l === 'string'));
+        }
+        const created = Date.parse(meta.created);
+        const updated = Date.parse(meta.updated);
+        if (Number.isFinite(created)) fields.createdAt = created;
+        if (Number.isFinite(updated)) fields.updatedAt = updated;
+        return createNote(fields);
+      }
+
+      /**
+       * Download a single note as a Markdown or plain-text file.
+       * @param {Object} note Note object
+       * @param {string} format 'md' or 'txt'
+       */
+      function exportNoteAsFile(note, format) {
+        const text = format === 'md' ? noteToMarkdown(note) : noteToPlainText(note);
+        const type = format === 'md' ? 'text/markdown' : 'text/plain';
+        const blob = new Blob([text], { type: `${type};charset=utf-8` });
+        downloadBlob(blob, `${toFileName(note.title, 'note')}.${format}`);
+      }
+
+      /**
+       * Open the share dialog for a note, with a link to it.  A locked
+       * note asks for the passphrase first.
+       * @param {string} noteId Note identifier
+       */
+      function openShareModal(noteId) {
+        const note = notes.find((n) => n.id === noteId);
+        if (!note || note.deletedAt) return;
+        if (isNoteHidden(note)) {
+          unlockNote(noteId).then((unlocked) => {
+            if (unlocked) openShareModal(noteId);
+          });
+          return;
+        }
+        shareNoteId = noteId;
+        sharePassword = null;
+        shareProtectToggle.checked = false;
+        shareProtectToggle.disabled = !isCryptoAvailable();
+        shareProtectToggle.parentNode.title = isCryptoAvailable()
+          ? ''
+          : 'Password protection needs a secure (https) connection.';
+        nativeShareBtn.hidden = typeof navigator.share !== 'function';
+        shareLinkInput.value = '';
+        shareNotice.textContent = '';
+        openDialog(shareModal, copyShareLinkBtn);
+        updateShareLink();
+      }
+
+      /**
+       * Close the share dialog.
+       */
+      function closeShareModal() {
+        shareNoteId = null;
+        sharePassword = null;
+        shareLinkInput.value = '';
+        closeDialog(shareModal);
+      }
+
+      /**
+       * Fill the share dialog with a link to its note, protected with the
+       * chosen password if any, and say what the link leaves out.
+       */
+      async function updateShareLink() {
+        const note = notes.find((n) => n.id === shareNoteId);
+        if (!note) return;
+        const password = sharePassword;
+        let link;
+        try {
+          link = await createShareLink(note, password);
+        } catch (err) {
+          console.error('Could not create a share link:', err);
+          shareNotice.textContent = 'The link could not be created.';
+          return;
+        }
+        // the dialog may have moved on while the link was being made
+        if (shareNoteId !== note.id || sharePassword !== password) return;
+        shareLinkInput.value = link;
+        const notices = [];
+        if (password) notices.push('The link only opens with the password, so send that separately.');
+        if (note.attachments.length) notices.push('Images and drawings are not included.');
+        if (link.length > SHARE_LINK_WARN_LENGTH) {
+          notices.push(`The link is ${link.length.toLocaleString()} characters long, so some apps may cut it short.`);
+        }
+        shareNotice.textContent = notices.join('  ');
+      }
+
+      /**
+       * Protect the share link with a password, or remove the protection,
+       * as the checkbox says.  Closing the password dialog leaves the link
+       * unprotected.
+       */
+      async function setShareProtection() {
+        if (shareProtectToggle.checked) {
+          const password = await askPassphrase({
+            title: 'Protect shared note',
+            message: 'Choose a password for this link.  Whoever opens the link needs it to read the note.',
+            submitLabel: 'Protect',
+            confirm: true
+          });
+          if (!password) {
+            shareProtectToggle.checked = false;
+            return;
+          }
+          sharePassword = password;
+        } else {
+          sharePassword = null;
+        }
+        await updateShareLink();
+      }
+
+      /**
+       * Hand the link to the system share sheet (Web Share API), where the
+       * browser has one.
+       */
+      async function shareWithSystem() {
+        const note = notes.find((n) => n.id === shareNoteId);
+        if (!note || !shareLinkInput.value) return;
+        try {
+          await navigator.share({ title: note.title || 'Note', url: shareLinkInput.value });
+        } catch (err) {
+          // an AbortError only means the share sheet was dismissed
+          if (err.name !== 'AbortError') showSnackbar('The note could not be shared.  Copy the link instead.');
+        }
+      }
+
+      /**
+       * Copy text to the clipboard and confirm with a snackbar.  Without
+       * the Clipboard API (pages served over plain http) a hidden text
+       * area is copied with execCommand() instead.
+       * @param {string} text Text to copy
+       * @param {string} message Confirmation shown once copied
+       */
+      async function copyText(text, message) {
+        let copied = false;
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+          try {
+            await navigator.clipboard.writeText(text);
+            copied = true;
+          } catch (err) {
+            console.warn('Clipboard write failed:', err);
+          }
+        }
+        if (!copied) {
+          const focused = document.activeElement;
+          const area = document.createElement('textarea');
+          area.value = text;
+          area.setAttribute('readonly', '');
+          area.style.position = 'fixed';
+          area.style.opacity = '0';
+          document.body.appendChild(area);
+          area.select();
+          try {
+            copied = document.execCommand('copy');
+          } catch (err) {
+            copied = false;
+          }
+          area.remove();
+          if (focused) focused.focus();
+        }
+        showSnackbar(copied ? message : 'Could not copy.  Select the text and copy it yourself.');
+      }
+
+      /**
+       * Build a link that carries a note in its fragment, which browsers
+       * never send to the server.  The fragment is SHARE_PREFIX and then
+       * dot-separated fields: a format tag ("1", plus "z" when the note is
+       * compressed and "e" when it is encrypted), for encrypted notes the
+       * PBKDF2 iteration count, salt and AES-GCM IV, and last the note as
+       * base64url.  Only the text, checklist, colour and labels are
+       * shared, never revisions, images, reminders or other details.
+       * @param {Object} note Note to share
+       * @param {?string} password Password to encrypt the note with
+       * @returns {Promise<string>} Link to the app
+       */
+      async function createShareLink(note, password) {
+        const shared = {
+          title: note.title,
+          content: note.checklist ? '' : note.content,
+          checklist: note.checklist,
+          items: note.checklist ? note.items.map(({ text, checked, indent }) => ({ text, checked, indent })) : [],
+          color: note.color,
+          labels: note.labels
+        };
+        let bytes = new TextEncoder().encode(JSON.stringify(shared));
+        let tag = '1';
+        if (typeof CompressionStream !== 'undefined') {
+          bytes = await transformBytes(bytes, new CompressionStream('deflate-raw'));
+          tag += 'z';
+        }
+        const fields = [];
+        if (password) {
+          const salt = crypto.getRandomValues(new Uint8Array(16));
+          const iv = crypto.getRandomValues(new Uint8Array(12));
+          const key = await deriveKey(password, salt, PBKDF2_ITERATIONS, ['encrypt']);
+          bytes = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, bytes));
+          tag += 'e';
+          fields.push(PBKDF2_ITERATIONS, toBase64Url(salt), toBase64Url(iv));
+        }
+        const page = location.href.split('#')[0];
+        return `${page}${SHARE_PREFIX}${[tag, ...fields, toBase64Url(bytes)].join('.')}`;
+      }
+
+      /**
+       * Read the note carried by a share link (see createShareLink()).
+       * An encrypted note asks for its password first.
+       * @param {string} code Fragment after SHARE_PREFIX
+       * @returns {Promise<Object|null>} The note, checked like notes from
+       *   storage, or null if the password dialog was closed
+       */
+      async function readShareLink(code) {
+        const damaged = () => new Error('it is damaged or incomplete.');
+        const fields = code.split('.');
+        const tag = fields[0];
+        const encrypted = tag.includes('e');
+        if (!/^1z?e?$/.test(tag) || fields.length !== (encrypted ? 5 : 2)) throw damaged();
+        let bytes;
+        try {
+          bytes = fromBase64Url(fields[fields.length - 1]);
+        } catch (err) {
+          throw damaged();
+        }
+        if (encrypted) {
+          const iterations = Number(fields[1]);
+          if (!Number.isInteger(iterations) || iterations < 1 || iterations > 10 * PBKDF2_ITERATIONS) throw damaged();
+          if (!isCryptoAvailable()) throw new Error('password-protected notes need a secure (https) connection.');
+          let decrypted = null;
+          const password = await askPassphrase({
+            title: 'Protected note',
+            message: 'This shared note is protected.  Enter the password that came with the link.',
+            submitLabel: 'Open',
+            check: async (attempt) => {
+              try {
+                const key = await deriveKey(attempt, fromBase64Url(fields[2]), iterations, ['decrypt']);
+                const iv = fromBase64Url(fields[3]);
+                decrypted = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, bytes));
+                return '';
+              } catch (err) {
+                return 'Wrong password, or the link is damaged.';
+              }
+            }
+          });
+          if (!password) return null;
+          bytes = decrypted;
+        }
+        if (tag.includes('z') && typeof DecompressionStream === 'undefined') {
+          throw new Error('this browser cannot unpack compressed notes.  Try a more recent browser.');
+        }
+        let data;
+        try {
+          if (tag.includes('z')) bytes = await transformBytes(bytes, new DecompressionStream('deflate-raw'));
+          data = JSON.parse(new TextDecoder().decode(bytes));
+        } catch (err) {
+          throw damaged();
+        }
+        if (!data || typeof data !== 'object') throw damaged();
+        const { title, content, checklist, items, color, labels } = data;
+        return repairNote({ id: generateId(), title, content, checklist, items, color, labels }, []);
+      }
+
+      /**
+       * Pass bytes through a compression or decompression stream.
+       * @param {Uint8Array} bytes Input
+       * @param {CompressionStream|DecompressionStream} transform Stream
+       * @returns {Promise<Uint8Array>} Output
+       */
+      async function transformBytes(bytes, transform) {
+        const stream = new Response(bytes).body.pipeThrough(transform);
+        return new Uint8Array(await new Response(stream).arrayBuffer());
+      }
+
+      /**
+       * Encode bytes as base64url (base64 that is safe in URLs, without
+       * padding).
+       * @param {Uint8Array} bytes Data
+       */
+      function toBase64Url(bytes) {
+        return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+      }
+
+      /**
+       * Decode base64url text into bytes.
+       * @param {string} text Base64url text
+       */
+      function fromBase64Url(text) {
+        return base64ToBytes(text.replace(/-/g, '+').replace(/_/g, '/'));
+      }
+
+      /**
+       * Show the note carried by the page's share link, if there is one.
+       * The fragment is taken out of the address bar straight away, so a
+       * reload does not offer the note again.
+       */
+      async function openSharedLink() {
+        if (!location.hash.startsWith(SHARE_PREFIX)) return;
+        const code = location.hash.slice(SHARE_PREFIX.length);
+        history.replaceState(null, '', location.href.split('#')[0]);
+        let note;
+        try {
+          note = await readShareLink(code);
+        } catch (err) {
+          alert(`This share link cannot be opened: ${err.message}`);
+          return;
+        }
+        if (note) showSharedNote(note);
+      }
+
+      /**
+       * Preview a note opened from a share link, read-only, with the
+       * choice of saving it or opening it as a new note to change first.
+       * @param {Object} note Shared note (see readShareLink())
+       */
+      function showSharedNote(note) {
+        sharedNote = note;
+        applyNoteColour(sharedNoteEl, note);
+        sharedTitle.textContent = note.title;
+        sharedTitle.hidden = !note.title;
+        sharedContent.innerHTML = '';
+        if (note.checklist) {
+          sharedContent.appendChild(createChecklistDisplay(note, true));
+        } else if (settings.markdown) {
+          const body = document.createElement('div');
+          renderMarkdownInto(note.content, body);
+          sharedContent.appendChild(body);
+        } else {
+          const p = document.createElement('p');
+          p.textContent = note.content;
+          sharedContent.appendChild(p);
+        }
+        if (note.labels.length) {
+          const row = document.createElement('div');
+          row.className = 'note-labels';
+          note.labels.forEach((label) => {
+            const chip = document.createElement('span');
+            chip.className = 'label-chip';
+            chip.textContent = label;
+            row.appendChild(chip);
+          });
+          sharedContent.appendChild(row);
+        }
+        openDialog(sharedModal, saveSharedBtn);
+      }
+
+      /**
+       * Close the shared note preview without keeping the note.
+       */
+      function closeSharedModal() {
+        sharedNote = null;
+        sharedContent.innerHTML = '';
+        closeDialog(sharedModal);
+      }
+
+      /**
+       * Add the previewed shared note to the notes as it is.
+       */
+      function saveSharedNote() {
+        if (!sharedNote) return;
+        const { title, content, checklist, items, color, labels } = sharedNote;
+        const note = createNote({ title, content, checklist, items, color, labels });
+        closeSharedModal();
+        notes.unshift(note);
+        saveNotes();
+        if (currentView !== 'notes' || activeLabel) setView('notes');
+        renderNotes();
+        focusNoteCard(note.id);
+        showSnackbar('Shared note saved', 'Undo', undo);
+      }
+
+      /**
+       * Put the previewed shared note into the creation area, to be
+       * changed before it is added.  Anything already typed there is only
+       * replaced after confirmation.
+       */
+      function openSharedCopy() {
+        if (!sharedNote) return;
+        if (readNoteDraft() && !confirm('Replace the note you are writing with the shared note?')) return;
+        const note = sharedNote;
+        closeSharedModal();
+        if (currentView !== 'notes' || activeLabel) setView('notes');
+        restoreNoteDraft(note);
+        scheduleDraftSave();
+        noteTitleInput.focus();
+        announce('Shared note copied into a new note');
+      }
+
+      /**
+       * Download every note that is not in the trash as a ZIP of Markdown
+       * files.  Archived notes go into an "Archive" folder.  Duplicate
+       * titles get a numeric suffix.  Images go into an "images" folder
+       * and are linked from their notes.
+       * @param {Object[]} [list=notes] Notes to export, e.g. the selection
+       */
+      async function exportMarkdownZip(list = notes) {
+        const used = new Set();
+        const files = [];
+        const imageFiles = new Set();
+        const kept = list.filter((note) => !note.deletedAt);
+        for (const [index, note] of kept.entries()) {
+          const folder = note.archived ? 'Archive/' : '';
+          const base = folder + toFileName(note.title, `note-${index + 1}`);
+          let name = `${base}.md`;
+          for (let n = 2; used.has(name.toLowerCase()); n++) {
+            name = `${base} (${n}).md`;
+          }
+          used.add(name.toLowerCase());
+          const images = [];
+          for (const attachment of note.attachments) {
+            const path = `images/${attachment.id}.${attachmentExtension(attachment.type)}`;
+            if (!imageFiles.has(path)) {
+              const record = await storage.loadAttachment(attachment.id).catch(() => null);
+              if (!record) continue;
+              files.push({ name: path, data: new Uint8Array(await record.blob.arrayBuffer()) });
+              imageFiles.add(path);
+            }
+            images.push({
+              alt: attachment.kind === 'drawing' ? 'Drawing' : 'Image',
+              path: (note.archived ? '../' : '') + path
+            });
+          }
+          files.push({ name, data: noteToMarkdown(note, images) });
+        }
+        downloadBlob(createZip(files), `simple-keep-notes-${fileTimestamp()}.zip`);
+      }
+
+      /**
+       * Import one or more Markdown/plain-text files as new notes.  Notes
+       * are added at the top of the grid; the snackbar offers undo.
+       * @param {File[]} files Selected .md/.txt files
+       */
+      async function importTextFiles(files) {
+        try {
+          const texts = await Promise.all(files.map((file) => file.text()));
+          const imported = texts.map((text, i) => noteFromText(text, files[i].name));
+          notes.unshift(...imported);
+          saveNotes();
+          renderNotes();
+          const noun = imported.length === 1 ? 'note' : 'notes';
+          showSnackbar(`Imported ${imported.length} ${noun}`, 'Undo', undo);
+        } catch (err) {
+          alert('Failed to import notes: ' + err.message);
+        }
+      }
+
+      /**
+       * Compute the CRC-32 checksum of some bytes, as required by the ZIP
+       * format.  The lookup table is built on first use.
+       * @param {Uint8Array} bytes Data to checksum
+       */
+      function crc32(bytes) {
+        if (!crcTable) {
+          crcTable = new Uint32Array(256);
+          for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+              c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+          }
+        }
+        let crc = 0xffffffff;
+        for (let i = 0; i < bytes.length; i++) {
+          crc = crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+        }
+        return (crc ^ 0xffffffff) >>> 0;
+      }
+
+      /**
+       * Build an uncompressed ZIP archive.  Notes are small text files, so
+       * storing them without compression keeps this simple while producing
+       * archives every unzip tool understands.
+       * @param {Array<{name: string, data: string|Uint8Array}>} files Entries
+       * @returns {Blob} ZIP file
+       */
+      function createZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+        files.forEach((file) => {
+          const name = encoder.encode(file.name);
+          const data = typeof file.data === 'string' ? encoder.encode(file.data) : file.data;
+          const crc = crc32(data);
+          const local = new DataView(new ArrayBuffer(30));
+          local.setUint32(0, 0x04034b50, true);
+          local.setUint16(4, 20, true);
+          local.setUint16(6, 0x0800, true); // UTF-8 file names
+          local.setUint16(8, 0, true); // stored
+          local.setUint16(10, dosTime, true);
+          local.setUint16(12, dosDate, true);
+          local.setUint32(14, crc, true);
+          local.setUint32(18, data.length, true);
+          local.setUint32(22, data.length, true);
+          local.setUint16(26, name.length, true);
+          local.setUint16(28, 0, true);
+          localParts.push(local, name, data);
+
+          const central = new DataView(new ArrayBuffer(46));
+          central.setUint32(0, 0x02014b50, true);
+          central.setUint16(4, 20, true);
+          central.setUint16(6, 20, true);
+          central.setUint16(8, 0x0800, true);
+          central.setUint16(10, 0, true);
+          central.setUint16(12, dosTime, true);
+          central.setUint16(14, dosDate, true);
+          central.setUint32(16, crc, true);
+          central.setUint32(20, data.length, true);
+          central.setUint32(24, data.length, true);
+          central.setUint16(28, name.length, true);
+          central.setUint32(42, offset, true);
+          centralParts.push(central, name);
+          offset += 30 + name.length + data.length;
+        });
+        const centralSize = centralParts.reduce((total, part) => total + part.byteLength, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054b50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+        return new Blob([...localParts, ...centralParts, end], { type: 'application/zip' });
+      }
+
+      /**
+       * Show a small popup menu below an anchor element.  Only one menu is
+       * open at a time; it closes on selection, outside click or Escape.
+       * @param {HTMLElement} anchor Element the menu belongs to
+       * @param {Array<{label: string, icon: string, action: Function}>} items
+       *   Menu entries (icon is a Bootstrap Icons class such as 'bi-download';
+       *   an entry may give a `color` instead, shown as a swatch)
+       */
+      function openMenu(anchor, items) {
+        closeMenu();
+        const menu = document.createElement('div');
+        menu.className = 'popover-menu';
+        menu.setAttribute('role', 'menu');
+        items.forEach(({ label, icon, color, action }) => {
+          const item = document.createElement('button');
+          item.setAttribute('role', 'menuitem');
+          if (color) {
+            const swatch = document.createElement('span');
+            swatch.className = 'import-swatch';
+            swatch.style.backgroundColor = color;
+            item.appendChild(swatch);
+          } else {
+            item.innerHTML = `<i class="bi ${icon}" aria-hidden="true"></i>`;
+          }
+          item.appendChild(document.createTextNode(label));
+          item.addEventListener('click', (e) => {
+            e.stopPropagation();
+            closeMenu();
+            action();
+          });
+          menu.appendChild(item);
+        });
+        showPopover(menu, anchor);
+        const first = menu.querySelector('button');
+        if (first) first.focus();
+      }
+
+      /**
+       * Show a popup below the button that opened it, kept inside the
+       * window, as the open menu (closed by closeMenu()).
+       * @param {HTMLElement} menu Popup element
+       * @param {HTMLElement} anchor Button the popup belongs to
+       */
+      function showPopover(menu, anchor) {
+        document.body.appendChild(menu);
+        const rect = anchor.getBoundingClientRect();
+        const left = Math.min(rect.left, window.innerWidth - menu.offsetWidth - 8);
+        menu.style.left = `${Math.max(8, left) + window.scrollX}px`;
+        menu.style.top = `${rect.bottom + 4 + window.scrollY}px`;
+        openMenuEl = menu;
+      }
+
+      /**
+       * Close the open popup menu, if any.
+       */
+      function closeMenu() {
+        if (!openMenuEl) return;
+        openMenuEl.remove();
+        openMenuEl = null;
+      }
+
+      /**
+       * Open the colour picker below a button: the standard colours, then
+       * each of the user's palettes under its name, and a button leading
+       * to the theme editor, where palettes are made.
+       * @param {HTMLElement} anchor Button the picker belongs to
+       * @param {?string} selected Colour in use, marked in the picker
+       * @param {function(string)} onPick Called with the chosen colour
+       */
+      function openColourPicker(anchor, selected, onPick) {
+        closeMenu();
+        const picker = document.createElement('div');
+        picker.className = 'popover-menu colour-picker';
+        picker.setAttribute('role', 'dialog');
+        picker.setAttribute('aria-label', 'Note colour');
+        const groups = [
+          { name: 'Standard', colors: COLORS },
+          ...appearance.palettes.filter((palette) => palette.colors.length)
+        ];
+        groups.forEach((group) => {
+          const heading = document.createElement('p');
+          heading.className = 'colour-group-name';
+          heading.textContent = group.name;
+          const swatches = document.createElement('div');
+          swatches.className = 'colour-swatches';
+          swatches.setAttribute('role', 'group');
+          swatches.setAttribute('aria-label', group.name);
+          group.colors.forEach((color) => {
+            const swatch = document.createElement('button');
+            swatch.className = 'color-btn';
+            swatch.style.backgroundColor = color;
+            const name = colourName(color);
+            swatch.title = name.charAt(0).toUpperCase() + name.slice(1);
+            swatch.setAttribute('aria-label', swatch.title);
+            swatch.setAttribute('aria-pressed', String(color === selected));
+            swatch.addEventListener('click', (e) => {
+              e.stopPropagation();
+              closeMenu();
+              anchor.focus();
+              onPick(color);
+            });
+            swatches.appendChild(swatch);
+          });
+          picker.append(heading, swatches);
+        });
+        const editBtn = document.createElement('button');
+        editBtn.className = 'colour-picker-edit';
+        editBtn.innerHTML = '<i class="bi bi-sliders" aria-hidden="true"></i>';
+        editBtn.appendChild(document.createTextNode('Edit palettes'));
+        editBtn.addEventListener('click', (e) => {
+          e.stopPropagation();
+          closeMenu();
+          openThemeModal();
+        });
+        picker.appendChild(editBtn);
+        showPopover(picker, anchor);
+        (picker.querySelector('[aria-pressed="true"]') || picker.querySelector('button')).focus();
+      }
+
+      /**
+       * Entries for a note's "More actions" menu: tidying up a checklist
+       * that has ticked items, locking, sharing and downloads.
+       * @param {Object} note Note object
+       */
+      function getNoteMenuItems(note) {
+        const items = [];
+        const hidden = isNoteHidden(note);
+        if (note.checklist && !note.deletedAt && !hidden && note.items.some((item) => item.checked)) {
+          items.push(
+            {
+              label: 'Uncheck all items',
+              icon: 'bi-square',
+              action: () => uncheckAllItems(note.id)
+            },
+            {
+              label: 'Delete checked items',
+              icon: 'bi-trash3',
+              action: () => deleteCheckedItems(note.id)
+            }
+          );
+        }
+        if (!note.deletedAt) {
+          items.push({
+            label: note.locked ? 'Remove lock' : 'Lock note',
+            icon: note.locked ? 'bi-unlock' : 'bi-lock',
+            action: () => setNoteLocked(note.id, !note.locked)
+          });
+        }
+        // sharing and downloading are other ways of reading the note
+        if (hidden) return items;
+        if (!note.deletedAt) {
+          items.push({
+            label: 'Share',
+            icon: 'bi-share',
+            action: () => openShareModal(note.id)
+          });
+        }
+        return [
+          ...items,
+          {
+            label: 'Download as Markdown',
+            icon: 'bi-markdown',
+            action: () => exportNoteAsFile(note, 'md')
+          },
+          {
+            label: 'Download as text',
+            icon: 'bi-file-earmark-text',
+            action: () => exportNoteAsFile(note, 'txt')
+          }
+        ];
+      }
+
+      /**
+       * Read the entries of a ZIP archive.  Supports stored and deflated
+       * entries (the latter via DecompressionStream); ZIP64 archives are
+       * not supported.  Entry data is only extracted when read().
+       * @param {Blob} blob ZIP file
+       * @returns {Promise<Array<{name: string, read: Function}>>} Entries,
+       *   where read() resolves to a Uint8Array of the file contents
+       */
+      async function readZip(blob) {
+        const bytes = new Uint8Array(await blob.arrayBuffer());
+        const view = new DataView(bytes.buffer);
+        // the end-of-central-directory record sits within the last 64 KB
+        let end = -1;
+        for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+          if (view.getUint32(i, true) === 0x06054b50) {
+            end = i;
+            break;
+          }
+        }
+        if (end === -1) throw new Error('Not a ZIP file');
+        const count = view.getUint16(end + 10, true);
+        let pos = view.getUint32(end + 16, true);
+        const decoder = new TextDecoder();
+        const entries = [];
+        for (let i = 0; i < count; i++) {
+          if (view.getUint32(pos, true) !== 0x02014b50) throw new Error('Corrupt ZIP file');
+          const method = view.getUint16(pos + 10, true);
+          const compressedSize = view.getUint32(pos + 20, true);
+          const nameLength = view.getUint16(pos + 28, true);
+          const extraLength = view.getUint16(pos + 30, true);
+          const commentLength = view.getUint16(pos + 32, true);
+          const localOffset = view.getUint32(pos + 42, true);
+          const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+          pos += 46 + nameLength + extraLength + commentLength;
+          entries.push({
+            name,
+            read: async () => {
+              const localNameLength = view.getUint16(localOffset + 26, true);
+              const localExtraLength = view.getUint16(localOffset + 28, true);
+              const start = localOffset + 30 + localNameLength + localExtraLength;
+              const data = bytes.subarray(start, start + compressedSize);
+              if (method === 0) return data;
+              if (method !== 8) throw new Error(`Unsupported compression in ${name}`);
+              if (typeof DecompressionStream === 'undefined') {
+                throw new Error('This browser cannot read compressed ZIP files.  Extract the archive and import the folder instead.');
+              }
+              const stream = new Response(data).body.pipeThrough(new DecompressionStream('deflate-raw'));
+              return new Uint8Array(await new Response(stream).arrayBuffer());
+            }
+          });
+        }
+        return entries;
+      }
+
+      /**
+       * Whether a parsed JSON value looks like a note exported by Google
+       * Keep through Takeout.
+       * @param {*} data Parsed JSON
+       */
+      function isKeepNote(data) {
+        return !!data && typeof data === 'object' && !Array.isArray(data) &&
+          ('textContent' in data || 'listContent' in data) &&
+          ('userEditedTimestampUsec' in data || 'isTrashed' in data);
+      }
+
+      /**
+       * Convert a Google Keep Takeout note into a Simple Keep note record.
+       * Keep's colours map to the closest shade in COLORS, and the note id
+       * is derived from Keep's creation time so that importing the same
+       * Takeout again matches (and merges) rather than duplicates.
+       * @param {Object} keep Parsed Keep note
+       * @returns {Object} Note record (still to be run through migrateNotes)
+       */
+      function keepNoteToNote(keep) {
+        const toMs = (usec) => (Number.isFinite(usec) ? Math.round(usec / 1000) : undefined);
+        const created = toMs(keep.createdTimestampUsec);
+        const updated = toMs(keep.userEditedTimestampUsec) || created;
+        const isList = Array.isArray(keep.listContent);
+        return {
+          schemaVersion: SCHEMA_VERSION,
+          id: created ? `keep-${keep.createdTimestampUsec}` : generateId(),
+          title: keep.title || '',
+          content: isList ? '' : keep.textContent || '',
+          checklist: isList,
+          items: isList
+            ? keep.listContent.map((item) => ({ text: item.text || '', checked: !!item.isChecked, indent: 0 }))
+              .filter((item) => item.text.trim())
+            : [],
+          color: KEEP_COLORS[keep.color] || COLORS[0],
+          pinned: !!keep.isPinned && !keep.isArchived,
+          archived: !!keep.isArchived,
+          deletedAt: keep.isTrashed ? Date.now() : null,
+          labels: Array.isArray(keep.labels) ? keep.labels.map((label) => label.name) : [],
+          reminder: null,
+          createdAt: created || updated,
+          updatedAt: updated
+        };
+      }
+
+      /**
+       * Collect Google Keep notes from the files chosen for import: per-note
+       * JSON files, a Takeout folder (other files in it are ignored) or
+       * Takeout ZIP archives.
+       * @param {File[]} files Selected files
+       * @returns {Promise<Object[]>} Parsed Keep notes
+       */
+      async function readKeepTakeout(files) {
+        const decoder = new TextDecoder();
+        const found = [];
+        const collect = (text) => {
+          try {
+            const data = JSON.parse(text);
+            if (isKeepNote(data)) found.push(data);
+          } catch (err) {
+            // not JSON; Takeout folders also contain HTML and images
+          }
+        };
+        for (const file of files) {
+          if (/\.zip$/i.test(file.name)) {
+            const entries = await readZip(file);
+            for (const entry of entries) {
+              if (/\.json$/i.test(entry.name)) collect(decoder.decode(await entry.read()));
+            }
+          } else if (/\.json$/i.test(file.name)) {
+            collect(await file.text());
+          }
+        }
+        return found;
+      }
+
+      /**
+       * Import notes from Google Keep Takeout data: convert them, validate
+       * them through the migration pipeline and show a preview.
+       * @param {File[]} files Selected files or folder contents
+       */
+      async function importKeepTakeout(files) {
+        try {
+          const keepNotes = await readKeepTakeout(files);
+          if (keepNotes.length === 0) {
+            alert('No Google Keep notes were found.  Choose the Keep folder from your Takeout export, its .zip, or the note .json files inside it.');
+            return;
+          }
+          const { notes: converted, report } = migrateNotes(keepNotes.map(keepNoteToNote));
+          openKeepPreview(converted, formatMigrationReport(report));
+        } catch (err) {
+          alert('Failed to import from Google Keep: ' + err.message);
+        }
+      }
+
+      /**
+       * Show what a Google Keep import will add: each note with its colour,
+       * title and state, and an option to leave out notes that were in
+       * Keep's trash.  Importing merges by id (see planMerge()).
+       * @param {Object[]} converted Converted notes
+       * @param {string} summary Readable migration report (may be empty)
+       */
+      function openKeepPreview(converted, summary) {
+        importModalBody.innerHTML = '';
+        importModalFooter.innerHTML = '';
+        const trashed = converted.filter((note) => note.deletedAt);
+        const intro = document.createElement('p');
+        const noun = converted.length === 1 ? 'note was' : 'notes were';
+        intro.textContent = `${converted.length} Google Keep ${noun} found.`;
+        importModalBody.appendChild(intro);
+        if (summary) {
+          const details = document.createElement('pre');
+          details.className = 'import-report';
+          details.textContent = summary;
+          importModalBody.appendChild(details);
+        }
+        const list = document.createElement('ul');
+        list.className = 'import-preview';
+        converted.slice(0, KEEP_PREVIEW_LIMIT).forEach((note) => {
+          const li = document.createElement('li');
+          const swatch = document.createElement('span');
+          swatch.className = 'import-swatch';
+          swatch.style.backgroundColor = note.color;
+          const name = document.createElement('span');
+          name.className = 'import-name';
+          const firstLine = note.checklist
+            ? note.items.map((item) => item.text).join(', ')
+            : note.content.split('\n')[0];
+          name.textContent = note.title || firstLine || 'Untitled note';
+          const tags = [];
+          if (note.checklist) tags.push('Checklist');
+          if (note.pinned) tags.push('Pinned');
+          if (note.archived) tags.push('Archived');
+          if (note.deletedAt) tags.push('Trash');
+          tags.push(...note.labels);
+          const meta = document.createElement('span');
+          meta.className = 'import-meta';
+          meta.textContent = tags.join(' · ');
+          li.append(swatch, name, meta);
+          if (note.deletedAt) li.classList.add('trashed');
+          list.appendChild(li);
+        });
+        importModalBody.appendChild(list);
+        if (converted.length > KEEP_PREVIEW_LIMIT) {
+          const more = document.createElement('p');
+          more.textContent = `…and ${converted.length - KEEP_PREVIEW_LIMIT} more.`;
+          importModalBody.appendChild(more);
+        }
+        let includeTrashed = false;
+        if (trashed.length) {
+          const option = document.createElement('label');
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.addEventListener('change', () => {
+            includeTrashed = checkbox.checked;
+            list.classList.toggle('include-trashed', includeTrashed);
+          });
+          option.append(checkbox, ` Also import ${trashed.length} note(s) from Keep's trash (into Trash)`);
+          importModalBody.appendChild(option);
+        }
+        const spacer = document.createElement('div');
+        spacer.className = 'spacer';
+        importModalFooter.append(
+          createModalButton('secondary-btn', 'Cancel', closeImportModal),
+          spacer,
+          createModalButton('primary-btn', 'Import', () => {
+            const selected = includeTrashed
+              ? converted
+              : converted.filter((note) => !note.deletedAt);
+            const plan = planMerge(selected);
+            if (plan.conflicts.length) showMergeConflicts(plan);
+            else finishMerge(plan);
+          })
+        );
+        openDialog(importModal);
+      }
+
+      /**
+       * Compare imported notes with the current collection by id.  Notes
+       * with new ids are additions, identical notes are skipped, and notes
+       * whose content differs become conflicts.  Each conflict starts with
+       * the "newest wins" choice based on updatedAt.
+       * @param {Object[]} imported Migrated notes from a backup
+       * @returns {{additions: Object[], unchanged: number, conflicts: Object[]}}
+       */
+      function planMerge(imported) {
+        const localById = new Map(notes.map((note) => [note.id, note]));
+        const plan = { additions: [], unchanged: 0, conflicts: [] };
+        imported.forEach((incoming) => {
+          const local = localById.get(incoming.id);
+          if (!local) {
+            plan.additions.push(incoming);
+          } else if (JSON.stringify(local) === JSON.stringify(incoming)) {
+            plan.unchanged += 1;
+          } else {
+            const choice = incoming.updatedAt > local.updatedAt ? 'imported' : 'local';
+            plan.conflicts.push({ local, incoming, choice });
+          }
+        });
+        return plan;
+      }
+
+      /**
+       * Apply a merge plan to the notes array.  New notes are appended;
+       * conflicts follow their chosen resolution: keep the local note,
+       * replace it with the imported one, or keep both (the imported copy
+       * gets a fresh id and is placed after the local note).  Local notes
+       * are found by id, since another tab or an undo may have replaced or
+       * removed them while the conflicts were being reviewed; an imported
+       * note whose local note has gone is appended.  For the same reason
+       * a new note may have arrived meanwhile under the id of an addition;
+       * the newer of the two is then kept, as for a conflict.
+       * @param {Object} plan Plan from planMerge() with choices filled in
+       * @returns {{added: number, updated: number, skipped: number}}
+       */
+      function applyMerge(plan) {
+        const counts = { added: 0, updated: 0, skipped: plan.unchanged };
+        plan.conflicts.forEach(({ local, incoming, choice }) => {
+          const index = notes.findIndex((n) => n.id === local.id);
+          if (choice === 'imported') {
+            if (index === -1) {
+              notes.push(incoming);
+            } else {
+              notes[index] = incoming;
+            }
+            counts.updated += 1;
+          } else if (choice === 'both') {
+            const copy = { ...incoming, id: generateId() };
+            if (index === -1) {
+              notes.push(copy);
+            } else {
+              notes.splice(index + 1, 0, copy);
+            }
+            counts.added += 1;
+          } else {
+            counts.skipped += 1;
+          }
+        });
+        plan.additions.forEach((incoming) => {
+          const index = notes.findIndex((n) => n.id === incoming.id);
+          if (index === -1) {
+            notes.push(incoming);
+            counts.added += 1;
+          } else if (incoming.updatedAt > notes[index].updatedAt) {
+            notes[index] = incoming;
+            counts.updated += 1;
+          } else {
+            counts.skipped += 1;
+          }
+        });
+        return counts;
+      }
+
+      /**
+       * Open the import dialog for a parsed backup.  The first step offers
+       * merging with or replacing the current notes, and lists anything the
+       * migration pipeline had to repair or skip.
+       * @param {Object[]} imported Migrated notes from the backup
+       * @param {string} summary Readable migration report (may be empty)
+       * @param {?Object} [backupAppearance] Theme colours and palettes in
+       *   the backup, offered for use alongside the notes
+       */
+      function openImportModal(imported, summary, backupAppearance = null) {
+        importModalBody.innerHTML = '';
+        importModalFooter.innerHTML = '';
+        const noun = imported.length === 1 ? 'note' : 'notes';
+        const intro = document.createElement('p');
+        intro.textContent =
+          `This backup contains ${imported.length} ${noun}.  Merge them with your ` +
+          'notes (matching notes by id) or replace all of your notes with the backup?';
+        importModalBody.appendChild(intro);
+        if (summary) {
+          const details = document.createElement('pre');
+          details.className = 'import-report';
+          details.textContent = summary;
+          importModalBody.appendChild(details);
+        }
+        let appearanceToggle = null;
+        if (backupAppearance && (backupAppearance.palettes.length ||
+            Object.values(backupAppearance.themeColors).some((colours) => Object.keys(colours).length))) {
+          const option = document.createElement('label');
+          appearanceToggle = document.createElement('input');
+          appearanceToggle.type = 'checkbox';
+          option.append(appearanceToggle, ' Also use the theme colours and palettes from this backup');
+          importModalBody.appendChild(option);
+        }
+        const chosenAppearance = () => (appearanceToggle && appearanceToggle.checked ? backupAppearance : null);
+        const cancelBtn = createModalButton('secondary-btn', 'Cancel', closeImportModal);
+        const replaceBtn = createModalButton('danger-btn', 'Replace all', () => {
+          if (chosenAppearance()) useBackupAppearance(chosenAppearance());
+          notes = imported;
+          saveNotes();
+          renderNotes();
+          closeImportModal();
+          showSnackbar('Notes imported', 'Undo', undo);
+        });
+        replaceBtn.title = 'Discard your current notes and use the backup';
+        const mergeBtn = createModalButton('primary-btn', 'Merge', () => {
+          const plan = planMerge(imported);
+          plan.appearance = chosenAppearance();
+          if (plan.conflicts.length) showMergeConflicts(plan);
+          else finishMerge(plan);
+        });
+        mergeBtn.title = 'Add notes from the backup to your current notes';
+        const spacer = document.createElement('div');
+        spacer.className = 'spacer';
+        importModalFooter.append(cancelBtn, spacer, replaceBtn, mergeBtn);
+        openDialog(importModal);
+      }
+
+      /**
+       * Second step of a merge: list each conflicting note with a choice of
+       * keeping the local version, the imported version or both.  The
+       * newer version is preselected.
+       * @param {Object} plan Plan from planMerge()
+       */
+      function showMergeConflicts(plan) {
+        importModalBody.innerHTML = '';
+        importModalFooter.innerHTML = '';
+        const intro = document.createElement('p');
+        const noun = plan.conflicts.length === 1 ? 'note differs' : 'notes differ';
+        intro.textContent =
+          `${plan.conflicts.length} ${noun} between your notes and the backup.  ` +
+          'The most recently edited version is selected.';
+        importModalBody.appendChild(intro);
+        const options = [
+          ['local', 'Keep mine'],
+          ['imported', 'Keep imported'],
+          ['both', 'Keep both']
+        ];
+        plan.conflicts.forEach((conflict, index) => {
+          const row = document.createElement('fieldset');
+          row.className = 'merge-conflict';
+          const legend = document.createElement('legend');
+          legend.textContent = conflict.local.title || conflict.incoming.title || 'Untitled note';
+          row.appendChild(legend);
+          const dates = document.createElement('p');
+          dates.className = 'merge-dates';
+          const edited = (note) => new Date(note.updatedAt).toLocaleString();
+          dates.textContent =
+            `Mine: edited ${edited(conflict.local)} · Imported: edited ${edited(conflict.incoming)}`;
+          row.appendChild(dates);
+          options.forEach(([value, text]) => {
+            const label = document.createElement('label');
+            const radio = document.createElement('input');
+            radio.type = 'radio';
+            radio.name = `mergeConflict${index}`;
+            radio.value = value;
+            radio.checked = conflict.choice === value;
+            radio.addEventListener('change', () => {
+              conflict.choice = value;
+            });
+            label.appendChild(radio);
+            label.appendChild(document.createTextNode(` ${text}`));
+            row.appendChild(label);
+          });
+          importModalBody.appendChild(row);
+        });
+        const spacer = document.createElement('div');
+        spacer.className = 'spacer';
+        importModalFooter.append(
+          createModalButton('secondary-btn', 'Cancel', closeImportModal),
+          spacer,
+          createModalButton('primary-btn', 'Merge', () => finishMerge(plan))
+        );
+        // the button that led here was replaced, so move focus back in
+        openDialog(importModal);
+      }
+
+      /**
+       * Apply a merge, close the dialog and report what happened.  The
+       * backup's theme colours and palettes are taken too if the user
+       * chose them (`plan.appearance`).
+       * @param {Object} plan Plan from planMerge()
+       */
+      function finishMerge(plan) {
+        if (plan.appearance) useBackupAppearance(plan.appearance);
+        const { added, updated, skipped } = applyMerge(plan);
+        saveNotes();
+        renderNotes();
+        closeImportModal();
+        showSnackbar(`Merged: ${added} added, ${updated} updated, ${skipped} skipped`, 'Undo', undo);
+      }
+
+      /**
+       * Close the import dialog without importing anything further.
+       */
+      function closeImportModal() {
+        closeDialog(importModal);
+        importModalBody.innerHTML = '';
+        importModalFooter.innerHTML = '';
+      }
+
+      /**
+       * Create a text button for a modal footer.
+       * @param {string} className Button style, e.g. 'primary-btn'
+       * @param {string} text Button label
+       * @param {Function} onClick Click handler
+       */
+      function createModalButton(className, text, onClick) {
+        const btn = document.createElement('button');
+        btn.className = className;
+        btn.textContent = text;
+        btn.addEventListener('click', onClick);
+        return btn;
+      }
+
+      /**
+       * Create a button that shows only an icon.  The label becomes both
+       * its tooltip and its accessible name, and the icon is hidden from
+       * screen readers.
+       * @param {string} label What the button does
+       * @param {string} icon Bootstrap Icons class, e.g. 'bi-pencil'
+       */
+      function createIconButton(label, icon) {
+        const btn = document.createElement('button');
+        btn.title = label;
+        btn.setAttribute('aria-label', label);
+        btn.innerHTML = `<i class="bi ${icon}" aria-hidden="true"></i>`;
+        return btn;
+      }
+
+      /**
+       * Announce a message to screen readers through the live region.
+       * The text is cleared first so that repeating a message (pinning
+       * two notes in a row) is announced again.
+       * @param {string} message Text to announce
+       */
+      function announce(message) {
+        liveRegion.textContent = '';
+        setTimeout(() => {
+          liveRegion.textContent = message;
+        }, 50);
+      }
+
+      /**
+       * Elements inside a dialog that can currently take keyboard focus,
+       * in tab order.
+       * @param {HTMLElement} root Dialog element
+       * @returns {HTMLElement[]}
+       */
+      function getFocusableElements(root) {
+        const selector =
+          'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), ' +
+          'textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+        return Array.from(root.querySelectorAll(selector)).filter(
+          (el) => el.getClientRects().length > 0
+        );
+      }
+
+      /**
+       * Show a modal dialog and move focus into it: to `focusTarget` if
+       * given, otherwise to its first focusable element.  The element
+       * focused beforehand is remembered so that closeDialog() can return
+       * to it.  Opening a dialog that is already open (to refresh its
+       * contents) keeps the original return point.
+       * @param {HTMLElement} modal Element with the `modal` class
+       * @param {HTMLElement} [focusTarget] Element to focus
+       */
+      function openDialog(modal, focusTarget) {
+        if (!openDialogs.some((entry) => entry.modal === modal)) {
+          const returnFocus = document.activeElement;
+          const card = returnFocus && returnFocus.closest ? returnFocus.closest('.note-card') : null;
+          openDialogs.push({ modal, returnFocus, returnNoteId: card ? card.dataset.id : null });
+          modal.classList.add('show');
+          modal.setAttribute('aria-hidden', 'false');
+        }
+        if (focusTarget) {
+          focusTarget.focus();
+        } else if (!modal.contains(document.activeElement)) {
+          const first = getFocusableElements(modal)[0];
+          (first || modal.querySelector('.modal-content')).focus();
+        }
+      }
+
+      /**
+       * Hide a modal dialog and give focus back to where it was before the
+       * dialog opened.  If that element has since been re-rendered (a
+       * note card after pinning, say) the note's new card is focused.
+       * @param {HTMLElement} modal Element with the `modal` class
+       */
+      function closeDialog(modal) {
+        modal.classList.remove('show');
+        modal.setAttribute('aria-hidden', 'true');
+        const index = openDialogs.findIndex((entry) => entry.modal === modal);
+        if (index === -1) return;
+        const [entry] = openDialogs.splice(index, 1);
+        // leave focus alone if something else (another dialog) has it
+        const active = document.activeElement;
+        if (active && active !== document.body && !modal.contains(active)) return;
+        let restored = false;
+        const { returnFocus } = entry;
+        if (returnFocus && returnFocus !== document.body && document.contains(returnFocus)) {
+          returnFocus.focus();
+          restored = true;
+        } else if (entry.returnNoteId) {
+          restored = focusNoteCard(entry.returnNoteId);
+        }
+        if (!restored && modal.contains(active)) active.blur();
+      }
+
+      /**
+       * Keep Tab and Shift+Tab inside the topmost open dialog, wrapping
+       * from the last focusable element to the first and back.
+       * @param {KeyboardEvent} e Tab key event
+       */
+      function trapFocus(e) {
+        const { modal } = openDialogs[openDialogs.length - 1];
+        const focusable = getFocusableElements(modal);
+        if (!focusable.length) {
+          e.preventDefault();
+          return;
+        }
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const active = document.activeElement;
+        if (e.shiftKey && (active === first || !modal.contains(active))) {
+          e.preventDefault();
+          last.focus();
+        } else if (!e.shiftKey && (active === last || !modal.contains(active))) {
+          e.preventDefault();
+          first.focus();
+        }
+      }
+
+      /**
+       * Whether keys typed at an element belong to it as text, in which
+       * case single-key shortcuts must leave them alone.
+       * @param {Element} target Element receiving the key
+       */
+      function isTextField(target) {
+        return (
+          target.isContentEditable ||
+          (target.tagName === 'INPUT' && target.type !== 'checkbox') ||
+          target.tagName === 'TEXTAREA' ||
+          target.tagName === 'SELECT'
+        );
+      }
+
+      /**
+       * Every note card currently in the grid, pinned section first, in
+       * the order they are shown.
+       * @returns {HTMLElement[]}
+       */
+      function getNoteCards() {
+        return Array.from(document.querySelectorAll('.notes-wrapper .note-card'));
+      }
+
+      /**
+       * The card holding keyboard focus (or containing the focused
+       * element), if any.
+       * @returns {HTMLElement|null}
+       */
+      function getFocusedCard() {
+        const active = document.activeElement;
+        return active && active.closest ? active.closest('.note-card') : null;
+      }
+
+      /**
+       * Give keyboard focus to a note's card.  Cards are rebuilt on every
+       * render, so shortcuts look the card up again after acting.
+       * @param {string} id Note identifier
+       * @returns {boolean} Whether the card was found
+       */
+      function focusNoteCard(id) {
+        const card = getNoteCards().find((c) => c.dataset.id === id);
+        if (card) card.focus();
+        return Boolean(card);
+      }
+
+      /**
+       * Move focus to the next or previous card (j/k).  With no card
+       * focused, j starts at the first card and k at the last.
+       * @param {number} step 1 for the next card, -1 for the previous
+       */
+      function moveCardFocus(step) {
+        const cards = getNoteCards();
+        if (!cards.length) return;
+        const index = cards.indexOf(getFocusedCard());
+        let next;
+        if (index === -1) {
+          next = step > 0 ? 0 : cards.length - 1;
+        } else {
+          next = Math.min(Math.max(index + step, 0), cards.length - 1);
+        }
+        cards[next].focus();
+      }
+
+      /**
+       * Start writing a new note in the creation area, switching to the
+       * notes view (where the creation area lives) if necessary.
+       * @param {boolean} checklist Whether to start a checklist
+       */
+      function startNewNote(checklist) {
+        if (currentView !== 'notes' || activeLabel) setView('notes');
+        if (isChecklistMode !== checklist) toggleChecklist();
+        noteTitleInput.focus();
+      }
+
+      /**
+       * Act on the focused card with one of the e/p/#/x shortcuts.  Notes
+       * in the trash can only be ticked or deleted, which there means
+       * forever.
+       * @param {string} key Shortcut key
+       */
+      function runCardShortcut(key) {
+        const card = getFocusedCard();
+        if (!card) return;
+        const note = notes.find((n) => n.id === card.dataset.id);
+        if (!note) return;
+        if (key === 'x') {
+          selectNoteFromClick(note.id, !selectedNoteIds.has(note.id), false);
+        } else if (key === '#') {
+          // keep focus on whichever card moves into this one's place
+          const cards = getNoteCards();
+          const index = cards.indexOf(card);
+          const neighbour = cards[index + 1] || cards[index - 1];
+          if (note.deletedAt) {
+            if (!confirm('Delete this note forever?')) return;
+            deleteNoteById(note.id);
+          } else {
+            trashNoteById(note.id);
+          }
+          if (neighbour) focusNoteCard(neighbour.dataset.id);
+        } else if (note.deletedAt) {
+          return;
+        } else if (key === 'e') {
+          openEditModal(note.id);
+        } else if (key === 'p') {
+          togglePinned(note.id);
+          focusNoteCard(note.id);
+        }
+      }
+
+      /**
+       * Move a note one place earlier or later among the cards in its
+       * section (Alt+Arrow keys), the keyboard alternative to dragging.
+       * @param {string} id Note identifier
+       * @param {number} step -1 to move earlier, 1 to move later
+       */
+      function moveNoteByKeyboard(id, step) {
+        const blocker = getReorderBlocker();
+        if (blocker) {
+          announce(blocker);
+          return;
+        }
+        const card = getNoteCards().find((c) => c.dataset.id === id);
+        const note = notes.find((n) => n.id === id);
+        if (!card || !note) return;
+        const siblings = Array.from(card.parentElement.querySelectorAll('.note-card'));
+        const neighbour = siblings[siblings.indexOf(card) + step];
+        if (!neighbour) {
+          announce(step < 0 ? 'Note is already first' : 'Note is already last');
+          return;
+        }
+        const place = step < 0 ? { beforeId: neighbour.dataset.id } : { afterId: neighbour.dataset.id };
+        moveNote(id, { ...place, pinned: note.pinned });
+        focusNoteCard(id);
+        announceNotePosition(id);
+      }
+
+      /**
+       * Close the topmost open dialog or overlay (Escape).
+       * @returns {boolean} Whether anything was closed
+       */
+      function closeTopmostDialog() {
+        if (!openDialogs.length) return false;
+        const closers = {
+          editModal: requestCloseEditModal,
+          viewModal: closeViewModal,
+          reminderModal: closeReminderModal,
+          importModal: closeImportModal,
+          paletteModal: closeCommandPalette,
+          shortcutsModal: closeShortcutsOverlay,
+          passphraseModal: () => closePassphraseDialog(),
+          lightboxModal: closeLightbox,
+          drawingModal: () => closeSketchPad(),
+          historyModal: closeHistoryModal,
+          unsavedModal: () => closeUnsavedPrompt(),
+          themeModal: closeThemeModal,
+          shareModal: closeShareModal,
+          sharedModal: closeSharedModal
+        };
+        closers[openDialogs[openDialogs.length - 1].modal.id]();
+        return true;
+      }
+
+      /**
+       * Document-wide keyboard shortcuts (see KEYBOARD_SHORTCUTS).  Single
+       * keys and Ctrl/Cmd+A only apply outside text fields and while no
+       * dialog is open; Escape and Ctrl/Cmd+K work everywhere, and Tab
+       * stays inside an open dialog.
+       * @param {KeyboardEvent} e Key event
+       */
+      function handleShortcut(e) {
+        if (appLocked) return;
+        if (e.key === 'Tab' && openDialogs.length) {
+          trapFocus(e);
+          return;
+        }
+        if (e.key === 'Escape') {
+          if (cardDrag) {
+            endCardDrag(false);
+          } else if (openMenuEl) {
+            closeMenu();
+          } else if (closeTopmostDialog()) {
+            // the dialog was the thing to close
+          } else if (isTextField(e.target)) {
+            e.target.blur();
+          } else if (selectedNoteIds.size) {
+            clearSelection();
+          }
+          return;
+        }
+        const dialogOpen = openDialogs.length > 0;
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+          e.preventDefault();
+          if (paletteModal.classList.contains('show')) {
+            closeCommandPalette();
+          } else if (!dialogOpen) {
+            openCommandPalette();
+          }
+          return;
+        }
+        if (dialogOpen || openMenuEl || isTextField(e.target)) return;
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'a') {
+          e.preventDefault();
+          selectAllNotes();
+          return;
+        }
+        if (e.ctrlKey || e.metaKey) return;
+        if (e.altKey) {
+          const card = getFocusedCard();
+          const steps = { ArrowUp: -1, ArrowLeft: -1, ArrowDown: 1, ArrowRight: 1 };
+          if (card && steps[e.key]) {
+            e.preventDefault();
+            moveNoteByKeyboard(card.dataset.id, steps[e.key]);
+          }
+          return;
+        }
+        switch (e.key) {
+          case 'Enter':
+            // a focused card opens like "Read more"; buttons keep Enter
+            if (e.target.classList.contains('note-card')) {
+              e.preventDefault();
+              openViewModal(e.target.dataset.id);
+            }
+            break;
+          case '/':
+            e.preventDefault();
+            searchInput.focus();
+            searchInput.select();
+            break;
+          case 'c':
+          case 'l':
+            e.preventDefault();
+            startNewNote(e.key === 'l');
+            break;
+          case 'd':
+            e.preventDefault();
+            startNewDrawing();
+            break;
+          case 'j':
+            moveCardFocus(1);
+            break;
+          case 'k':
+            moveCardFocus(-1);
+            break;
+          case 'e':
+          case 'p':
+          case '#':
+          case 'x':
+            runCardShortcut(e.key);
+            break;
+          case '?':
+            openShortcutsOverlay();
+            break;
+          default:
+        }
+      }
+
+      /**
+       * Score how well a query matches some text when its characters
+       * appear in order but not necessarily together ("exmd" matches
+       * "Export Markdown").  Runs of adjacent characters and matches at
+       * the start of words score higher; shorter texts win ties.
+       * @param {string} query Text typed into the palette
+       * @param {string} text Candidate text
+       * @returns {number|null} Score, or null if the text does not match
+       */
+      function fuzzyScore(query, text) {
+        const q = query.toLowerCase();
+        const t = text.toLowerCase();
+        let score = 0;
+        let pos = 0;
+        let previous = -2;
+        for (const ch of q) {
+          if (ch === ' ') continue;
+          const found = t.indexOf(ch, pos);
+          if (found === -1) return null;
+          score += 1;
+          if (found === previous + 1) score += 2;
+          if (found === 0 || !/[\p{L}\p{N}]/u.test(t[found - 1])) score += 3;
+          previous = found;
+          pos = found + 1;
+        }
+        return score - t.length / 100;
+      }
+
+      /**
+       * Short one-line name for a note in the palette: its title, or the
+       * first line of its text (unless the note is locked), or what it
+       * holds if it is only images.
+       * @param {Object} note Note object
+       */
+      function describeNote(note) {
+        if (isNoteHidden(note)) return note.title || 'Locked note';
+        const firstLine = noteBodyText(note).trim().split('\n')[0];
+        if (note.title || firstLine) return note.title || firstLine;
+        if (note.attachments.some((a) => a.kind === 'drawing')) return 'Drawing';
+        return note.attachments.length ? 'Image' : 'Untitled note';
+      }
+
+      /**
+       * Everything the command palette can do.  Actions on a single note
+       * apply to the note that had focus (a card or the view modal) when
+       * the palette opened; without one, colour commands set the colour
+       * for the next new note instead.  Every note outside the trash is
+       * listed too, opening it in the view modal.
+       * @param {string|null} targetId Note the note actions apply to
+       * @returns {Object[]} Commands ({label, icon, hint, keywords, run})
+       */
+      function getPaletteCommands(targetId) {
+        const commands = [];
+        const target = notes.find((n) => n.id === targetId && !n.deletedAt);
+        const colourNames = Object.keys(COLOR_NAMES);
+        const titleCase = (name) => name.charAt(0).toUpperCase() + name.slice(1);
+        if (target) {
+          const name = describeNote(target);
+          commands.push(
+            {
+              label: target.pinned ? 'Unpin note' : 'Pin note',
+              icon: 'bi-pin-angle',
+              hint: 'p',
+              run: () => togglePinned(target.id)
+            },
+            { label: 'Edit note', icon: 'bi-pencil', hint: 'e', run: () => openEditModal(target.id) },
+            {
+              label: target.archived ? 'Unarchive note' : 'Archive note',
+              icon: 'bi-archive',
+              run: () => setNoteArchived(target.id, !target.archived)
+            },
+            { label: 'Move note to Trash', icon: 'bi-trash', hint: '#', run: () => trashNoteById(target.id) },
+            { label: 'Share note', icon: 'bi-share', keywords: 'link send', run: () => openShareModal(target.id) }
+          );
+          colourNames.forEach((colour) => {
+            if (COLOR_NAMES[colour] === target.color) return;
+            commands.push({
+              label: `Change note colour to ${titleCase(colour)}`,
+              icon: 'bi-palette',
+              run: () => setNoteColour(target.id, COLOR_NAMES[colour])
+            });
+          });
+          // the note name helps tell which note these apply to
+          commands.forEach((command) => {
+            command.detail = name;
+          });
+        }
+        const currentTheme = getTheme();
+        commands.push(
+          { label: 'New note', icon: 'bi-plus-lg', hint: 'c', run: () => startNewNote(false) },
+          { label: 'New checklist', icon: 'bi-check2-square', hint: 'l', run: () => startNewNote(true) },
+          { label: 'New drawing', icon: 'bi-brush', hint: 'd', keywords: 'sketch', run: startNewDrawing },
+          { label: 'Search notes', icon: 'bi-search', hint: '/', run: () => searchInput.focus() },
+          { label: 'Export backup (.json)', icon: 'bi-filetype-json', run: exportNotes },
+          {
+            label: 'Export password-protected backup (.json)',
+            icon: 'bi-file-earmark-lock',
+            keywords: 'encrypted',
+            run: exportEncryptedBackup
+          },
+          { label: 'Export Markdown files (.zip)', icon: 'bi-file-zip', run: exportMarkdownZip },
+          {
+            label: 'Import backup, Markdown, text or Takeout files',
+            icon: 'bi-file-earmark-arrow-up',
+            run: () => importFileInput.click()
+          },
+          {
+            label: 'Import Google Keep Takeout folder',
+            icon: 'bi-folder2-open',
+            run: () => keepFolderInput.click()
+          },
+          ...THEMES.filter((theme) => theme !== currentTheme).map((theme) => ({
+            label: `Use the ${themeLabel(theme)}`,
+            icon: THEME_ICONS[theme],
+            keywords: 'toggle theme dark light auto',
+            run: () => setTheme(theme)
+          })),
+          {
+            label: 'Edit theme colours and palettes',
+            icon: 'bi-sliders',
+            keywords: 'accent background card palette',
+            run: openThemeModal
+          },
+          { label: 'Go to Notes', icon: 'bi-lightbulb', run: () => setView('notes') },
+          { label: 'Go to Reminders', icon: 'bi-bell', run: () => setView('reminders') },
+          { label: 'Go to Archive', icon: 'bi-archive', run: () => setView('archive') },
+          { label: 'Go to Trash', icon: 'bi-trash', run: () => setView('trash') },
+          { label: 'Undo', icon: 'bi-arrow-counterclockwise', hint: 'Ctrl+Z', run: undo },
+          { label: 'Redo', icon: 'bi-arrow-clockwise', hint: 'Ctrl+Shift+Z', run: redo },
+          { label: 'Keyboard shortcuts', icon: 'bi-keyboard', hint: '?', run: openShortcutsOverlay }
+        );
+        if (vault) {
+          commands.push({ label: 'Lock Simple Keep', icon: 'bi-lock', keywords: 'passphrase', run: lockApp });
+        }
+        if (!target) {
+          colourNames.forEach((colour) => {
+            commands.push({
+              label: `New note colour: ${titleCase(colour)}`,
+              icon: 'bi-palette',
+              run: () => {
+                setCurrentColour(COLOR_NAMES[colour]);
+                startNewNote(isChecklistMode);
+              }
+            });
+          });
+        }
+        notes.forEach((note) => {
+          if (note.deletedAt) return;
+          commands.push({
+            label: describeNote(note),
+            icon: note.checklist ? 'bi-card-checklist' : 'bi-sticky',
+            detail: note.archived ? 'Archived' : '',
+            note,
+            run: () => openViewModal(note.id)
+          });
+        });
+        return commands;
+      }
+
+      /**
+       * Open the command palette (Ctrl/Cmd+K).
+       */
+      function openCommandPalette() {
+        const card = getFocusedCard();
+        paletteCommands = getPaletteCommands(card ? card.dataset.id : viewNoteId);
+        paletteInput.value = '';
+        renderPaletteResults();
+        openDialog(paletteModal, paletteInput);
+      }
+
+      /**
+       * Close the command palette and return focus to where it was.
+       */
+      function closeCommandPalette() {
+        closeDialog(paletteModal);
+        paletteResults.innerHTML = '';
+        paletteCommands = [];
+        paletteMatches = [];
+      }
+
+      /**
+       * Filter and rank the palette's commands by the text typed so far
+       * and list the best matches.  Notes match on their name or, less
+       * strongly, on any text they contain.
+       */
+      function renderPaletteResults() {
+        const query = paletteInput.value.trim();
+        const lowered = query.toLowerCase();
+        const ranked = [];
+        paletteCommands.forEach((command, order) => {
+          let score = query ? fuzzyScore(query, command.label) : 0;
+          if (score === null && command.keywords) score = fuzzyScore(query, command.keywords);
+          if (score === null && command.note && noteBodyText(command.note).toLowerCase().includes(lowered)) {
+            score = 0;
+          }
+          if (score !== null) ranked.push({ command, score, order });
+        });
+        ranked.sort((a, b) => b.score - a.score || a.order - b.order);
+        paletteMatches = ranked.slice(0, PALETTE_RESULT_LIMIT).map((r) => r.command);
+        paletteIndex = 0;
+        paletteResults.innerHTML = '';
+        paletteMatches.forEach((command, index) => {
+          const li = document.createElement('li');
+          li.id = `paletteOption${index}`;
+          li.className = 'palette-option';
+          li.setAttribute('role', 'option');
+          li.innerHTML = `<i class="bi ${command.icon}" aria-hidden="true"></i>`;
+          const label = document.createElement('span');
+          label.className = 'palette-label';
+          label.textContent = command.label;
+          li.appendChild(label);
+          if (command.detail) {
+            const detail = document.createElement('span');
+            detail.className = 'palette-detail';
+            detail.textContent = command.detail;
+            li.appendChild(detail);
+          }
+          if (command.hint) {
+            const hint = document.createElement('kbd');
+            hint.textContent = command.hint;
+            li.appendChild(hint);
+          }
+          // keep focus in the input while clicking an option
+          li.addEventListener('mousedown', (e) => e.preventDefault());
+          li.addEventListener('click', () => runPaletteCommand(index));
+          paletteResults.appendChild(li);
+        });
+        if (!paletteMatches.length) {
+          const empty = document.createElement('li');
+          empty.className = 'palette-empty';
+          empty.textContent = 'No matching notes or actions';
+          paletteResults.appendChild(empty);
+        }
+        selectPaletteOption(0);
+      }
+
+      /**
+       * Highlight one of the listed palette results.
+       * @param {number} index Position in the result list
        */
-      function deleteNoteById(id) {
-        notes = notes.filter((n) => n.id !== id);
-        saveNotes();
-        renderNotes();
-        // if editing, close modal
-        if (editNoteId === id) {
-          closeEditModal();
+      function selectPaletteOption(index) {
+        if (!paletteMatches.length) {
+          paletteInput.removeAttribute('aria-activedescendant');
+          return;
         }
+        paletteIndex = (index + paletteMatches.length) % paletteMatches.length;
+        paletteResults.querySelectorAll('.palette-option').forEach((li, i) => {
+          const selected = i === paletteIndex;
+          li.classList.toggle('selected', selected);
+          li.setAttribute('aria-selected', String(selected));
+          if (selected && li.scrollIntoView) li.scrollIntoView({ block: 'nearest' });
+        });
+        paletteInput.setAttribute('aria-activedescendant', `paletteOption${paletteIndex}`);
       }
 
       /**
-       * Save changes from the edit modal back into the notes array.  If
-       * the note no longer exists (deleted), nothing happens.
+       * Close the palette and run one of its listed results.
+       * @param {number} index Position in the result list
        */
-      function saveEditedNote() {
-        if (!editNoteId) return;
-        const note = notes.find((n) => n.id === editNoteId);
-        if (!note) return;
-        note.title = editTitleInput.value.trim();
-        if (note.checklist) {
-          // gather items from edit checklist
-          const items = [];
-          editChecklistContainer.querySelectorAll('li').forEach((li) => {
-            const textInput = li.querySelector('input[type="text"]');
-            const check = li.querySelector('input[type="checkbox"]');
-            const text = textInput.value.trim();
-            if (text) {
-              items.push({ text, checked: check.checked });
-            }
-          });
-          note.items = items;
-        } else {
-          note.content = editContentInput.value.trim();
-        }
-        saveNotes();
-        renderNotes();
-        closeEditModal();
+      function runPaletteCommand(index) {
+        const command = paletteMatches[index];
+        if (!command) return;
+        closeCommandPalette();
+        command.run();
       }
 
       /**
-       * Trigger a download of the current notes as a JSON file.  Users can then
-       * upload this file to any cloud storage provider (Google Drive, OneDrive,
-       * Dropbox, etc.) as a personal backup.
+       * Show the overlay listing every keyboard shortcut ("?").
        */
-      function exportNotes() {
-        const data = JSON.stringify(notes, null, 2);
-        const blob = new Blob([data], { type: 'application/json' });
-        const url = URL.createObjectURL(blob);
-        const link = document.createElement('a');
-        link.href = url;
-        const now = new Date();
-        const timestamp = now.toISOString().replace(/[:.]/g, '-');
-        link.download = `simple-keep-notes-${timestamp}.json`;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        URL.revokeObjectURL(url);
+      function openShortcutsOverlay() {
+        shortcutsList.innerHTML = '';
+        KEYBOARD_SHORTCUTS.forEach(({ keys, description }) => {
+          const dt = document.createElement('dt');
+          keys.forEach((key, i) => {
+            if (i) dt.appendChild(document.createTextNode(' / '));
+            const kbd = document.createElement('kbd');
+            kbd.textContent = key;
+            dt.appendChild(kbd);
+          });
+          const dd = document.createElement('dd');
+          dd.textContent = description;
+          shortcutsList.append(dt, dd);
+        });
+        openDialog(shortcutsModal, closeShortcutsBtn);
       }
 
       /**
-       * Handle importing notes from a JSON file.  Reads the selected file,
-       * parses it and replaces the current notes array.  This will overwrite
-       * any existing notes; users should be prompted to confirm before doing this.
-       * @param {Event} event Change event from file input
+       * Hide the keyboard shortcuts overlay.
        */
-      function handleImport(event) {
-        const file = event.target.files && event.target.files[0];
-        if (!file) return;
-        const reader = new FileReader();
-        reader.onload = (e) => {
-          try {
-            const imported = JSON.parse(e.target.result);
-            if (!Array.isArray(imported)) {
-              alert('Invalid backup file: expected an array of notes.');
-              return;
-            }
-            if (!confirm('Importing will replace your current notes. Continue?')) {
-              return;
-            }
-            notes = imported;
-            saveNotes();
-            renderNotes();
-          } catch (err) {
-            alert('Failed to import notes: ' + err.message);
-          }
-        };
-        reader.readAsText(file);
-        // reset the input so the same file can be selected again if needed
-        event.target.value = '';
+      function closeShortcutsOverlay() {
+        closeDialog(shortcutsModal);
       }
 
       /**
@@ -875,6 +8880,10 @@
         searchInput.addEventListener('input', () => {
           renderNotes();
         });
+        // a search is remembered once committed (Enter or leaving the box)
+        searchInput.addEventListener('change', () => {
+          rememberSearch(searchInput.value);
+        });
         // Add note button
         addNoteBtn.addEventListener('click', () => {
           addNote();
@@ -898,11 +8907,79 @@
           }
         });
         // Modal close by clicking on backdrop or X button
-        modalBackdrop.addEventListener('click', () => {
-          closeEditModal();
+        // drag handles reorder checklist items in both editors
+        initChecklistDrag(checklistContainer);
+        initChecklistDrag(editChecklistContainer);
+        modalBackdrop.addEventListener('click', requestCloseEditModal);
+        closeModalBtn.addEventListener('click', requestCloseEditModal);
+        unsavedBackdrop.addEventListener('click', () => closeUnsavedPrompt());
+        unsavedCancelBtn.addEventListener('click', () => closeUnsavedPrompt());
+        unsavedDiscardBtn.addEventListener('click', () => closeUnsavedPrompt('discard'));
+        unsavedSaveBtn.addEventListener('click', () => closeUnsavedPrompt('save'));
+        // keep drafts of what is typed into the creation area and the
+        // editor; the key and pointer events catch changes that fire no
+        // input event, such as indenting or reordering checklist items
+        ['input', 'change', 'keyup', 'pointerup'].forEach((type) => {
+          noteInputSection.addEventListener(type, scheduleDraftSave);
+          editModal.addEventListener(type, scheduleDraftSave);
         });
-        closeModalBtn.addEventListener('click', () => {
-          closeEditModal();
+        window.addEventListener('pagehide', () => {
+          releaseDrafts();
+          saveDrafts();
+        });
+        setInterval(touchDrafts, DRAFT_HEARTBEAT_MS);
+        // back from the back/forward cache: the drafts are this tab's again
+        window.addEventListener('pageshow', (e) => {
+          if (!e.persisted) return;
+          draftsReleased = false;
+          rewriteDrafts();
+        });
+        // replace unsaved edits with the version saved in another tab
+        editSyncReloadBtn.addEventListener('click', () => {
+          if (editNoteId) openEditModal(editNoteId);
+        });
+        editHistoryBtn.addEventListener('click', () => {
+          if (editNoteId) openHistoryModal(editNoteId);
+        });
+        historyBackdrop.addEventListener('click', closeHistoryModal);
+        closeHistoryBtn.addEventListener('click', closeHistoryModal);
+        historyRestoreBtn.addEventListener('click', restoreRevision);
+
+        // Theme editor: changes apply and are saved straight away
+        themeEditorBtn.addEventListener('click', openThemeModal);
+        themeBackdrop.addEventListener('click', closeThemeModal);
+        closeThemeBtn.addEventListener('click', closeThemeModal);
+        themeDoneBtn.addEventListener('click', closeThemeModal);
+        themeModal.querySelectorAll('input[name="themeMode"]').forEach((radio) => {
+          radio.addEventListener('change', () => setTheme(radio.value));
+        });
+        themeColourInputs.forEach((input) => {
+          // preview while the colour is being picked, save once it is chosen
+          input.addEventListener('input', () => setThemeColour(input.dataset.themeColour, input.value, false));
+          input.addEventListener('change', () => setThemeColour(input.dataset.themeColour, input.value, true));
+        });
+        resetThemeColoursBtn.addEventListener('click', resetThemeColours);
+        addPaletteBtn.addEventListener('click', addPalette);
+
+        // Sharing a note, and notes opened from share links
+        shareBackdrop.addEventListener('click', closeShareModal);
+        closeShareBtn.addEventListener('click', closeShareModal);
+        shareLinkInput.addEventListener('focus', () => shareLinkInput.select());
+        copyShareLinkBtn.addEventListener('click', () => {
+          copyText(shareLinkInput.value, 'Link copied');
+        });
+        copyShareTextBtn.addEventListener('click', () => {
+          const note = notes.find((n) => n.id === shareNoteId);
+          if (note) copyText(noteToPlainText(note), 'Note copied as text');
+        });
+        shareProtectToggle.addEventListener('change', setShareProtection);
+        nativeShareBtn.addEventListener('click', shareWithSystem);
+        sharedBackdrop.addEventListener('click', closeSharedModal);
+        closeSharedBtn.addEventListener('click', closeSharedModal);
+        saveSharedBtn.addEventListener('click', saveSharedNote);
+        openSharedCopyBtn.addEventListener('click', openSharedCopy);
+        window.addEventListener('hashchange', () => {
+          if (!appLocked) openSharedLink();
         });
 
         // View modal close handlers for Read More.  Dismiss the view modal
@@ -917,8 +8994,8 @@
         }
         // Delete note via modal
         deleteNoteBtn.addEventListener('click', () => {
-          if (editNoteId && confirm('Delete this note?')) {
-            deleteNoteById(editNoteId);
+          if (editNoteId) {
+            trashNoteById(editNoteId);
           }
         });
         // Save note via modal
@@ -926,73 +9003,689 @@
           saveEditedNote();
         });
 
+        // Sidebar: switch views (clearing any label filter) and toggle
+        // hashtag promotion
+        viewButtons.forEach((btn) => {
+          btn.addEventListener('click', () => {
+            setView(btn.dataset.view);
+          });
+        });
+        hashtagLabelsToggle.addEventListener('change', () => {
+          settings.hashtagLabels = hashtagLabelsToggle.checked;
+          saveSettings();
+        });
+        markdownToggle.addEventListener('change', () => {
+          settings.markdown = markdownToggle.checked;
+          saveSettings();
+          renderNotes();
+        });
+        saveOnCloseToggle.addEventListener('change', () => {
+          settings.saveOnClose = saveOnCloseToggle.checked;
+          saveSettings();
+        });
+
+        // Passphrase lock: lock screen, passphrase dialog and settings
+        unlockForm.addEventListener('submit', submitUnlock);
+        passphraseForm.addEventListener('submit', submitPassphrase);
+        passphraseBackdrop.addEventListener('click', () => closePassphraseDialog());
+        closePassphraseBtn.addEventListener('click', () => closePassphraseDialog());
+        lockSetupBtn.addEventListener('click', () => {
+          if (vault) disableLock();
+          else enableLock();
+        });
+        lockNowBtn.addEventListener('click', lockApp);
+        changePassphraseBtn.addEventListener('click', changePassphrase);
+        autoLockSelect.addEventListener('change', () => {
+          settings.autoLockMinutes = Number(autoLockSelect.value);
+          saveSettings();
+        });
+
+        // Global undo/redo.  Inside text fields the browser's own text undo
+        // takes precedence, and in the sketch pad Ctrl+Z undoes a stroke.
+        // Other dialogs show notes as they are, so undo waits until they
+        // close.
+        document.addEventListener('keydown', (e) => {
+          if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+          if (appLocked || isTextField(e.target)) return;
+          const key = e.key.toLowerCase();
+          if (sketch) {
+            if (key === 'z' && !e.shiftKey) {
+              e.preventDefault();
+              undoSketch();
+            }
+            return;
+          }
+          if (openDialogs.length) return;
+          if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            undo();
+          } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            redo();
+          }
+        });
+
+        // Reminder dialog
+        reminderModalBackdrop.addEventListener('click', closeReminderModal);
+        closeReminderModalBtn.addEventListener('click', closeReminderModal);
+        saveReminderBtn.addEventListener('click', () => {
+          const note = notes.find((n) => n.id === reminderNoteId);
+          if (!note) return;
+          const reminder = readReminderFields(
+            note.reminder,
+            reminderDateInput,
+            reminderTimeInput,
+            reminderRepeatSelect
+          );
+          setNoteReminder(note.id, reminder);
+          closeReminderModal();
+        });
+        removeReminderBtn.addEventListener('click', () => {
+          if (reminderNoteId) setNoteReminder(reminderNoteId, null);
+          closeReminderModal();
+        });
+
+        // Import dialog
+        importModalBackdrop.addEventListener('click', closeImportModal);
+        closeImportModalBtn.addEventListener('click', closeImportModal);
+
+        // Images: chosen with the picker, pasted or dropped into either
+        // editor.  Drawings are made on the sketch pad.
+        addImageBtn.addEventListener('click', () => noteImageInput.click());
+        editImageBtn.addEventListener('click', () => editImageInput.click());
+        noteImageInput.addEventListener('change', () => {
+          attachImages(getImageFiles(noteImageInput.files), currentAttachments, noteAttachmentsEl);
+          noteImageInput.value = '';
+        });
+        editImageInput.addEventListener('change', () => {
+          attachImages(getImageFiles(editImageInput.files), editAttachments, editAttachmentsEl);
+          editImageInput.value = '';
+        });
+        initImageDrop(noteInputSection, currentAttachments, noteAttachmentsEl);
+        initImageDrop(editModal.querySelector('.modal-content'), editAttachments, editAttachmentsEl);
+        newDrawingBtn.addEventListener('click', startNewDrawing);
+        editDrawingBtn.addEventListener('click', () => {
+          openSketchPad(null, (drawing) => {
+            editAttachments.push(drawing);
+            renderAttachmentEditor(editAttachmentsEl, editAttachments);
+          });
+        });
+
+        // Lightbox: the arrow buttons and keys step through the images
+        lightboxBackdrop.addEventListener('click', closeLightbox);
+        closeLightboxBtn.addEventListener('click', closeLightbox);
+        lightboxPrevBtn.addEventListener('click', () => showLightboxImage(lightboxIndex - 1));
+        lightboxNextBtn.addEventListener('click', () => showLightboxImage(lightboxIndex + 1));
+        lightboxModal.addEventListener('keydown', (e) => {
+          if (e.key === 'ArrowLeft') showLightboxImage(lightboxIndex - 1);
+          else if (e.key === 'ArrowRight') showLightboxImage(lightboxIndex + 1);
+        });
+
+        // Sketch pad
+        drawingCanvas.addEventListener('pointerdown', onSketchPointerDown);
+        drawingCanvas.addEventListener('pointermove', onSketchPointerMove);
+        drawingCanvas.addEventListener('pointerup', onSketchPointerUp);
+        drawingCanvas.addEventListener('pointercancel', onSketchPointerUp);
+        drawPenBtn.addEventListener('click', () => {
+          sketch.tool = 'pen';
+          renderSketchTools();
+        });
+        drawEraserBtn.addEventListener('click', () => {
+          sketch.tool = 'eraser';
+          renderSketchTools();
+        });
+        drawUndoBtn.addEventListener('click', undoSketch);
+        drawClearBtn.addEventListener('click', clearSketch);
+        drawingDoneBtn.addEventListener('click', finishSketch);
+        drawingBackdrop.addEventListener('click', () => closeSketchPad());
+        closeDrawingBtn.addEventListener('click', () => closeSketchPad());
+
+        // "New version available" banner: the Reload button is wired up
+        // by showUpdateBanner()
+        dismissUpdateBtn.addEventListener('click', () => {
+          updateBanner.hidden = true;
+        });
+
+        // Trash settings: retention period and emptying
+        trashDaysInput.addEventListener('change', () => {
+          const days = parseInt(trashDaysInput.value, 10);
+          if (Number.isFinite(days) && days >= 1) {
+            settings.trashRetentionDays = Math.min(days, 365);
+            saveSettings();
+          }
+          trashDaysInput.value = settings.trashRetentionDays;
+        });
+        emptyTrashBtn.addEventListener('click', () => {
+          emptyTrash();
+        });
+        clearSelectionBtn.addEventListener('click', clearSelection);
+
         // Export and import buttons
         if (exportNotesBtn) {
-          exportNotesBtn.addEventListener('click', () => {
-            exportNotes();
+          exportNotesBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            openMenu(exportNotesBtn, [
+              { label: 'Backup (.json)', icon: 'bi-filetype-json', action: exportNotes },
+              {
+                label: 'Password-protected backup (.json)',
+                icon: 'bi-file-earmark-lock',
+                action: exportEncryptedBackup
+              },
+              { label: 'Markdown files (.zip)', icon: 'bi-file-zip', action: exportMarkdownZip }
+            ]);
           });
         }
+        // Close popup menus on any outside click (Escape is handled with
+        // the other shortcuts below)
+        document.addEventListener('click', (e) => {
+          if (openMenuEl && !openMenuEl.contains(e.target)) closeMenu();
+        });
         if (importNotesBtn && importFileInput) {
-          importNotesBtn.addEventListener('click', () => {
-            // trigger file selection dialog
-            importFileInput.click();
+          importNotesBtn.addEventListener('click', (e) => {
+            e.stopPropagation();
+            // offer the file picker or, for Google Keep, a folder picker
+            openMenu(importNotesBtn, [
+              {
+                label: 'Backup, Markdown, text or Takeout files',
+                icon: 'bi-file-earmark-arrow-up',
+                action: () => importFileInput.click()
+              },
+              {
+                label: 'Google Keep Takeout folder',
+                icon: 'bi-folder2-open',
+                action: () => keepFolderInput.click()
+              }
+            ]);
           });
           importFileInput.addEventListener('change', handleImport);
+          keepFolderInput.addEventListener('change', (e) => {
+            const files = Array.from(e.target.files || []);
+            e.target.value = '';
+            if (files.length) importKeepTakeout(files);
+          });
         }
 
-        // Drag-and-drop listeners on containers for ordering
-        pinnedNotesDiv.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          e.dataTransfer.dropEffect = 'move';
-        });
-        pinnedNotesDiv.addEventListener('drop', (e) => {
-          e.preventDefault();
-          if (draggedNoteId) {
-            reorderToEnd(draggedNoteId, true);
+        // Keyboard shortcuts, the command palette and the shortcuts overlay
+        document.addEventListener('keydown', handleShortcut);
+        paletteInput.addEventListener('input', renderPaletteResults);
+        paletteInput.addEventListener('keydown', (e) => {
+          if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            selectPaletteOption(paletteIndex + (e.key === 'ArrowDown' ? 1 : -1));
+          } else if (e.key === 'Enter') {
+            e.preventDefault();
+            runPaletteCommand(paletteIndex);
           }
         });
-        notesContainer.addEventListener('dragover', (e) => {
-          e.preventDefault();
-          e.dataTransfer.dropEffect = 'move';
+        paletteBackdrop.addEventListener('click', closeCommandPalette);
+        shortcutsBackdrop.addEventListener('click', closeShortcutsOverlay);
+        closeShortcutsBtn.addEventListener('click', closeShortcutsOverlay);
+
+        // Dragging note cards: pointerdown on a card arms a drag (see
+        // onCardPointerDown()); the rest of the gesture can happen anywhere
+        document.addEventListener('pointermove', onCardPointerMove);
+        document.addEventListener('pointerup', (e) => {
+          if (cardDrag && e.pointerId === cardDrag.pointerId) endCardDrag(true);
         });
-        notesContainer.addEventListener('drop', (e) => {
-          e.preventDefault();
-          if (draggedNoteId) {
-            reorderToEnd(draggedNoteId, false);
-          }
+        document.addEventListener('pointercancel', (e) => {
+          if (cardDrag && e.pointerId === cardDrag.pointerId) endCardDrag(false);
         });
       }
 
       /**
-       * Initialise the dark/light theme toggle.  Reads the user's saved
-       * preference from localStorage and applies the appropriate mode.  The
-       * button icon is updated to reflect the alternate state (sun for
-       * light mode, moon for dark mode).  Clicking the toggle saves the
-       * new preference and updates the UI immediately.
+       * Initialise the theme: apply the saved choice (light, dark or, by
+       * default, the same as the system) with the colours from the theme
+       * editor, follow the system setting live while the theme is
+       * automatic, and let the header button step through the choices.
        */
       function initThemeToggle() {
+        loadAppearance();
+        if (window.matchMedia) {
+          systemDarkQuery = window.matchMedia('(prefers-color-scheme: dark)');
+          const onSystemChange = () => {
+            if (getTheme() === 'auto') applyTheme();
+          };
+          // older Safari only offers the deprecated addListener()
+          if (systemDarkQuery.addEventListener) {
+            systemDarkQuery.addEventListener('change', onSystemChange);
+          } else if (systemDarkQuery.addListener) {
+            systemDarkQuery.addListener(onSystemChange);
+          }
+        }
+        applyTheme();
         if (!themeToggleBtn) return;
-        // helper to apply a theme and update the toggle icon
-        function applyTheme(theme) {
-          const isDark = theme === 'dark';
-          document.body.classList.toggle('dark-mode', isDark);
-          // set icon: sun when dark, moon when light
-          themeToggleBtn.innerHTML = isDark
-            ? '<i class="bi bi-sun"></i>'
-            : '<i class="bi bi-moon"></i>';
-        }
-        // read stored preference
-        const stored = localStorage.getItem('simpleKeepTheme');
-        const initialTheme = stored === 'dark' ? 'dark' : 'light';
-        applyTheme(initialTheme);
-        // listen for clicks to toggle theme
         themeToggleBtn.addEventListener('click', () => {
-          const currentDark = document.body.classList.contains('dark-mode');
-          const newTheme = currentDark ? 'light' : 'dark';
-          applyTheme(newTheme);
-          localStorage.setItem('simpleKeepTheme', newTheme);
-          // re-render notes so their backgrounds and accents update with the new theme
-          renderNotes();
+          setTheme(nextTheme(getTheme()));
+        });
+      }
+
+      /**
+       * The saved theme choice: 'light', 'dark' or 'auto' (the default),
+       * which follows the system.
+       */
+      function getTheme() {
+        const stored = localStorage.getItem(THEME_KEY);
+        return THEMES.includes(stored) ? stored : 'auto';
+      }
+
+      /**
+       * The choice after a theme in the toggle button's cycle.
+       * @param {string} theme 'light', 'dark' or 'auto'
+       */
+      function nextTheme(theme) {
+        return THEMES[(THEMES.indexOf(theme) + 1) % THEMES.length];
+      }
+
+      /**
+       * Readable name of a theme choice.
+       * @param {string} theme 'light', 'dark' or 'auto'
+       */
+      function themeLabel(theme) {
+        return { light: 'light theme', dark: 'dark theme', auto: 'system theme' }[theme];
+      }
+
+      /**
+       * Whether the page is showing the light or the dark theme.
+       * @returns {string} 'light' or 'dark'
+       */
+      function currentThemeMode() {
+        return document.body.classList.contains('dark-mode') ? 'dark' : 'light';
+      }
+
+      /**
+       * Save and apply a theme choice.
+       * @param {string} theme 'light', 'dark' or 'auto'
+       */
+      function setTheme(theme) {
+        localStorage.setItem(THEME_KEY, theme);
+        applyTheme();
+        announce(theme === 'auto' ? 'Theme follows the system' : `Switched to the ${themeLabel(theme)}`);
+      }
+
+      /**
+       * Apply the saved theme: turn dark mode on or off, set the theme
+       * editor's colours for it and update the toggle button, whose icon
+       * shows the choice a click switches to (as it always has).  Notes
+       * are drawn again when dark mode changes, as their colours are shown
+       * differently there.
+       */
+      function applyTheme() {
+        const theme = getTheme();
+        const dark = theme === 'dark' || (theme === 'auto' && Boolean(systemDarkQuery && systemDarkQuery.matches));
+        const changed = dark !== document.body.classList.contains('dark-mode');
+        document.body.classList.toggle('dark-mode', dark);
+        applyThemeColours();
+        if (themeToggleBtn) {
+          const next = nextTheme(theme);
+          themeToggleBtn.innerHTML = `<i class="bi ${THEME_ICONS[next]}" aria-hidden="true"></i>`;
+          themeToggleBtn.title = `Switch to the ${themeLabel(next)} (now using the ${themeLabel(theme)})`;
+          themeToggleBtn.setAttribute('aria-label', `Switch to the ${themeLabel(next)}`);
+        }
+        if (themeModal && themeModal.classList.contains('show')) renderThemeEditor();
+        if (changed) renderNotes();
+      }
+
+      /**
+       * Set the colours chosen in the theme editor for the theme on screen
+       * as CSS variables on the page, or clear them to fall back on
+       * style.css.  A custom accent also sets its hover shade and the text
+       * colour of buttons filled with it.
+       */
+      function applyThemeColours() {
+        const { accent, background, card } = appearance.themeColors[currentThemeMode()];
+        const values = {
+          '--primary-btn-bg': accent,
+          '--primary-btn-hover': accent && shadeColour(accent, 0.85),
+          '--primary-btn-color': accent && readableTextColour(accent),
+          '--link-color': accent,
+          '--bg-color': background,
+          '--card-bg': card
+        };
+        Object.entries(values).forEach(([name, value]) => {
+          if (value) document.body.style.setProperty(name, value);
+          else document.body.style.removeProperty(name);
+        });
+      }
+
+      /**
+       * Darken (factor below 1) or lighten a colour.
+       * @param {string} hex Colour as #RRGGBB
+       * @param {number} factor Multiplier for each channel
+       * @returns {string} Colour as #rrggbb
+       */
+      function shadeColour(hex, factor) {
+        return '#' + [1, 3, 5]
+          .map((i) => Math.min(255, Math.round(parseInt(hex.slice(i, i + 2), 16) * factor)))
+          .map((channel) => channel.toString(16).padStart(2, '0'))
+          .join('');
+      }
+
+      /**
+       * Dark or white text, whichever reads better on a background colour.
+       * @param {string} hex Background colour as #RRGGBB
+       */
+      function readableTextColour(hex) {
+        const [r, g, b] = [1, 3, 5].map((i) => parseInt(hex.slice(i, i + 2), 16));
+        return (0.299 * r + 0.587 * g + 0.114 * b) / 255 > 0.6 ? '#202124' : '#FFFFFF';
+      }
+
+      /**
+       * Read the theme colours and note palettes from localStorage.
+       */
+      function loadAppearance() {
+        let stored = null;
+        try {
+          stored = JSON.parse(localStorage.getItem(APPEARANCE_KEY));
+        } catch (err) {
+          console.warn('Ignoring unreadable theme colours:', err);
+        }
+        appearance = sanitiseAppearance(stored);
+      }
+
+      /**
+       * Persist the theme colours and note palettes into localStorage.
+       */
+      function saveAppearance() {
+        localStorage.setItem(APPEARANCE_KEY, JSON.stringify(appearance));
+      }
+
+      /**
+       * Check theme colours and palettes read from storage or a backup,
+       * keeping what is well formed: #RRGGBB accent, background and card
+       * colours for each theme, and named palettes of up to
+       * PALETTE_COLOR_LIMIT distinct colours.
+       * @param {*} data Parsed appearance settings
+       * @returns {{themeColors: Object, palettes: Object[]}} Clean settings
+       */
+      function sanitiseAppearance(data) {
+        const isColour = (value) => typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value);
+        const source = data && typeof data === 'object' ? data : {};
+        const themeColors = {};
+        Object.keys(THEME_DEFAULTS).forEach((mode) => {
+          const colours = (source.themeColors && source.themeColors[mode]) || {};
+          themeColors[mode] = {};
+          Object.keys(THEME_DEFAULTS[mode]).forEach((key) => {
+            if (isColour(colours[key])) themeColors[mode][key] = colours[key].toUpperCase();
+          });
+        });
+        const palettes = (Array.isArray(source.palettes) ? source.palettes : [])
+          .filter((palette) => palette && typeof palette.id === 'string' &&
+            typeof palette.name === 'string' && palette.name.trim() && Array.isArray(palette.colors))
+          .map((palette) => ({
+            id: palette.id,
+            name: palette.name.trim(),
+            colors: [...new Set(palette.colors.filter(isColour).map((color) => color.toUpperCase()))]
+              .slice(0, PALETTE_COLOR_LIMIT)
+          }));
+        return { themeColors, palettes };
+      }
+
+      /**
+       * Take the theme colours and palettes of an imported backup.  Its
+       * colours replace those of each theme it has colours for; its
+       * palettes are added, replacing any with the same id.
+       * @param {Object} imported Settings from sanitiseAppearance()
+       */
+      function useBackupAppearance(imported) {
+        Object.entries(imported.themeColors).forEach(([mode, colours]) => {
+          if (Object.keys(colours).length) appearance.themeColors[mode] = { ...colours };
+        });
+        imported.palettes.forEach((palette) => {
+          const index = appearance.palettes.findIndex((p) => p.id === palette.id);
+          if (index === -1) appearance.palettes.push(palette);
+          else appearance.palettes[index] = palette;
+        });
+        saveAppearance();
+        applyThemeColours();
+      }
+
+      /**
+       * Open the theme editor.
+       */
+      function openThemeModal() {
+        renderThemeEditor();
+        openDialog(themeModal, themeModal.querySelector('input[name="themeMode"]:checked'));
+      }
+
+      /**
+       * Close the theme editor.  Changes are saved as they are made.
+       */
+      function closeThemeModal() {
+        closeDialog(themeModal);
+      }
+
+      /**
+       * Fill the theme editor from the saved settings: the theme choice,
+       * the colours of the theme on screen and the palettes.
+       */
+      function renderThemeEditor() {
+        const mode = currentThemeMode();
+        const theme = getTheme();
+        themeModal.querySelectorAll('input[name="themeMode"]').forEach((radio) => {
+          radio.checked = radio.value === theme;
+        });
+        themeColoursLegend.textContent = `Colours of the ${mode} theme`;
+        themeColourInputs.forEach((input) => {
+          const key = input.dataset.themeColour;
+          input.value = (appearance.themeColors[mode][key] || THEME_DEFAULTS[mode][key]).toLowerCase();
+        });
+        resetThemeColoursBtn.disabled = !Object.keys(appearance.themeColors[mode]).length;
+        renderPaletteList();
+      }
+
+      /**
+       * Change one colour of the theme on screen.
+       * @param {string} key 'accent', 'background' or 'card'
+       * @param {string} value Colour as #rrggbb
+       * @param {boolean} save Whether to save it (false while previewing)
+       */
+      function setThemeColour(key, value, save) {
+        appearance.themeColors[currentThemeMode()][key] = value.toUpperCase();
+        applyThemeColours();
+        resetThemeColoursBtn.disabled = false;
+        if (save) saveAppearance();
+      }
+
+      /**
+       * Go back to the standard colours of the theme on screen.
+       */
+      function resetThemeColours() {
+        appearance.themeColors[currentThemeMode()] = {};
+        saveAppearance();
+        applyThemeColours();
+        renderThemeEditor();
+        themeColourInputs[0].focus();
+        announce('Theme colours reset');
+      }
+
+      /**
+       * List the user's palettes in the theme editor, each with its name,
+       * its colours (clicking one removes it), a colour to add and a
+       * button deleting the palette.
+       */
+      function renderPaletteList() {
+        paletteList.innerHTML = '';
+        if (!appearance.palettes.length) {
+          const empty = document.createElement('li');
+          empty.className = 'palette-empty';
+          empty.textContent = 'No palettes yet.  The colours of your palettes are offered whenever you colour a note.';
+          paletteList.appendChild(empty);
+        }
+        appearance.palettes.forEach((palette) => {
+          const item = document.createElement('li');
+          item.className = 'palette-item';
+          item.dataset.paletteId = palette.id;
+          const header = document.createElement('div');
+          header.className = 'palette-header';
+          const nameInput = document.createElement('input');
+          nameInput.type = 'text';
+          nameInput.className = 'palette-name';
+          nameInput.value = palette.name;
+          nameInput.maxLength = 40;
+          nameInput.setAttribute('aria-label', 'Palette name');
+          nameInput.addEventListener('change', () => {
+            palette.name = nameInput.value.trim() || palette.name;
+            nameInput.value = palette.name;
+            saveAppearance();
+          });
+          const deleteBtn = createIconButton(`Delete palette ${palette.name}`, 'bi-trash3');
+          deleteBtn.classList.add('icon-btn');
+          deleteBtn.addEventListener('click', () => deletePalette(palette.id));
+          header.append(nameInput, deleteBtn);
+          const swatches = document.createElement('div');
+          swatches.className = 'colour-swatches';
+          palette.colors.forEach((color) => {
+            const swatch = document.createElement('button');
+            swatch.className = 'color-btn';
+            swatch.style.backgroundColor = color;
+            swatch.title = `Remove ${color} from the palette`;
+            swatch.setAttribute('aria-label', swatch.title);
+            swatch.addEventListener('click', () => {
+              palette.colors = palette.colors.filter((c) => c !== color);
+              saveAppearance();
+              renderPaletteList();
+              focusPaletteControl(palette.id, '.palette-add');
+            });
+            swatches.appendChild(swatch);
+          });
+          const colourInput = document.createElement('input');
+          colourInput.type = 'color';
+          colourInput.className = 'palette-new-colour';
+          colourInput.setAttribute('aria-label', `Colour to add to ${palette.name}`);
+          const addBtn = createIconButton('Add colour', 'bi-plus-lg');
+          addBtn.classList.add('icon-btn', 'palette-add');
+          addBtn.disabled = palette.colors.length >= PALETTE_COLOR_LIMIT;
+          addBtn.addEventListener('click', () => {
+            const color = colourInput.value.toUpperCase();
+            if (palette.colors.includes(color)) return;
+            palette.colors.push(color);
+            saveAppearance();
+            renderPaletteList();
+            focusPaletteControl(palette.id, '.palette-new-colour');
+          });
+          swatches.append(colourInput, addBtn);
+          item.append(header, swatches);
+          paletteList.appendChild(item);
+        });
+      }
+
+      /**
+       * Focus a control of a palette after its list item was redrawn.
+       * @param {string} id Palette id
+       * @param {string} selector Selector of the control in the item
+       */
+      function focusPaletteControl(id, selector) {
+        const item = Array.from(paletteList.children).find((li) => li.dataset.paletteId === id);
+        const control = item && item.querySelector(selector);
+        if (control && !control.disabled) control.focus();
+        else if (item) item.querySelector('.palette-name').focus();
+      }
+
+      /**
+       * Start a new, empty palette and focus its name.
+       */
+      function addPalette() {
+        const palette = { id: generateId(), name: `Palette ${appearance.palettes.length + 1}`, colors: [] };
+        appearance.palettes.push(palette);
+        saveAppearance();
+        renderPaletteList();
+        focusPaletteControl(palette.id, '.palette-name');
+        paletteList.querySelector(`[data-palette-id="${palette.id}"] .palette-name`).select();
+      }
+
+      /**
+       * Delete one of the user's palettes after confirmation.  Notes keep
+       * the colours they have.
+       * @param {string} id Palette id
+       */
+      function deletePalette(id) {
+        const palette = appearance.palettes.find((p) => p.id === id);
+        if (!palette) return;
+        if (!confirm(`Delete the palette "${palette.name}"?  Notes keep their colours.`)) return;
+        appearance.palettes = appearance.palettes.filter((p) => p !== palette);
+        saveAppearance();
+        renderPaletteList();
+        addPaletteBtn.focus();
+      }
+
+      /**
+       * Register the service worker that makes the app work offline (see
+       * sw.js).  When a new version has been installed behind the running
+       * one, the update banner offers to reload into it.  Service workers
+       * need http(s), so opening index.html from disk skips this.
+       */
+      function registerServiceWorker() {
+        if (!('serviceWorker' in navigator) || location.protocol === 'file:') return;
+        navigator.serviceWorker
+          .register('sw.js')
+          .then((registration) => {
+            // an update may already be waiting from an earlier visit
+            if (registration.waiting && navigator.serviceWorker.controller) {
+              showUpdateBanner(registration.waiting);
+            }
+            registration.addEventListener('updatefound', () => {
+              const worker = registration.installing;
+              if (!worker) return;
+              worker.addEventListener('statechange', () => {
+                // without a controller this is the first install, not an update
+                if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                  showUpdateBanner(worker);
+                }
+              });
+            });
+          })
+          .catch((err) => console.warn('Service worker registration failed:', err));
+        // a reminder notification was clicked (see notifyReminder())
+        navigator.serviceWorker.addEventListener('message', (e) => {
+          if (!e.data || e.data.type !== 'OPEN_NOTE' || appLocked) return;
+          openViewModal(e.data.noteId);
+        });
+        // reload once the new worker has taken over, but only in the tab
+        // where the user asked for it
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+          if (!updateRequested) return;
+          updateRequested = false;
+          location.reload();
+        });
+      }
+
+      /**
+       * Show the "new version available" banner for a waiting service
+       * worker.  Reloading tells the worker to activate; the page reloads
+       * when it takes control.
+       * @param {ServiceWorker} worker Installed worker waiting to activate
+       */
+      function showUpdateBanner(worker) {
+        updateBanner.hidden = false;
+        reloadAppBtn.onclick = () => {
+          updateRequested = true;
+          reloadAppBtn.disabled = true;
+          worker.postMessage({ type: 'SKIP_WAITING' });
+        };
+      }
+
+      /**
+       * Offer an Install button in the header where the browser supports
+       * installing the app, and hide it again once installed.
+       */
+      function initInstallPrompt() {
+        window.addEventListener('beforeinstallprompt', (e) => {
+          // keep the prompt for our own button instead of the browser's mini-infobar
+          e.preventDefault();
+          deferredInstallPrompt = e;
+          installAppBtn.hidden = false;
+        });
+        installAppBtn.addEventListener('click', () => {
+          if (!deferredInstallPrompt) return;
+          deferredInstallPrompt.prompt();
+          deferredInstallPrompt.userChoice.finally(() => {
+            deferredInstallPrompt = null;
+            installAppBtn.hidden = true;
+          });
+        });
+        window.addEventListener('appinstalled', () => {
+          deferredInstallPrompt = null;
+          installAppBtn.hidden = true;
         });
       }
 
@@ -1000,10 +9693,11 @@
        * Entry point: initialise the app.  Load notes, set up event listeners
        * and render the initial view.
        */
-      function init() {
+      async function init() {
         try {
           // assign DOM references now that the DOM is fully loaded
           searchInput = document.getElementById('searchInput');
+          searchSuggestions = document.getElementById('searchSuggestions');
           noteTitleInput = document.getElementById('noteTitle');
           noteContentInput = document.getElementById('noteContent');
           noteInputSection = document.getElementById('noteInput');
@@ -1022,12 +9716,16 @@
           editTitleInput = document.getElementById('editTitle');
           editContentInput = document.getElementById('editContent');
           editChecklistContainer = document.getElementById('editChecklistContainer');
+          editSyncNotice = document.getElementById('editSyncNotice');
+          editSyncMessage = document.getElementById('editSyncMessage');
+          editSyncReloadBtn = document.getElementById('editSyncReloadBtn');
           deleteNoteBtn = document.getElementById('deleteNoteBtn');
           saveNoteBtn = document.getElementById('saveNoteBtn');
           // export/import controls
           exportNotesBtn = document.getElementById('exportNotesBtn');
           importNotesBtn = document.getElementById('importNotesBtn');
           importFileInput = document.getElementById('importFileInput');
+          keepFolderInput = document.getElementById('keepFolderInput');
 
           // view modal references for read more
           viewModal = document.getElementById('viewModal');
@@ -1038,16 +9736,188 @@
           viewNoteActions = document.getElementById('viewNoteActions');
           // theme toggle
           themeToggleBtn = document.getElementById('themeToggleBtn');
+          // sidebar and label pickers
+          viewButtons = document.querySelectorAll('.sidebar-item[data-view]');
+          labelListEl = document.getElementById('labelList');
+          hashtagLabelsToggle = document.getElementById('hashtagLabelsToggle');
+          markdownToggle = document.getElementById('markdownToggle');
+          saveOnCloseToggle = document.getElementById('saveOnCloseToggle');
+          labelSuggestions = document.getElementById('labelSuggestions');
+          noteLabelPicker = document.getElementById('noteLabelPicker');
+          editLabelPicker = document.getElementById('editLabelPicker');
+          // archive/trash view elements
+          othersTitle = document.getElementById('othersTitle');
+          emptyMessage = document.getElementById('emptyMessage');
+          trashBar = document.getElementById('trashBar');
+          selectionBar = document.getElementById('selectionBar');
+          clearSelectionBtn = document.getElementById('clearSelectionBtn');
+          selectionCount = document.getElementById('selectionCount');
+          selectionActions = document.getElementById('selectionActions');
+          trashDaysInput = document.getElementById('trashDaysInput');
+          emptyTrashBtn = document.getElementById('emptyTrashBtn');
+          // snackbar
+          snackbar = document.getElementById('snackbar');
+          snackbarMessage = document.getElementById('snackbarMessage');
+          snackbarAction = document.getElementById('snackbarAction');
+          // reminder fields
+          editReminderDate = document.getElementById('editReminderDate');
+          editReminderTime = document.getElementById('editReminderTime');
+          editReminderRepeat = document.getElementById('editReminderRepeat');
+          reminderModal = document.getElementById('reminderModal');
+          reminderModalBackdrop = document.getElementById('reminderModalBackdrop');
+          closeReminderModalBtn = document.getElementById('closeReminderModalBtn');
+          reminderDateInput = document.getElementById('reminderDate');
+          reminderTimeInput = document.getElementById('reminderTime');
+          reminderRepeatSelect = document.getElementById('reminderRepeat');
+          removeReminderBtn = document.getElementById('removeReminderBtn');
+          saveReminderBtn = document.getElementById('saveReminderBtn');
+          storageUsageEl = document.getElementById('storageUsage');
+          // import dialog
+          importModal = document.getElementById('importModal');
+          importModalBackdrop = document.getElementById('importModalBackdrop');
+          closeImportModalBtn = document.getElementById('closeImportModalBtn');
+          importModalBody = document.getElementById('importModalBody');
+          importModalFooter = document.getElementById('importModalFooter');
+          // offline app controls
+          updateBanner = document.getElementById('updateBanner');
+          reloadAppBtn = document.getElementById('reloadAppBtn');
+          dismissUpdateBtn = document.getElementById('dismissUpdateBtn');
+          installAppBtn = document.getElementById('installAppBtn');
+          liveRegion = document.getElementById('liveRegion');
+          // command palette and shortcuts overlay
+          paletteModal = document.getElementById('paletteModal');
+          paletteBackdrop = document.getElementById('paletteBackdrop');
+          paletteInput = document.getElementById('paletteInput');
+          paletteResults = document.getElementById('paletteResults');
+          shortcutsModal = document.getElementById('shortcutsModal');
+          shortcutsBackdrop = document.getElementById('shortcutsBackdrop');
+          closeShortcutsBtn = document.getElementById('closeShortcutsBtn');
+          shortcutsList = document.getElementById('shortcutsList');
+          // passphrase lock
+          lockScreen = document.getElementById('lockScreen');
+          unlockForm = document.getElementById('unlockForm');
+          unlockPassphraseInput = document.getElementById('unlockPassphrase');
+          unlockError = document.getElementById('unlockError');
+          unlockBtn = document.getElementById('unlockBtn');
+          passphraseModal = document.getElementById('passphraseModal');
+          passphraseBackdrop = document.getElementById('passphraseBackdrop');
+          closePassphraseBtn = document.getElementById('closePassphraseBtn');
+          passphraseForm = document.getElementById('passphraseForm');
+          passphraseTitle = document.getElementById('passphraseTitle');
+          passphraseMessage = document.getElementById('passphraseMessage');
+          passphraseInput = document.getElementById('passphraseInput');
+          passphraseConfirmInput = document.getElementById('passphraseConfirmInput');
+          passphraseError = document.getElementById('passphraseError');
+          passphraseSubmitBtn = document.getElementById('passphraseSubmitBtn');
+          lockSetupBtn = document.getElementById('lockSetupBtn');
+          lockNowBtn = document.getElementById('lockNowBtn');
+          changePassphraseBtn = document.getElementById('changePassphraseBtn');
+          autoLockOption = document.getElementById('autoLockOption');
+          autoLockSelect = document.getElementById('autoLockSelect');
+          lockStatus = document.getElementById('lockStatus');
+          // attachments, lightbox and sketch pad
+          noteAttachmentsEl = document.getElementById('noteAttachments');
+          addImageBtn = document.getElementById('addImageBtn');
+          newDrawingBtn = document.getElementById('newDrawingBtn');
+          noteImageInput = document.getElementById('noteImageInput');
+          editAttachmentsEl = document.getElementById('editAttachments');
+          editImageBtn = document.getElementById('editImageBtn');
+          editDrawingBtn = document.getElementById('editDrawingBtn');
+          editImageInput = document.getElementById('editImageInput');
+          lightboxModal = document.getElementById('lightboxModal');
+          lightboxBackdrop = document.getElementById('lightboxBackdrop');
+          closeLightboxBtn = document.getElementById('closeLightboxBtn');
+          lightboxImage = document.getElementById('lightboxImage');
+          lightboxCount = document.getElementById('lightboxCount');
+          lightboxPrevBtn = document.getElementById('lightboxPrevBtn');
+          lightboxNextBtn = document.getElementById('lightboxNextBtn');
+          lightboxDownload = document.getElementById('lightboxDownload');
+          drawingModal = document.getElementById('drawingModal');
+          drawingBackdrop = document.getElementById('drawingBackdrop');
+          closeDrawingBtn = document.getElementById('closeDrawingBtn');
+          drawingTitle = document.getElementById('drawingTitle');
+          drawingCanvas = document.getElementById('drawingCanvas');
+          drawPenBtn = document.getElementById('drawPenBtn');
+          drawEraserBtn = document.getElementById('drawEraserBtn');
+          drawingColors = document.getElementById('drawingColors');
+          drawUndoBtn = document.getElementById('drawUndoBtn');
+          drawClearBtn = document.getElementById('drawClearBtn');
+          drawingDoneBtn = document.getElementById('drawingDoneBtn');
+          editHistoryBtn = document.getElementById('editHistoryBtn');
+          historyModal = document.getElementById('historyModal');
+          historyBackdrop = document.getElementById('historyBackdrop');
+          closeHistoryBtn = document.getElementById('closeHistoryBtn');
+          historyList = document.getElementById('historyList');
+          historyDiff = document.getElementById('historyDiff');
+          historyRestoreBtn = document.getElementById('historyRestoreBtn');
+          unsavedModal = document.getElementById('unsavedModal');
+          unsavedBackdrop = document.getElementById('unsavedBackdrop');
+          unsavedDiscardBtn = document.getElementById('unsavedDiscardBtn');
+          unsavedCancelBtn = document.getElementById('unsavedCancelBtn');
+          unsavedSaveBtn = document.getElementById('unsavedSaveBtn');
+          themeEditorBtn = document.getElementById('themeEditorBtn');
+          themeModal = document.getElementById('themeModal');
+          themeBackdrop = document.getElementById('themeBackdrop');
+          closeThemeBtn = document.getElementById('closeThemeBtn');
+          themeColoursLegend = document.getElementById('themeColoursLegend');
+          themeColourInputs = Array.from(themeModal.querySelectorAll('[data-theme-colour]'));
+          resetThemeColoursBtn = document.getElementById('resetThemeColoursBtn');
+          paletteList = document.getElementById('paletteList');
+          addPaletteBtn = document.getElementById('addPaletteBtn');
+          themeDoneBtn = document.getElementById('themeDoneBtn');
+          shareModal = document.getElementById('shareModal');
+          shareBackdrop = document.getElementById('shareBackdrop');
+          closeShareBtn = document.getElementById('closeShareBtn');
+          shareLinkInput = document.getElementById('shareLinkInput');
+          copyShareLinkBtn = document.getElementById('copyShareLinkBtn');
+          shareProtectToggle = document.getElementById('shareProtectToggle');
+          shareNotice = document.getElementById('shareNotice');
+          copyShareTextBtn = document.getElementById('copyShareTextBtn');
+          nativeShareBtn = document.getElementById('nativeShareBtn');
+          sharedModal = document.getElementById('sharedModal');
+          sharedBackdrop = document.getElementById('sharedBackdrop');
+          closeSharedBtn = document.getElementById('closeSharedBtn');
+          sharedNoteEl = document.getElementById('sharedNote');
+          sharedTitle = document.getElementById('sharedTitle');
+          sharedContent = document.getElementById('sharedContent');
+          openSharedCopyBtn = document.getElementById('openSharedCopyBtn');
+          saveSharedBtn = document.getElementById('saveSharedBtn');
           // now initialise colour buttons and event listeners
           initColourButtons();
-          loadNotes();
-          initEventListeners();
-          // initialise theme toggle (light/dark mode)
+          initSketchColours();
+          loadSettings();
+          loadRecentSearches();
+          hashtagLabelsToggle.checked = settings.hashtagLabels;
+          markdownToggle.checked = settings.markdown;
+          saveOnCloseToggle.checked = settings.saveOnClose;
+          trashDaysInput.value = settings.trashRetentionDays;
+          renderLabelPicker(noteLabelPicker, currentLabels);
+          // initialise theme toggle (light/dark mode) before anything is
+          // awaited, so that a dark theme shows without a flash of light
           initThemeToggle();
-          renderNotes();
-          // hide checklist containers initially
+          baseStorage = await openStorage();
+          storage = baseStorage;
+          vault = loadVault();
+          initSync();
+          initEventListeners();
+          renderLockSettings();
+          // hide checklist containers initially (a restored draft may show
+          // one again)
           checklistContainer.style.display = 'none';
           editChecklistContainer.style.display = 'none';
+          // with the passphrase lock on, the notes load once unlocked
+          if (vault) {
+            appLocked = true;
+            renderNotes();
+            showLockScreen();
+          } else {
+            await openNotes(null);
+          }
+          startReminderScheduler();
+          startAutoLock();
+          updateStorageUsage();
+          registerServiceWorker();
+          initInstallPrompt();
         } catch (e) {
           // Log initialisation errors to the console rather than interrupting the user.
           console.error('Initialisation error:', e);
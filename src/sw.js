@@ -0,0 +1,129 @@
+/*
+ * Simple Keep service worker.
+ *
+ * Precaches the app shell and the Bootstrap Icons stylesheet and font so
+ * that the app starts without a network connection.  Everything is served
+ * from a cache named after CACHE_VERSION: bump it whenever any precached
+ * file changes.  The browser then installs the new worker alongside the
+ * old one, and the page offers to reload (see registerServiceWorker() in
+ * script.js) before the new version takes over.
+ */
+
+'use strict';
+
+const CACHE_VERSION = 11;
+const CACHE_PREFIX = 'simple-keep-';
+const CACHE_NAME = `${CACHE_PREFIX}v${CACHE_VERSION}`;
+
+// Files the app cannot start without
+const APP_SHELL = [
+  './',
+  './index.html',
+  './script.js',
+  './style.css',
+  './manifest.webmanifest',
+  './icons/icon-192.png',
+  './icons/icon-512.png'
+];
+
+// Icon font served from the CDN.  The font URLs must match those in the
+// stylesheet exactly, query string included.
+const ICONS_BASE = 'https://cdn.jsdelivr.net/npm/bootstrap-icons@1.10.5/font/';
+const ICON_FILES = [
+  `${ICONS_BASE}bootstrap-icons.css`,
+  `${ICONS_BASE}fonts/bootstrap-icons.woff2?1fa40e8900654d2863d011707b9fb6f2`,
+  `${ICONS_BASE}fonts/bootstrap-icons.woff?1fa40e8900654d2863d011707b9fb6f2`
+];
+
+/**
+ * Fill the new cache.  The app shell must be cached for the install to
+ * succeed; the icon files are fetched on a best-effort basis so that an
+ * unreachable CDN does not stop the app working offline (they are cached
+ * later, the first time the page loads them).
+ */
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE_NAME).then((cache) =>
+      cache.addAll(APP_SHELL).then(() =>
+        Promise.all(
+          ICON_FILES.map((url) =>
+            cache.add(url).catch((err) => console.warn('Could not precache', url, err))
+          )
+        )
+      )
+    )
+  );
+});
+
+/**
+ * Remove caches left by earlier versions and take control of open pages.
+ */
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches
+      .keys()
+      .then((keys) =>
+        Promise.all(
+          keys
+            .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+            .map((key) => caches.delete(key))
+        )
+      )
+      .then(() => self.clients.claim())
+  );
+});
+
+/**
+ * The page sends SKIP_WAITING once the user has chosen to reload into
+ * the new version.
+ */
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+/**
+ * A reminder notification was clicked: bring an open Simple Keep window
+ * forward and ask it to show the note, or open the app if none is open.
+ */
+self.addEventListener('notificationclick', (event) => {
+  event.notification.close();
+  const noteId = event.notification.data && event.notification.data.noteId;
+  event.waitUntil(
+    self.clients.matchAll({ type: 'window', includeUncontrolled: true }).then((windows) => {
+      if (!windows.length) return self.clients.openWindow('./');
+      const client = windows[0];
+      if (noteId) client.postMessage({ type: 'OPEN_NOTE', noteId });
+      return client.focus();
+    })
+  );
+});
+
+/**
+ * Serve from the cache first.  Page navigations always get the cached
+ * index.html; icon files missing from the cache are fetched and stored.
+ * Anything else falls through to the network.
+ */
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  if (request.mode === 'navigate') {
+    event.respondWith(
+      caches.match('./index.html', { cacheName: CACHE_NAME }).then((cached) => cached || fetch(request))
+    );
+    return;
+  }
+  event.respondWith(
+    caches.match(request, { cacheName: CACHE_NAME }).then((cached) => {
+      if (cached) return cached;
+      return fetch(request).then((response) => {
+        if (response.ok && request.url.startsWith(ICONS_BASE)) {
+          const copy = response.clone();
+          caches.open(CACHE_NAME).then((cache) => cache.put(request, copy));
+        }
+        return response;
+      });
+    })
+  );
+});